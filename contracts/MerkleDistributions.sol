@@ -0,0 +1,123 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+
+/**
+ * Merkle distributions of Vesting: allocations committed as one Merkle
+ * root and claimed one by one. Vesting keeps the reserved amounts and
+ * creates the schedules; this library checks the claims.
+ * Its functions are external, so that the library is deployed once and
+ * linked to Vesting instead of adding to the code of Vesting.
+ */
+library MerkleDistributions {
+    // Leaf of a distribution, see Vesting.claimMerkleSchedule
+    struct Allocation {
+        address beneficiary;
+        uint256 amount;
+        uint256 start;
+        uint256 cliff;
+        uint256 duration;
+        uint256 slicePeriodSeconds;
+    }
+
+    struct Distribution {
+        bytes32 root;
+        // Reserved amount of the allocations not claimed yet
+        uint256 remaining;
+        bool revocable;
+        // No claims after it, 0 if none
+        uint256 claimDeadline;
+    }
+
+    struct Distributions {
+        // By id
+        Distribution[] list;
+        // Leaves already claimed, per distribution id
+        mapping(uint256 => mapping(bytes32 => bool)) claimed;
+    }
+
+    /**
+     * @dev Adds a distribution of `total` under `root`. Returns its id.
+     */
+    function create(
+        Distributions storage self,
+        bytes32 root,
+        uint256 total,
+        bool revocable,
+        uint256 claimDeadline
+    ) external returns (uint256) {
+        self.list.push(Distribution(root, total, revocable, claimDeadline));
+        return self.list.length - 1;
+    }
+
+    /**
+     * @dev Checks `proof` of `allocation` in `distributionId` and marks
+     * it claimed at `currentTime`. Returns whether its schedule is
+     * revocable.
+     */
+    function claim(
+        Distributions storage self,
+        uint256 distributionId,
+        Allocation calldata allocation,
+        bytes32[] calldata proof,
+        uint256 currentTime
+    ) external returns (bool) {
+        Distribution storage distribution = get(self, distributionId);
+        require(
+            distribution.claimDeadline == 0 ||
+                currentTime <= distribution.claimDeadline,
+            "Claim deadline passed"
+        );
+        bytes32 leaf = keccak256(
+            bytes.concat(keccak256(abi.encode(allocation)))
+        );
+        require(!self.claimed[distributionId][leaf], "Already claimed");
+        require(
+            MerkleProof.verifyCalldata(proof, distribution.root, leaf),
+            "Invalid proof"
+        );
+        require(
+            distribution.remaining >= allocation.amount,
+            "Not enough funds"
+        );
+        self.claimed[distributionId][leaf] = true;
+        distribution.remaining -= allocation.amount;
+        return distribution.revocable;
+    }
+
+    /**
+     * @dev Ends `distributionId`, which must be revocable or past its
+     * claim deadline at `currentTime`. Returns the amount it still
+     * reserved.
+     */
+    function close(
+        Distributions storage self,
+        uint256 distributionId,
+        uint256 currentTime
+    ) external returns (uint256 amount) {
+        Distribution storage distribution = get(self, distributionId);
+        if (!distribution.revocable) {
+            require(
+                distribution.claimDeadline > 0,
+                "Vesting is not revocable"
+            );
+            require(
+                currentTime > distribution.claimDeadline,
+                "Claim deadline not reached"
+            );
+        }
+        amount = distribution.remaining;
+        distribution.root = 0;
+        distribution.remaining = 0;
+    }
+
+    function get(Distributions storage self, uint256 distributionId)
+        internal
+        view
+        returns (Distribution storage)
+    {
+        require(distributionId < self.list.length, "Index out of bounds");
+        return self.list[distributionId];
+    }
+}
@@ -0,0 +1,108 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "./Vesting.sol";
+
+/**
+ * Amendments of the schedules of Vesting, see Vesting.amendSchedule.
+ * Vesting checks the caller and the schedule; this library changes it.
+ * Its functions are external, so that the library is deployed once and
+ * linked to Vesting instead of adding to the code of Vesting.
+ */
+library ScheduleAmendments {
+    using SafeCast for uint256;
+
+    // Logged by Vesting, which also declares them for its ABI
+    event AmendmentProposed(bytes32 scheduleId, uint256 duration);
+    event ScheduleAmended(
+        bytes32 scheduleId,
+        uint256 amountTotal,
+        uint256 duration,
+        bool revocable
+    );
+
+    /**
+     * @dev Applies the added amount and the non-revocability of
+     * `amendment` to `schedule`, reserving the added amount in
+     * `committed`, and stores a longer duration in `pendingDurations`,
+     * replacing the one pending. An amendment that changes nothing
+     * reverts. `hasCheckpoints` is true for a schedule with an unlock
+     * table.
+     */
+    function amend(
+        Vesting.PackedSchedule storage schedule,
+        mapping(address => uint256) storage committed,
+        mapping(bytes32 => uint256) storage pendingDurations,
+        bytes32 scheduleId,
+        Vesting.Amendment calldata amendment,
+        bool hasCheckpoints
+    ) external {
+        uint256 duration = schedule.duration;
+        require(amendment.duration >= duration, "Duration cannot be shorter");
+        // The unlock table of a checkpoint schedule ignores both
+        require(
+            !hasCheckpoints ||
+                (amendment.addedAmount == 0 && amendment.duration == duration),
+            "Cannot amend checkpoints"
+        );
+        require(
+            amendment.addedAmount > 0 ||
+                amendment.duration > duration ||
+                (amendment.makeIrrevocable && schedule.revocable),
+            "Empty amendment"
+        );
+        if (amendment.duration > duration) {
+            pendingDurations[scheduleId] = amendment.duration;
+            emit AmendmentProposed(scheduleId, amendment.duration);
+            if (amendment.addedAmount == 0 && !amendment.makeIrrevocable) {
+                return;
+            }
+        }
+        if (amendment.addedAmount > 0) {
+            address token = schedule.token;
+            // Same check as for a new schedule: the unused funds cover it
+            require(
+                IERC20(token).balanceOf(address(this)) >=
+                    committed[token] + amendment.addedAmount,
+                "Not enough funds"
+            );
+            schedule.amountTotal = (schedule.amountTotal +
+                amendment.addedAmount).toUint128();
+            schedule.completed = false;
+            committed[token] += amendment.addedAmount;
+        }
+        if (amendment.makeIrrevocable) {
+            schedule.revocable = false;
+        }
+        _emitAmended(schedule, scheduleId);
+    }
+
+    /**
+     * @dev Applies the duration of `pendingDurations` to `schedule`.
+     */
+    function accept(
+        Vesting.PackedSchedule storage schedule,
+        mapping(bytes32 => uint256) storage pendingDurations,
+        bytes32 scheduleId
+    ) external {
+        uint256 duration = pendingDurations[scheduleId];
+        require(duration > 0, "No amendment proposed");
+        delete pendingDurations[scheduleId];
+        schedule.duration = duration.toUint40();
+        _emitAmended(schedule, scheduleId);
+    }
+
+    function _emitAmended(
+        Vesting.PackedSchedule storage schedule,
+        bytes32 scheduleId
+    ) private {
+        emit ScheduleAmended(
+            scheduleId,
+            schedule.amountTotal,
+            schedule.duration,
+            schedule.revocable
+        );
+    }
+}
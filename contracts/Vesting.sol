@@ -3,20 +3,41 @@ pragma solidity ^0.8.0;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./MerkleDistributions.sol";
+import "./ScheduleAmendments.sol";
 
 /**
- * Vesting of an ERC20 token that it is set at construction time.
+ * Vesting of an ERC20 token that it is set at construction time,
+ * or at initialization for the clones of VestingFactory.
  * The ERC20 vesting token cannot be changed.
+ * Schedules of other ERC20 tokens can also be created; committed and
+ * withdrawable amounts are tracked per token.
  * Vesting must be funded with the ERC20.
- * Schedules are created by Vesting's owner.
+ * Admin operations are split in roles, granted to the deployer:
+ * schedules are created by CREATOR_ROLE, revoked by REVOKER_ROLE and
+ * unused funds are withdrawn by TREASURY_ROLE. The admin
+ * (DEFAULT_ADMIN_ROLE) grants and revokes roles.
+ * Withdrawals and revocations can be delayed with a timelock.
+ * PAUSER_ROLE can halt releases and the creation of schedules.
+ * Beneficiaries can sign releases (EIP-712) for a relayer to submit.
+ * Large sets of schedules can be committed as a Merkle root, each one
+ * being created when its beneficiary first claims it.
  */
-contract Vesting is Ownable {
+contract Vesting is AccessControl, Pausable, EIP712 {
     using SafeERC20 for IERC20;
+    using SafeCast for uint256;
+    using MerkleDistributions for MerkleDistributions.Distributions;
 
+    // Schedule as returned by the views
     struct VestingSchedule {
         bool initialized;
         address beneficiary;
+        address token;
         uint256 cliff;
         uint256 start;
         uint256 duration;
@@ -25,27 +46,180 @@ contract Vesting is Ownable {
         uint256 amountTotal;
         uint256 released;
         bool revoked;
+        // Amount vested at `start`, before the cliff
+        uint256 tgeAmount;
+        // Vesting stops at this time once revoked
+        uint256 revokedAt;
     }
 
-    // Address of the ERC20 vesting token
-    IERC20 private immutable _token;
+    // Storage of a schedule, in four slots. Times must fit in uint40 and
+    // amounts in uint128, or the creation reverts.
+    struct PackedSchedule {
+        address beneficiary;
+        uint40 start;
+        uint40 cliff;
+        bool initialized;
+        bool revocable;
+        address token;
+        uint40 duration;
+        uint40 revokedAt;
+        bool revoked;
+        // Nothing left to release, the loops over a holder skip it
+        bool completed;
+        uint128 amountTotal;
+        uint128 released;
+        uint128 tgeAmount;
+        uint40 slicePeriodSeconds;
+    }
+
+    // Cumulative `amount` vested at `timestamp`
+    struct Checkpoint {
+        uint256 timestamp;
+        uint256 amount;
+    }
+
+    // A schedule with its amounts at the current time, for the bulk views
+    struct ScheduleView {
+        bytes32 scheduleId;
+        VestingSchedule schedule;
+        uint256 vested;
+        uint256 releasable;
+    }
+
+    // Amounts of one token for a holder:
+    // granted = released + releasable + locked + revoked
+    struct HolderSummary {
+        uint256 granted;
+        uint256 released;
+        uint256 releasable;
+        uint256 locked;
+        uint256 revoked;
+    }
+
+    // Change of the terms of a schedule, see amendSchedule
+    struct Amendment {
+        // Added to amountTotal, out of the unused funds
+        uint256 addedAmount;
+        // New duration, not shorter than the current one
+        uint256 duration;
+        bool makeIrrevocable;
+    }
+
+    struct VestingScheduleParams {
+        address beneficiary;
+        uint256 start;
+        uint256 cliff;
+        uint256 duration;
+        uint256 slicePeriodSeconds;
+        bool revocable;
+        uint256 amount;
+    }
+
+    bytes32 public constant CREATOR_ROLE = keccak256("CREATOR_ROLE");
+    bytes32 public constant REVOKER_ROLE = keccak256("REVOKER_ROLE");
+    bytes32 public constant TREASURY_ROLE = keccak256("TREASURY_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    bytes32 private constant RELEASE_TYPEHASH =
+        keccak256("Release(bytes32 scheduleId,uint256 nonce,uint256 deadline)");
+
+    // Address of the default ERC20 vesting token. Not immutable,
+    // so that clones can set it in initialize.
+    IERC20 private _token;
 
     bytes32[] private vestingSchedulesIds;
-    mapping(bytes32 => VestingSchedule) private vestingSchedules;
-    uint256 private vestingSchedulesTotalAmount;
+    mapping(bytes32 => PackedSchedule) private vestingSchedules;
+    // Amount committed in schedules, per token
+    mapping(address => uint256) private vestingSchedulesTotalAmount;
     mapping(address => uint256) private holdersVestingCount;
+    // Unlock table of the schedules that do not vest linearly
+    mapping(bytes32 => Checkpoint[]) private scheduleCheckpoints;
+    // Schedules received from other holders with a beneficiary transfer
+    mapping(address => bytes32[]) private receivedSchedules;
+    // Number of schedules created for a holder and transferred away.
+    // They are always the first ones: indexes [0, transferredCount).
+    mapping(address => uint256) private transferredCount;
+    mapping(address => address) private pendingBeneficiaries;
+    // Address allowed to release on behalf of a beneficiary
+    mapping(address => address) private claimers;
+    // Delay of withdrawals and revocations, disabled when zero
+    uint256 private timelockDelay;
+    // Time from which a queued operation can be executed, per operation id
+    mapping(bytes32 => uint256) private timelockReadyAt;
+    // Nonce of the next signed release, per beneficiary
+    mapping(address => uint256) private nonces;
+    // Merkle distributions of the default token
+    MerkleDistributions.Distributions private merkleDistributions;
+    // Longer durations waiting for the acceptance of the beneficiary,
+    // by schedule
+    mapping(bytes32 => uint256) private pendingDurations;
 
-    event Released(bytes32 scheduleId, uint256 amount, address holder);
-    event Revoked(bytes32 scheduleId, uint256 revokedAmount, address holder);
+    event ScheduleCreated(
+        bytes32 scheduleId,
+        address beneficiary,
+        address token,
+        uint256 start,
+        uint256 cliff,
+        uint256 duration,
+        uint256 slicePeriodSeconds,
+        bool revocable,
+        uint256 amount,
+        uint256 tgeAmount
+    );
+    // After ScheduleCreated, for a schedule that follows an unlock table
+    event CheckpointsSet(bytes32 scheduleId, Checkpoint[] checkpoints);
+    event Released(
+        bytes32 scheduleId,
+        uint256 amount,
+        address holder,
+        address recipient
+    );
+    event Revoked(
+        bytes32 scheduleId,
+        uint256 revokedAmount,
+        address holder,
+        uint256 effectiveTime
+    );
+    event Withdrawn(address token, address to, uint256 amount);
+    event BeneficiaryTransferRequested(address holder, address newBeneficiary);
+    event BeneficiaryTransferred(
+        address holder,
+        address newBeneficiary,
+        uint256 scheduleCount
+    );
+    event ClaimerSet(address beneficiary, address claimer);
+    event TimelockDelaySet(uint256 delay);
+    event OperationQueued(
+        bytes32 operationId,
+        address caller,
+        bytes data,
+        uint256 readyAt
+    );
+    event OperationExecuted(bytes32 operationId);
+    event OperationCancelled(bytes32 operationId);
+    event Recovered(address token, address to, uint256 amount);
+    event MerkleDistributionCreated(
+        uint256 distributionId,
+        bytes32 root,
+        uint256 total,
+        bool revocable,
+        uint256 claimDeadline
+    );
+    event MerkleScheduleClaimed(uint256 distributionId, bytes32 scheduleId);
+    event MerkleDistributionClosed(uint256 distributionId, uint256 amount);
+    event AmendmentProposed(bytes32 scheduleId, uint256 duration);
+    event ScheduleAmended(
+        bytes32 scheduleId,
+        uint256 amountTotal,
+        uint256 duration,
+        bool revocable
+    );
 
     /**
      * @dev Reverts if no vesting schedule matches the passed identifier.
      */
     modifier onlyIfExists(bytes32 vestingScheduleId) {
-        require(
-            vestingSchedules[vestingScheduleId].initialized == true,
-            "Schedule not initialized"
-        );
+        _checkExists(vestingScheduleId);
         _;
     }
 
@@ -53,53 +227,174 @@ contract Vesting is Ownable {
      * @dev Reverts if the vesting schedule has been revoked.
      */
     modifier onlyIfNotRevoked(bytes32 vestingScheduleId) {
-        require(
-            vestingSchedules[vestingScheduleId].revoked == false,
-            "Schedule has been revoked"
-        );
+        _checkNotRevoked(vestingScheduleId);
         _;
     }
 
+    /**
+     * @dev With a timelock delay set, the first call queues the operation
+     * and returns without running it. The same call (same caller, function
+     * and arguments) runs it once the delay has passed.
+     */
+    modifier timelocked() {
+        if (_checkTimelock()) {
+            _;
+        }
+    }
+
     /**
      * @dev Creates a vesting contract. `token` is the vesting token address,
      * and cannot be changed after construction.
      */
-    constructor(address token) {
-        require(token != address(0x0));
-        _token = IERC20(token);
+    constructor(address token) EIP712("Vesting", "1") {
+        _initialize(token, msg.sender);
+    }
+
+    /**
+     * @dev Sets up a clone deployed by VestingFactory, in the same
+     * transaction: `token` is the vesting token, `admin` gets every role
+     * and `schedules` are created from the funds already transferred.
+     * Reverts on a Vesting deployed with the constructor.
+     */
+    function initialize(
+        address token,
+        address admin,
+        VestingScheduleParams[] calldata schedules
+    ) external {
+        require(address(_token) == address(0x0), "Already initialized");
+        _initialize(token, admin);
+        if (schedules.length > 0) {
+            _createVestingSchedules(token, schedules);
+        }
     }
 
     /**
      * @dev Release vested amount of tokens for `vestingScheduleId`.
-     * Caller must be the owner or the beneficiary
+     * Caller must be the admin, the beneficiary or its claimer
      */
-    function release(bytes32 vestingScheduleId) external {
-        uint256 amount = _release(vestingScheduleId);
-        require(amount > 0, "No amount to release");
+    function release(bytes32 vestingScheduleId)
+        external
+        whenNotPaused
+        onlyIfExists(vestingScheduleId)
+    {
+        _checkCanRelease(vestingSchedules[vestingScheduleId].beneficiary);
+
+        _checkAmountReleased(_release(vestingScheduleId));
+    }
+
+    /**
+     * @dev Same as release, authorized by an EIP-712 Release signature
+     * instead of the caller, so that a relayer can pay the gas.
+     * The signer follows the rules of release, and the tokens are sent
+     * to the beneficiary. A signature can only be used once, with the
+     * current nonce of the beneficiary, and until `deadline`.
+     */
+    function releaseWithSig(
+        bytes32 vestingScheduleId,
+        uint256 deadline,
+        bytes calldata signature
+    ) external whenNotPaused onlyIfExists(vestingScheduleId) {
+        require(getCurrentTime() <= deadline, "Signature expired");
+        address beneficiary = vestingSchedules[vestingScheduleId].beneficiary;
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    RELEASE_TYPEHASH,
+                    vestingScheduleId,
+                    nonces[beneficiary]++,
+                    deadline
+                )
+            )
+        );
+        require(
+            _canRelease(ECDSA.recover(digest, signature), beneficiary),
+            "Invalid signature"
+        );
+
+        _checkAmountReleased(_release(vestingScheduleId));
     }
 
     /**
      * @dev Release all the releasable tokens for the caller.
      * Reverts if there is no releasable amount.
      */
-    function releaseAllMySchedules() external {
+    function releaseAllMySchedules() external whenNotPaused {
+        uint256 count = _checkHasSchedules(msg.sender);
+
+        _releaseRange(msg.sender, 0, count);
+    }
+
+    /**
+     * @dev Same as releaseAllMySchedules for up to `limit` schedules of
+     * the caller from index `offset`, so that holders with many
+     * schedules can release them over several transactions.
+     */
+    function releaseAllMySchedulesInRange(uint256 offset, uint256 limit)
+        external
+        whenNotPaused
+    {
+        uint256 count = _checkHasSchedules(msg.sender);
+        require(offset < count, "Index out of bounds");
+
+        uint256 size = _pageSize(count, offset, limit);
+        _releaseRange(msg.sender, offset, offset + size);
+    }
+
+    /**
+     * @dev Release `amount` of the vested tokens of `vestingScheduleId`
+     * and send them to `recipient`. Only the beneficiary can call it.
+     */
+    function releaseTo(
+        bytes32 vestingScheduleId,
+        address recipient,
+        uint256 amount
+    )
+        external
+        whenNotPaused
+        onlyIfExists(vestingScheduleId)
+    {
+        require(
+            msg.sender == vestingSchedules[vestingScheduleId].beneficiary,
+            "Only beneficiary can choose the recipient"
+        );
+        _checkPayOut(recipient, amount);
+        _checkReleasable(amount, _computeReleasableAmount(vestingScheduleId));
+        _payOut(vestingScheduleId, recipient, amount);
+    }
+
+    /**
+     * @dev Release `amount` of `token` from the schedules of the caller,
+     * in order, and send it to `recipient`.
+     * Reverts if the schedules of `token` cannot cover `amount`.
+     */
+    function releaseAllMySchedulesTo(
+        address token,
+        address recipient,
+        uint256 amount
+    ) external whenNotPaused {
         address sender = msg.sender;
-        uint256 count = holdersVestingCount[sender];
-        uint256 totAmt;
+        uint256 count = _checkHasSchedules(sender);
+        uint256 remaining = amount;
 
-        require(count > 0, "No schedules found");
+        _checkPayOut(recipient, amount);
 
-        for (uint256 i = 0; i < count; i++) {
-            bytes32 vestingScheduleId = computeScheduleId(sender, i);
-            VestingSchedule storage schedule = vestingSchedules[
+        for (uint256 i = 0; i < count && remaining > 0; i++) {
+            bytes32 vestingScheduleId = getScheduleIdAtHolder(sender, i);
+            PackedSchedule storage schedule = vestingSchedules[
                 vestingScheduleId
             ];
-            if (!schedule.revoked) {
-                totAmt += _release(vestingScheduleId);
+            if (schedule.completed || schedule.token != token) {
+                continue;
+            }
+            uint256 releasable = _computeReleasableAmount(vestingScheduleId);
+            uint256 part = releasable < remaining ? releasable : remaining;
+            if (part > 0) {
+                _payOut(vestingScheduleId, recipient, part);
+                remaining -= part;
             }
         }
 
-        require(totAmt > 0, "No releasable amount");
+        _checkReleasable(amount, amount - remaining);
     }
 
     /**
@@ -117,16 +412,119 @@ contract Vesting is Ownable {
         return vestingSchedulesIds[index];
     }
 
+    /**
+     * @dev Returns up to `limit` schedules starting at index `offset`,
+     * with their vested and releasable amounts.
+     * Empty once `offset` is past the last schedule.
+     */
+    function getSchedules(uint256 offset, uint256 limit)
+        external
+        view
+        returns (ScheduleView[] memory)
+    {
+        uint256 size = _pageSize(vestingSchedulesIds.length, offset, limit);
+        ScheduleView[] memory page = new ScheduleView[](size);
+        for (uint256 i = 0; i < size; i++) {
+            page[i] = _scheduleView(vestingSchedulesIds[offset + i]);
+        }
+        return page;
+    }
+
+    /**
+     * @dev Same as getSchedules for the schedules of `holder`,
+     * in the order of getScheduleIdAtHolder.
+     */
+    function getSchedulesForHolder(
+        address holder,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (ScheduleView[] memory) {
+        uint256 size = _pageSize(
+            getScheduleCountHolder(holder),
+            offset,
+            limit
+        );
+        ScheduleView[] memory page = new ScheduleView[](size);
+        for (uint256 i = 0; i < size; i++) {
+            page[i] = _scheduleView(getScheduleIdAtHolder(holder, offset + i));
+        }
+        return page;
+    }
+
+    /**
+     * @dev Returns the amounts of the default token granted to `holder`.
+     */
+    function getHolderSummary(address holder)
+        external
+        view
+        returns (HolderSummary memory)
+    {
+        return getHolderSummaryByToken(holder, address(_token));
+    }
+
+    /**
+     * @dev Returns the amounts of `token` granted to `holder`: released,
+     * releasable now, locked (committed, not vested yet) and revoked.
+     */
+    function getHolderSummaryByToken(address holder, address token)
+        public
+        view
+        returns (HolderSummary memory summary)
+    {
+        uint256 count = getScheduleCountHolder(holder);
+        for (uint256 i = 0; i < count; i++) {
+            bytes32 scheduleId = getScheduleIdAtHolder(holder, i);
+            PackedSchedule storage schedule = vestingSchedules[scheduleId];
+            if (schedule.token != token) {
+                continue;
+            }
+            uint256 kept = _computeKeptAmount(scheduleId);
+            uint256 releasable = _computeReleasableAmount(scheduleId);
+            summary.granted += schedule.amountTotal;
+            summary.released += schedule.released;
+            summary.releasable += releasable;
+            summary.locked += kept - schedule.released - releasable;
+            summary.revoked += schedule.amountTotal - kept;
+        }
+    }
+
     /**
      * @dev Returns the number of vesting schedules associated
-     * to `beneficiary`.
+     * to `beneficiary`, including the ones received with a
+     * beneficiary transfer.
      */
     function getScheduleCountHolder(address beneficiary)
-        external
+        public
         view
         returns (uint256)
     {
-        return holdersVestingCount[beneficiary];
+        return
+            holdersVestingCount[beneficiary] -
+            transferredCount[beneficiary] +
+            receivedSchedules[beneficiary].length;
+    }
+
+    /**
+     * @dev Returns the vesting schedule id for `holder` and `index`.
+     * The schedules created for `holder` come first, followed by the ones
+     * received with a beneficiary transfer. Unless `holder` transferred or
+     * received schedules, it is the same as computeScheduleId.
+     */
+    function getScheduleIdAtHolder(address holder, uint256 index)
+        public
+        view
+        returns (bytes32)
+    {
+        uint256 ownCount = holdersVestingCount[holder] -
+            transferredCount[holder];
+        if (index < ownCount) {
+            return computeScheduleId(holder, transferredCount[holder] + index);
+        }
+        require(
+            index - ownCount < receivedSchedules[holder].length,
+            "Index out of bounds"
+        );
+        return receivedSchedules[holder][index - ownCount];
     }
 
     /**
@@ -137,11 +535,120 @@ contract Vesting is Ownable {
         view
         returns (VestingSchedule memory)
     {
-        return getSchedule(computeScheduleId(holder, index));
+        return getSchedule(getScheduleIdAtHolder(holder, index));
+    }
+
+    /**
+     * @dev Returns the unlock table of `vestingScheduleId`.
+     * Empty for the schedules that vest linearly.
+     */
+    function getScheduleCheckpoints(bytes32 vestingScheduleId)
+        external
+        view
+        returns (Checkpoint[] memory)
+    {
+        return scheduleCheckpoints[vestingScheduleId];
+    }
+
+    /**
+     * @dev Returns the duration proposed for `scheduleId`, waiting for the
+     * acceptance of the beneficiary, or zero if there is none.
+     */
+    function getPendingDuration(bytes32 scheduleId)
+        external
+        view
+        returns (uint256)
+    {
+        return pendingDurations[scheduleId];
+    }
+
+    /**
+     * @dev Returns the number of Merkle distributions.
+     */
+    function getMerkleDistributionCount() external view returns (uint256) {
+        return merkleDistributions.list.length;
+    }
+
+    /**
+     * @dev Returns the Merkle distribution `distributionId`.
+     */
+    function getMerkleDistribution(uint256 distributionId)
+        external
+        view
+        returns (MerkleDistributions.Distribution memory)
+    {
+        return merkleDistributions.get(distributionId);
+    }
+
+    /**
+     * @dev Returns true if the allocation with leaf `leaf` of
+     * `distributionId` has been claimed.
+     */
+    function isMerkleClaimed(uint256 distributionId, bytes32 leaf)
+        external
+        view
+        returns (bool)
+    {
+        return merkleDistributions.claimed[distributionId][leaf];
+    }
+
+    /**
+     * @dev Returns the nonce of the next signed release of `beneficiary`.
+     */
+    function getNonce(address beneficiary) external view returns (uint256) {
+        return nonces[beneficiary];
+    }
+
+    /**
+     * @dev Returns the EIP-712 domain separator of the signed releases.
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    /**
+     * @dev Returns the delay of withdrawals and revocations, in seconds.
+     */
+    function getTimelockDelay() external view returns (uint256) {
+        return timelockDelay;
+    }
+
+    /**
+     * @dev Returns the time from which the queued operation `operationId`
+     * (the keccak256 of its caller and calldata, ABI encoded) can run,
+     * or zero if not queued.
+     */
+    function getOperationReadyAt(bytes32 operationId)
+        external
+        view
+        returns (uint256)
+    {
+        return timelockReadyAt[operationId];
+    }
+
+    /**
+     * @dev Returns the new beneficiary nominated by `holder`, if any.
+     */
+    function getPendingBeneficiary(address holder)
+        external
+        view
+        returns (address)
+    {
+        return pendingBeneficiaries[holder];
+    }
+
+    /**
+     * @dev Returns the address allowed to release on behalf
+     * of `beneficiary`, if any.
+     */
+    function getClaimer(address beneficiary) external view returns (address) {
+        return claimers[beneficiary];
     }
 
     /**
-     * @dev Returns the last vesting schedule for `holder`.
+     * @dev Returns the last vesting schedule for `holder`, as listed by
+     * getScheduleIdAtHolder: the last one received with a beneficiary
+     * transfer, if any.
      */
     function getLastSchedule(address holder)
         external
@@ -149,9 +656,9 @@ contract Vesting is Ownable {
         returns (VestingSchedule memory)
     {
         return
-            vestingSchedules[
-                computeScheduleId(holder, holdersVestingCount[holder] - 1)
-            ];
+            getSchedule(
+                getScheduleIdAtHolder(holder, getScheduleCountHolder(holder) - 1)
+            );
     }
 
     /**
@@ -162,60 +669,148 @@ contract Vesting is Ownable {
         view
         returns (VestingSchedule memory)
     {
-        return vestingSchedules[vestingScheduleId];
+        PackedSchedule storage schedule = vestingSchedules[vestingScheduleId];
+        return
+            VestingSchedule(
+                schedule.initialized,
+                schedule.beneficiary,
+                schedule.token,
+                schedule.cliff,
+                schedule.start,
+                schedule.duration,
+                schedule.slicePeriodSeconds,
+                schedule.revocable,
+                schedule.amountTotal,
+                schedule.released,
+                schedule.revoked,
+                schedule.tgeAmount,
+                schedule.revokedAt
+            );
     }
 
     /**
-     * @dev Returns the total amount of vesting schedules.
+     * @dev Returns the total amount of vesting schedules
+     * of the default token.
      */
     function getTotalVestingAmount() external view returns (uint256) {
-        return vestingSchedulesTotalAmount;
+        return vestingSchedulesTotalAmount[address(_token)];
+    }
+
+    /**
+     * @dev Returns the total amount of vesting schedules of `token`.
+     */
+    function getTotalVestingAmountByToken(address token)
+        external
+        view
+        returns (uint256)
+    {
+        return vestingSchedulesTotalAmount[token];
     }
 
     /**
-     * @dev Returns the address of the ERC20 token managed by the vesting contract.
+     * @dev Returns the address of the default ERC20 token managed by the
+     * vesting contract.
      */
     function getToken() external view returns (address) {
         return address(_token);
     }
 
     /**
-     * @dev Returns all releasable amount of all schedules for the caller
+     * @dev Returns all releasable amount of all schedules
+     * of the default token for the caller
      */
     function computeAmountForAllMySchedules() external view returns (uint256) {
-        address sender = msg.sender;
-        uint256 releasableAmt;
-        uint256 count = holdersVestingCount[sender];
-        if (count == 0) {
-            return 0;
-        }
+        return _computeAmountForAllSchedules(msg.sender, address(_token));
+    }
 
-        for (uint256 i = 0; i < count; i++) {
-            bytes32 scheduleId = computeScheduleId(sender, i);
-            releasableAmt += _computeReleasableAmount(scheduleId);
-        }
-        return releasableAmt;
+    /**
+     * @dev Returns all releasable amount of all schedules
+     * of the default token for `holder`
+     */
+    function computeAmountForHolder(address holder)
+        external
+        view
+        returns (uint256)
+    {
+        return _computeAmountForAllSchedules(holder, address(_token));
+    }
+
+    /**
+     * @dev Returns all releasable amount of all schedules
+     * of `token` for the caller
+     */
+    function computeAmountForAllMySchedulesByToken(address token)
+        external
+        view
+        returns (uint256)
+    {
+        return _computeAmountForAllSchedules(msg.sender, token);
+    }
+
+    /**
+     * @dev Returns all releasable amount of all schedules
+     * of `token` for `holder`
+     */
+    function computeAmountForHolderByToken(address holder, address token)
+        external
+        view
+        returns (uint256)
+    {
+        return _computeAmountForAllSchedules(holder, token);
     }
 
     /**
      * @notice Computes the releasable amount for the given `vestingScheduleId`.
+     * For a revoked schedule, it is what vested until the revocation
+     * and was not released yet.
      */
     function computeReleasableAmount(bytes32 vestingScheduleId)
         external
         view
         onlyIfExists(vestingScheduleId)
-        onlyIfNotRevoked(vestingScheduleId)
         returns (uint256)
     {
         return _computeReleasableAmount(vestingScheduleId);
     }
 
     /**
-     * @dev Returns the amount of unused funds that can be withdrawn
-     * by the owner.
+     * @dev Returns the amount of unused funds of the default token
+     * that can be withdrawn by the treasury.
      */
     function getWithdrawableAmount() public view returns (uint256) {
-        return _token.balanceOf(address(this)) - vestingSchedulesTotalAmount;
+        return getWithdrawableAmountByToken(address(_token));
+    }
+
+    /**
+     * @dev Returns the amount of unused funds of `token` that can be
+     * withdrawn by the treasury.
+     * Zero if the balance is below the committed amount, e.g. after
+     * transfer fees or a negative rebase of `token`: see
+     * getShortfallByToken.
+     */
+    function getWithdrawableAmountByToken(address token)
+        public
+        view
+        returns (uint256)
+    {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        uint256 committed = vestingSchedulesTotalAmount[token];
+        return balance > committed ? balance - committed : 0;
+    }
+
+    /**
+     * @dev Returns how much the balance of `token` is below the amount
+     * committed in schedules, zero if it covers it. Until the treasury
+     * tops it up, the releases beyond the balance revert.
+     */
+    function getShortfallByToken(address token)
+        external
+        view
+        returns (uint256)
+    {
+        uint256 balance = IERC20(token).balanceOf(address(this));
+        uint256 committed = vestingSchedulesTotalAmount[token];
+        return committed > balance ? committed - balance : 0;
     }
 
     /**
@@ -240,41 +835,391 @@ contract Vesting is Ownable {
         return keccak256(abi.encodePacked(holder, index));
     }
 
-    // --- onlyOwner ---
+    // --- beneficiary ---
 
     /**
-     * @dev Creates a new vesting schedule for a beneficiary.
+     * @dev Nominates `newBeneficiary` to receive all the schedules
+     * of the caller. The transfer is completed when `newBeneficiary`
+     * accepts it or the admin approves it.
+     * Pass the zero address to cancel a nomination.
      */
-    function createVestingSchedule(
-        address _beneficiary,
-        uint256 _start,
-        uint256 _cliff,
-        uint256 _duration,
-        uint256 _slicePeriodSeconds,
+    function requestBeneficiaryTransfer(address newBeneficiary) external {
+        _checkHasSchedules(msg.sender);
+        require(newBeneficiary != msg.sender, "Invalid beneficiary");
+        pendingBeneficiaries[msg.sender] = newBeneficiary;
+
+        emit BeneficiaryTransferRequested(msg.sender, newBeneficiary);
+    }
+
+    /**
+     * @dev Accepts the schedules of `holder`. Caller must be the
+     * beneficiary nominated by `holder`.
+     */
+    function acceptBeneficiaryTransfer(address holder) external {
+        require(
+            msg.sender != address(0x0) &&
+                pendingBeneficiaries[holder] == msg.sender,
+            "Not the nominated beneficiary"
+        );
+        _transferBeneficiary(holder, msg.sender);
+    }
+
+    /**
+     * @dev Sets the address allowed to release the schedules of the caller
+     * on its behalf. The tokens are still sent to the beneficiary.
+     * Pass the zero address to remove it.
+     */
+    function setClaimer(address claimer) external {
+        claimers[msg.sender] = claimer;
+
+        emit ClaimerSet(msg.sender, claimer);
+    }
+
+    // --- roles ---
+
+    /**
+     * @dev Sets the delay of withdrawals and revocations. Zero disables
+     * the timelock. Operations queued before keep their time.
+     * A shorter delay is timelocked with the current one, so that the
+     * admin cannot skip the timelock by setting it to zero.
+     */
+    function setTimelockDelay(uint256 delay)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        if (delay < timelockDelay && !_checkTimelock()) {
+            return;
+        }
+        timelockDelay = delay;
+
+        emit TimelockDelaySet(delay);
+    }
+
+    /**
+     * @dev Drops a queued operation, e.g. one queued with a compromised key.
+     */
+    function cancelOperation(bytes32 operationId)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        require(timelockReadyAt[operationId] > 0, "Operation not queued");
+        delete timelockReadyAt[operationId];
+
+        emit OperationCancelled(operationId);
+    }
+
+    /**
+     * @dev Completes the beneficiary transfer nominated by `holder`.
+     * A contract must accept the transfer itself: it may have to record
+     * the schedules it receives, like VestingPositions.wrap does.
+     */
+    function approveBeneficiaryTransfer(address holder)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        address newBeneficiary = pendingBeneficiaries[holder];
+        require(newBeneficiary != address(0x0), "No transfer requested");
+        require(
+            newBeneficiary.code.length == 0,
+            "Contracts must accept the transfer"
+        );
+        _transferBeneficiary(holder, newBeneficiary);
+    }
+
+    /**
+     * @dev Halts releases and the creation of schedules.
+     * Revocations that pay the vested amount revert too.
+     */
+    function pause() external onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /**
+     * @dev Resumes releases and the creation of schedules.
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    /**
+     * @dev Creates a new vesting schedule of the default token
+     * for a beneficiary.
+     */
+    function createVestingSchedule(
+        address _beneficiary,
+        uint256 _start,
+        uint256 _cliff,
+        uint256 _duration,
+        uint256 _slicePeriodSeconds,
         bool _revocable,
         uint256 _amount
-    ) public onlyOwner {
-        require(this.getWithdrawableAmount() >= _amount, "Not enough funds");
-        require(_duration > 0, "Duration cannot be zero");
-        require(_amount > 0, "Amount cannot be zero");
-        require(_slicePeriodSeconds > 0, "SlicePeriodSeconds cannot be zero");
-        bytes32 vestingScheduleId = computeNextSecheduleId(_beneficiary);
-        uint256 cliff = _start + _cliff;
-        vestingSchedules[vestingScheduleId] = VestingSchedule(
-            true,
-            _beneficiary,
-            cliff,
-            _start,
-            _duration,
-            _slicePeriodSeconds,
-            _revocable,
-            _amount,
-            0,
-            false
+    ) public onlyRole(CREATOR_ROLE) whenNotPaused {
+        _checkFunds(address(_token), _amount);
+        _createVestingSchedule(
+            address(_token),
+            VestingScheduleParams(
+                _beneficiary,
+                _start,
+                _cliff,
+                _duration,
+                _slicePeriodSeconds,
+                _revocable,
+                _amount
+            ),
+            0
+        );
+    }
+
+    /**
+     * @dev Creates a new vesting schedule of `token` for a beneficiary.
+     * Vesting must hold enough unused funds of `token`.
+     */
+    function createVestingScheduleForToken(
+        address token,
+        address _beneficiary,
+        uint256 _start,
+        uint256 _cliff,
+        uint256 _duration,
+        uint256 _slicePeriodSeconds,
+        bool _revocable,
+        uint256 _amount
+    ) external onlyRole(CREATOR_ROLE) whenNotPaused {
+        _checkFunds(token, _amount);
+        _createVestingSchedule(
+            token,
+            VestingScheduleParams(
+                _beneficiary,
+                _start,
+                _cliff,
+                _duration,
+                _slicePeriodSeconds,
+                _revocable,
+                _amount
+            ),
+            0
+        );
+    }
+
+    /**
+     * @dev Creates a new vesting schedule that vests `tgeBasisPoints`
+     * (1/100 of a percent) of the amount at start, and the rest linearly.
+     */
+    function createVestingScheduleWithTge(
+        VestingScheduleParams calldata params,
+        uint256 tgeBasisPoints
+    ) external onlyRole(CREATOR_ROLE) whenNotPaused {
+        _createTgeSchedule(address(_token), params, tgeBasisPoints);
+    }
+
+    /**
+     * @dev Same as createVestingScheduleWithTge, for `token`.
+     */
+    function createVestingScheduleWithTgeForToken(
+        address token,
+        VestingScheduleParams calldata params,
+        uint256 tgeBasisPoints
+    ) external onlyRole(CREATOR_ROLE) whenNotPaused {
+        _createTgeSchedule(token, params, tgeBasisPoints);
+    }
+
+    /**
+     * @dev Creates a new vesting schedule that follows an unlock table.
+     * The schedule starts at the first checkpoint, whose amount is its
+     * TGE amount, and its amount is the one of the last checkpoint.
+     * A single checkpoint vests everything at once.
+     */
+    function createCheckpointSchedule(
+        address beneficiary,
+        bool revocable,
+        Checkpoint[] calldata checkpoints
+    ) external onlyRole(CREATOR_ROLE) whenNotPaused {
+        _createCheckpointSchedule(
+            address(_token),
+            beneficiary,
+            revocable,
+            checkpoints
+        );
+    }
+
+    /**
+     * @dev Same as createCheckpointSchedule, for `token`.
+     */
+    function createCheckpointScheduleForToken(
+        address token,
+        address beneficiary,
+        bool revocable,
+        Checkpoint[] calldata checkpoints
+    ) external onlyRole(CREATOR_ROLE) whenNotPaused {
+        _createCheckpointSchedule(token, beneficiary, revocable, checkpoints);
+    }
+
+    /**
+     * @dev Creates several vesting schedules of the default token
+     * in one transaction.
+     * Reverts, creating none, if the total amount is not available
+     * or if any of the schedules is not valid.
+     */
+    function createVestingSchedules(VestingScheduleParams[] calldata schedules)
+        external
+        onlyRole(CREATOR_ROLE)
+        whenNotPaused
+    {
+        _createVestingSchedules(address(_token), schedules);
+    }
+
+    /**
+     * @dev Creates several vesting schedules of `token` in one transaction.
+     */
+    function createVestingSchedulesForToken(
+        address token,
+        VestingScheduleParams[] calldata schedules
+    ) external onlyRole(CREATOR_ROLE) whenNotPaused {
+        _createVestingSchedules(token, schedules);
+    }
+
+    /**
+     * @dev Commits the allocations of the default token under the Merkle
+     * `root`, without creating their schedules. `total` is their sum,
+     * reserved from the unused funds like for a schedule. Each schedule
+     * is created by claimMerkleSchedule, revocable if `revocable`, until
+     * `claimDeadline` unless it is 0. After the deadline, the distribution
+     * can be closed even if it is not revocable.
+     * Returns the id of the distribution.
+     */
+    function createMerkleDistribution(
+        bytes32 root,
+        uint256 total,
+        bool revocable,
+        uint256 claimDeadline
+    ) external onlyRole(CREATOR_ROLE) whenNotPaused returns (uint256) {
+        _checkNotZero(total);
+        _checkFunds(address(_token), total);
+        vestingSchedulesTotalAmount[address(_token)] += total;
+        uint256 distributionId = merkleDistributions.create(
+            root,
+            total,
+            revocable,
+            claimDeadline
+        );
+
+        emit MerkleDistributionCreated(
+            distributionId,
+            root,
+            total,
+            revocable,
+            claimDeadline
+        );
+        return distributionId;
+    }
+
+    /**
+     * @dev Creates the schedule of `allocation` from `distributionId`, then
+     * releases what is already vested. The leaf is
+     * keccak256(keccak256(abi.encode(beneficiary, amount, start, cliff,
+     * duration, slicePeriodSeconds))), and `proof` is checked with sorted
+     * pairs. Each allocation can only be claimed once, by the caller
+     * allowed to release for the beneficiary.
+     * Returns the id of the new schedule.
+     */
+    function claimMerkleSchedule(
+        uint256 distributionId,
+        MerkleDistributions.Allocation calldata allocation,
+        bytes32[] calldata proof
+    ) external whenNotPaused returns (bytes32) {
+        _checkCanRelease(allocation.beneficiary);
+        bool revocable = merkleDistributions.claim(
+            distributionId,
+            allocation,
+            proof,
+            getCurrentTime()
+        );
+
+        // Already reserved: moved from the distribution to the schedule
+        vestingSchedulesTotalAmount[address(_token)] -= allocation.amount;
+        bytes32 scheduleId = _createVestingSchedule(
+            address(_token),
+            VestingScheduleParams(
+                allocation.beneficiary,
+                allocation.start,
+                allocation.cliff,
+                allocation.duration,
+                allocation.slicePeriodSeconds,
+                revocable,
+                allocation.amount
+            ),
+            0
+        );
+        emit MerkleScheduleClaimed(distributionId, scheduleId);
+
+        _release(scheduleId);
+        return scheduleId;
+    }
+
+    /**
+     * @dev Changes the terms of `scheduleId`: adds `addedAmount` out of
+     * the unused funds of its token, extends its duration and makes it
+     * non-revocable. What was released stays released; the releasable
+     * amount is zero until the schedule vests more than that again.
+     * Added tokens and non-revocability apply right away. A longer
+     * duration slows the vesting down, so it is only proposed, and
+     * applied once the beneficiary accepts it with acceptAmendment.
+     * Any amendment replaces the duration pending.
+     */
+    function amendSchedule(bytes32 scheduleId, Amendment calldata amendment)
+        external
+        onlyRole(CREATOR_ROLE)
+        whenNotPaused
+        onlyIfExists(scheduleId)
+        onlyIfNotRevoked(scheduleId)
+    {
+        ScheduleAmendments.amend(
+            vestingSchedules[scheduleId],
+            vestingSchedulesTotalAmount,
+            pendingDurations,
+            scheduleId,
+            amendment,
+            scheduleCheckpoints[scheduleId].length > 0
         );
-        vestingSchedulesTotalAmount += _amount;
-        vestingSchedulesIds.push(vestingScheduleId);
-        holdersVestingCount[_beneficiary] += 1;
+    }
+
+    /**
+     * @dev Applies the duration proposed for `scheduleId`.
+     * Caller must be the beneficiary.
+     */
+    function acceptAmendment(bytes32 scheduleId)
+        external
+        whenNotPaused
+        onlyIfNotRevoked(scheduleId)
+    {
+        require(
+            msg.sender == vestingSchedules[scheduleId].beneficiary,
+            "Only beneficiary can accept"
+        );
+        ScheduleAmendments.accept(
+            vestingSchedules[scheduleId],
+            pendingDurations,
+            scheduleId
+        );
+    }
+
+    /**
+     * @dev Ends a Merkle distribution that is revocable or past its claim
+     * deadline: the allocations not claimed yet can no longer be claimed,
+     * and their reserved amount becomes withdrawable. Schedules already
+     * claimed are not affected.
+     */
+    function closeMerkleDistribution(uint256 distributionId)
+        external
+        onlyRole(REVOKER_ROLE)
+        timelocked
+    {
+        uint256 amount = merkleDistributions.close(
+            distributionId,
+            getCurrentTime()
+        );
+        vestingSchedulesTotalAmount[address(_token)] -= amount;
+
+        emit MerkleDistributionClosed(distributionId, amount);
     }
 
     /**
@@ -283,69 +1228,536 @@ contract Vesting is Ownable {
      */
     function revoke(bytes32 scheduleId)
         public
-        onlyOwner
+        onlyRole(REVOKER_ROLE)
         onlyIfExists(scheduleId)
         onlyIfNotRevoked(scheduleId)
+        timelocked
     {
-        VestingSchedule storage schedule = vestingSchedules[scheduleId];
+        _revoke(scheduleId, getCurrentTime(), true);
+    }
 
-        require(schedule.revocable == true, "Vesting is not revocable");
+    /**
+     * @dev Revokes `scheduleId` effective at `effectiveTime`, in the past
+     * or in the future: the schedule keeps vesting until then, and the
+     * rest becomes withdrawable right away.
+     * If `payVested` is false, the vested amount is not released; the
+     * beneficiary can release it later.
+     */
+    function revokeAt(
+        bytes32 scheduleId,
+        uint256 effectiveTime,
+        bool payVested
+    )
+        external
+        onlyRole(REVOKER_ROLE)
+        onlyIfExists(scheduleId)
+        onlyIfNotRevoked(scheduleId)
+        timelocked
+    {
+        _revoke(scheduleId, effectiveTime, payVested);
+    }
 
-        _release(scheduleId);
+    /**
+     * @dev Same as revokeAt for every revocable schedule of `holder`
+     * not revoked yet. The other schedules are left untouched.
+     */
+    function revokeAllForHolder(
+        address holder,
+        uint256 effectiveTime,
+        bool payVested
+    ) external onlyRole(REVOKER_ROLE) timelocked {
+        uint256 count = getScheduleCountHolder(holder);
+        uint256 revokedCount;
+        for (uint256 i = 0; i < count; i++) {
+            bytes32 scheduleId = getScheduleIdAtHolder(holder, i);
+            PackedSchedule storage schedule = vestingSchedules[scheduleId];
+            if (schedule.revocable && !schedule.revoked) {
+                _revoke(scheduleId, effectiveTime, payVested);
+                revokedCount++;
+            }
+        }
+        require(revokedCount > 0, "No revocable schedules");
+    }
 
-        uint256 revokedAmount = schedule.amountTotal -schedule.released;
-        vestingSchedulesTotalAmount -= revokedAmount;
-        schedule.revoked = true;
-        
-        emit Revoked(scheduleId, revokedAmount, schedule.beneficiary);
+    /**
+     * @dev Withdraw any unused funds of the default token.
+     */
+    function withdraw(uint256 amount)
+        external
+        onlyRole(TREASURY_ROLE)
+        timelocked
+    {
+        _withdraw(address(_token), amount);
+    }
+
+    /**
+     * @dev Withdraw any unused funds of `token`.
+     */
+    function withdrawToken(address token, uint256 amount)
+        external
+        onlyRole(TREASURY_ROLE)
+        timelocked
+    {
+        _withdraw(token, amount);
+    }
+
+    /**
+     * @dev Sends `amount` of `token`, sent to Vesting by mistake, to `to`.
+     * It never touches the default token, nor the funds of `token`
+     * committed in schedules. It is timelocked like withdrawToken: it can
+     * move the same unused funds, to any address, so it would otherwise
+     * skip the delay of withdrawToken.
+     */
+    function recoverERC20(
+        address token,
+        address to,
+        uint256 amount
+    ) external onlyRole(TREASURY_ROLE) timelocked {
+        require(token != address(_token), "Cannot recover the vesting token");
+        require(to != address(0x0), "Invalid recipient");
+        _checkWithdrawable(token, amount);
+        IERC20(token).safeTransfer(to, amount);
+
+        emit Recovered(token, to, amount);
+    }
+
+    // --- private --
+
+    /**
+     * @dev Returns true if `account` can release the schedules of
+     * `beneficiary`: the beneficiary itself, its claimer or an admin.
+     */
+    function _canRelease(address account, address beneficiary)
+        private
+        view
+        returns (bool)
+    {
+        return
+            account == beneficiary ||
+            account == claimers[beneficiary] ||
+            hasRole(DEFAULT_ADMIN_ROLE, account);
+    }
+
+    /**
+     * @dev Reverts if `amount` of `token` is not available for new
+     * schedules.
+     */
+    function _checkFunds(address token, uint256 amount) private view {
+        require(
+            getWithdrawableAmountByToken(token) >= amount,
+            "Not enough funds"
+        );
     }
 
     /**
-     * @dev Withdraw any unused funds.
+     * @dev Returns the number of schedules of `holder`, reverts if it
+     * has none.
      */
-    function withdraw(uint256 amount) external onlyOwner {
+    function _checkHasSchedules(address holder)
+        private
+        view
+        returns (uint256 count)
+    {
+        count = getScheduleCountHolder(holder);
+        require(count > 0, "No schedules found");
+    }
+
+    // Checks repeated in several functions, shared to keep Vesting under
+    // the contract size limit
+    function _checkNotZero(uint256 amount) private pure {
+        require(amount > 0, "Amount cannot be zero");
+    }
+
+    function _checkRevocable(bool revocable) private pure {
+        require(revocable, "Vesting is not revocable");
+    }
+
+    function _checkPayOut(address recipient, uint256 amount) private pure {
+        require(recipient != address(0x0), "Invalid recipient");
+        _checkAmountReleased(amount);
+    }
+
+    function _checkReleasable(uint256 amount, uint256 releasable)
+        private
+        pure
+    {
+        require(amount <= releasable, "Amount exceeds releasable amount");
+    }
+
+    function _checkAmountReleased(uint256 amount) private pure {
+        require(amount > 0, "No amount to release");
+    }
+
+    function _checkWithdrawable(address token, uint256 amount) private view {
         require(
-            this.getWithdrawableAmount() >= amount,
+            getWithdrawableAmountByToken(token) >= amount,
             "Not enough withdrawable funds"
         );
-        _token.safeTransfer(owner(), amount);
     }
 
-    // --- private --
+    // The checks of the modifiers are functions, so that their code is
+    // not copied into every function using them
+    function _checkExists(bytes32 vestingScheduleId) private view {
+        require(
+            vestingSchedules[vestingScheduleId].initialized == true,
+            "Schedule not initialized"
+        );
+    }
+
+    function _checkNotRevoked(bytes32 vestingScheduleId) private view {
+        require(
+            vestingSchedules[vestingScheduleId].revoked == false,
+            "Schedule has been revoked"
+        );
+    }
 
     /**
-     * @dev Release all available tokens for `vestingScheduleId`.
-     * Returns the amount released. Can be zero.
+     * @dev Reverts if the caller cannot release the schedules of
+     * `beneficiary`.
      */
-    function _release(bytes32 scheduleId)
+    function _checkCanRelease(address beneficiary) private view {
+        require(
+            _canRelease(msg.sender, beneficiary),
+            "Only beneficiary, claimer and admin can release vested tokens"
+        );
+    }
+
+    function _initialize(address token, address admin) private {
+        require(token != address(0x0));
+        _token = IERC20(token);
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(CREATOR_ROLE, admin);
+        _grantRole(REVOKER_ROLE, admin);
+        _grantRole(TREASURY_ROLE, admin);
+        _grantRole(PAUSER_ROLE, admin);
+    }
+
+    /**
+     * @dev Moves all the schedules of `holder` to `newBeneficiary`.
+     * Schedule ids do not change; they are listed under `newBeneficiary`
+     * by getScheduleIdAtHolder.
+     */
+    function _transferBeneficiary(address holder, address newBeneficiary)
         private
-        onlyIfExists(scheduleId)
-        onlyIfNotRevoked(scheduleId)
-        returns (uint256)
     {
-        VestingSchedule storage schedule = vestingSchedules[scheduleId];
-        address sender = msg.sender;
-        address beneficiary = schedule.beneficiary;
-        bool isBeneficiary = (sender == beneficiary);
-        bool isOwner = (sender == owner());
+        uint256 count = getScheduleCountHolder(holder);
+        for (uint256 i = 0; i < count; i++) {
+            bytes32 scheduleId = getScheduleIdAtHolder(holder, i);
+            vestingSchedules[scheduleId].beneficiary = newBeneficiary;
+            receivedSchedules[newBeneficiary].push(scheduleId);
+        }
+        transferredCount[holder] = holdersVestingCount[holder];
+        delete receivedSchedules[holder];
+        delete pendingBeneficiaries[holder];
+
+        emit BeneficiaryTransferred(holder, newBeneficiary, count);
+    }
+
+    /**
+     * @dev Checks the funds of `token` and creates the vesting schedules.
+     */
+    function _createVestingSchedules(
+        address token,
+        VestingScheduleParams[] calldata schedules
+    ) private {
+        require(schedules.length > 0, "No schedules to create");
+        uint256 totalAmount;
+        for (uint256 i = 0; i < schedules.length; i++) {
+            totalAmount += schedules[i].amount;
+        }
+        _checkFunds(token, totalAmount);
+
+        for (uint256 i = 0; i < schedules.length; i++) {
+            _createVestingSchedule(token, schedules[i], 0);
+        }
+    }
+
+    /**
+     * @dev Stops the vesting of `scheduleId` at `effectiveTime` and
+     * uncommits what would have vested after it.
+     */
+    function _revoke(
+        bytes32 scheduleId,
+        uint256 effectiveTime,
+        bool payVested
+    ) private {
+        PackedSchedule storage schedule = vestingSchedules[scheduleId];
+
+        _checkRevocable(schedule.revocable);
+
+        schedule.revoked = true;
+        schedule.revokedAt = effectiveTime.toUint40();
+        if (payVested) {
+            _requireNotPaused();
+            _release(scheduleId);
+        }
+
+        uint256 kept = _computeKeptAmount(scheduleId);
+        if (schedule.released == kept) {
+            schedule.completed = true;
+        }
+        uint256 revokedAmount = schedule.amountTotal - kept;
+        vestingSchedulesTotalAmount[schedule.token] -= revokedAmount;
+
+        emit Revoked(
+            scheduleId,
+            revokedAmount,
+            schedule.beneficiary,
+            effectiveTime
+        );
+    }
+
+    /**
+     * @dev Returns true if the current call can run now. Otherwise queues
+     * it, or reverts if it is queued and the delay has not passed.
+     * The caller is part of the operation, so that another account with
+     * the role cannot run it, e.g. to receive a queued withdrawal.
+     */
+    function _checkTimelock() private returns (bool) {
+        if (timelockDelay == 0) {
+            return true;
+        }
+        bytes32 operationId = keccak256(abi.encode(msg.sender, msg.data));
+        uint256 readyAt = timelockReadyAt[operationId];
+        if (readyAt == 0) {
+            readyAt = getCurrentTime() + timelockDelay;
+            timelockReadyAt[operationId] = readyAt;
+            emit OperationQueued(operationId, msg.sender, msg.data, readyAt);
+            return false;
+        }
+        require(getCurrentTime() >= readyAt, "Operation is timelocked");
+        delete timelockReadyAt[operationId];
+
+        emit OperationExecuted(operationId);
+        return true;
+    }
+
+    function _createTgeSchedule(
+        address token,
+        VestingScheduleParams calldata params,
+        uint256 tgeBasisPoints
+    ) private {
+        require(tgeBasisPoints <= 10000, "TGE cannot be above 100%");
+        _checkFunds(token, params.amount);
+        _createVestingSchedule(
+            token,
+            params,
+            (params.amount * tgeBasisPoints) / 10000
+        );
+    }
+
+    function _createCheckpointSchedule(
+        address token,
+        address beneficiary,
+        bool revocable,
+        Checkpoint[] calldata checkpoints
+    ) private {
+        require(checkpoints.length > 0, "No checkpoints");
+        for (uint256 i = 1; i < checkpoints.length; i++) {
+            require(
+                checkpoints[i].timestamp > checkpoints[i - 1].timestamp &&
+                    checkpoints[i].amount >= checkpoints[i - 1].amount,
+                "Checkpoints must be increasing"
+            );
+        }
+        uint256 start = checkpoints[0].timestamp;
+        Checkpoint calldata last = checkpoints[checkpoints.length - 1];
+        _checkFunds(token, last.amount);
+
+        bytes32 scheduleId = _createVestingSchedule(
+            token,
+            VestingScheduleParams(
+                beneficiary,
+                start,
+                0,
+                last.timestamp - start,
+                1,
+                revocable,
+                last.amount
+            ),
+            checkpoints[0].amount
+        );
+        for (uint256 i = 0; i < checkpoints.length; i++) {
+            scheduleCheckpoints[scheduleId].push(checkpoints[i]);
+        }
+
+        emit CheckpointsSet(scheduleId, checkpoints);
+    }
+
+    /**
+     * @dev Validates and stores a new vesting schedule of `token`, with
+     * `tgeAmount` vested at start. Funds must be checked by the caller.
+     * Only a schedule fully vested at start can have no duration.
+     */
+    function _createVestingSchedule(
+        address token,
+        VestingScheduleParams memory params,
+        uint256 tgeAmount
+    ) private returns (bytes32) {
+        require(
+            params.duration > 0 || tgeAmount == params.amount,
+            "Duration cannot be zero"
+        );
+        _checkNotZero(params.amount);
         require(
-            isBeneficiary || isOwner,
-            "Only beneficiary and owner can release vested tokens"
+            params.slicePeriodSeconds > 0,
+            "SlicePeriodSeconds cannot be zero"
         );
+        bytes32 vestingScheduleId = computeNextSecheduleId(params.beneficiary);
+        uint256 cliff = params.start + params.cliff;
+        vestingSchedules[vestingScheduleId] = PackedSchedule(
+            params.beneficiary,
+            params.start.toUint40(),
+            cliff.toUint40(),
+            true,
+            params.revocable,
+            token,
+            params.duration.toUint40(),
+            0,
+            false,
+            false,
+            params.amount.toUint128(),
+            0,
+            tgeAmount.toUint128(),
+            params.slicePeriodSeconds.toUint40()
+        );
+        vestingSchedulesTotalAmount[token] += params.amount;
+        vestingSchedulesIds.push(vestingScheduleId);
+        holdersVestingCount[params.beneficiary] += 1;
 
+        emit ScheduleCreated(
+            vestingScheduleId,
+            params.beneficiary,
+            token,
+            params.start,
+            cliff,
+            params.duration,
+            params.slicePeriodSeconds,
+            params.revocable,
+            params.amount,
+            tgeAmount
+        );
+
+        return vestingScheduleId;
+    }
+
+    /**
+     * @dev Release all available tokens for `vestingScheduleId` to its
+     * beneficiary. The caller checks who may release.
+     * Returns the amount released. Can be zero.
+     */
+    function _release(bytes32 scheduleId) private returns (uint256) {
         uint256 amount = _computeReleasableAmount(scheduleId);
-        if (amount == 0) {
-            return 0;
+        if (amount > 0) {
+            _payOut(
+                scheduleId,
+                vestingSchedules[scheduleId].beneficiary,
+                amount
+            );
+        }
+        return amount;
+    }
+
+    /**
+     * @dev Releases the schedules of `holder` with index in [from, to)
+     * to their beneficiary, skipping the completed ones.
+     * Reverts if nothing is released.
+     */
+    function _releaseRange(
+        address holder,
+        uint256 from,
+        uint256 to
+    ) private {
+        uint256 totAmt;
+        for (uint256 i = from; i < to; i++) {
+            bytes32 scheduleId = getScheduleIdAtHolder(holder, i);
+            if (!vestingSchedules[scheduleId].completed) {
+                totAmt += _release(scheduleId);
+            }
         }
+        require(totAmt > 0, "No releasable amount");
+    }
 
-        schedule.released += amount;
-        vestingSchedulesTotalAmount -= amount;
+    /**
+     * @dev Marks `amount` of `scheduleId` as released and sends it
+     * to `recipient`. The caller checks that it is releasable.
+     */
+    function _payOut(
+        bytes32 scheduleId,
+        address recipient,
+        uint256 amount
+    ) private {
+        PackedSchedule storage schedule = vestingSchedules[scheduleId];
+        uint256 released = schedule.released + amount;
+        schedule.released = released.toUint128();
+        if (released == _computeKeptAmount(scheduleId)) {
+            schedule.completed = true;
+        }
+        vestingSchedulesTotalAmount[schedule.token] -= amount;
 
-        _token.safeTransfer(beneficiary, amount);
+        IERC20(schedule.token).safeTransfer(recipient, amount);
 
-        emit Released(scheduleId, amount, beneficiary);
+        emit Released(scheduleId, amount, schedule.beneficiary, recipient);
+    }
 
-        return amount;
+    /**
+     * @dev Transfers `amount` of unused funds of `token` to the caller.
+     */
+    function _withdraw(address token, uint256 amount) private {
+        _checkWithdrawable(token, amount);
+        IERC20(token).safeTransfer(msg.sender, amount);
+
+        emit Withdrawn(token, msg.sender, amount);
+    }
+
+    /**
+     * @dev Returns all releasable amount of the schedules of `token`
+     * for `holder`.
+     */
+    function _computeAmountForAllSchedules(address holder, address token)
+        private
+        view
+        returns (uint256)
+    {
+        uint256 releasableAmt;
+        uint256 count = getScheduleCountHolder(holder);
+        for (uint256 i = 0; i < count; i++) {
+            bytes32 scheduleId = getScheduleIdAtHolder(holder, i);
+            PackedSchedule storage schedule = vestingSchedules[scheduleId];
+            if (!schedule.completed && schedule.token == token) {
+                releasableAmt += _computeReleasableAmount(scheduleId);
+            }
+        }
+        return releasableAmt;
+    }
+
+    /**
+     * @dev Number of items of a page of `total` items.
+     */
+    function _pageSize(
+        uint256 total,
+        uint256 offset,
+        uint256 limit
+    ) private pure returns (uint256) {
+        if (offset >= total) {
+            return 0;
+        }
+        uint256 left = total - offset;
+        return left < limit ? left : limit;
+    }
+
+    function _scheduleView(bytes32 scheduleId)
+        private
+        view
+        returns (ScheduleView memory)
+    {
+        return
+            ScheduleView(
+                scheduleId,
+                getSchedule(scheduleId),
+                _computeVestedAmountNow(scheduleId),
+                _computeReleasableAmount(scheduleId)
+            );
     }
 
     /**
@@ -356,19 +1768,94 @@ contract Vesting is Ownable {
         view
         returns (uint256)
     {
+        uint256 released = vestingSchedules[vestingScheduleId].released;
+        uint256 vested = _computeVestedAmountNow(vestingScheduleId);
+        // Revoked at a past time, after releasing more than it vested then
+        if (vested < released) {
+            return 0;
+        }
+        return vested - released;
+    }
+
+    /**
+     * @dev Amount of `vestingScheduleId` vested at the current time,
+     * or at the revocation if it was before.
+     */
+    function _computeVestedAmountNow(bytes32 vestingScheduleId)
+        internal
+        view
+        returns (uint256)
+    {
+        PackedSchedule storage schedule = vestingSchedules[vestingScheduleId];
         uint256 currentTime = getCurrentTime();
-        VestingSchedule storage schedule = vestingSchedules[vestingScheduleId];
-        if ((currentTime < schedule.cliff) || schedule.revoked == true) {
+        if (schedule.revoked && schedule.revokedAt < currentTime) {
+            currentTime = schedule.revokedAt;
+        }
+        return _computeVestedAmount(vestingScheduleId, currentTime);
+    }
+
+    /**
+     * @dev Part of the amount of `vestingScheduleId` that is not revoked:
+     * all of it, or what vested until the revocation. What was released
+     * before a past revocation stays released.
+     */
+    function _computeKeptAmount(bytes32 vestingScheduleId)
+        internal
+        view
+        returns (uint256)
+    {
+        PackedSchedule storage schedule = vestingSchedules[vestingScheduleId];
+        if (!schedule.revoked) {
+            return schedule.amountTotal;
+        }
+        uint256 vested = _computeVestedAmount(
+            vestingScheduleId,
+            schedule.revokedAt
+        );
+        return vested < schedule.released ? schedule.released : vested;
+    }
+
+    /**
+     * @dev Amount of `vestingScheduleId` vested at `currentTime`,
+     * released or not.
+     */
+    function _computeVestedAmount(
+        bytes32 vestingScheduleId,
+        uint256 currentTime
+    ) internal view returns (uint256) {
+        Checkpoint[] storage checkpoints = scheduleCheckpoints[
+            vestingScheduleId
+        ];
+        if (checkpoints.length > 0) {
+            uint256 vested;
+            for (
+                uint256 i = 0;
+                i < checkpoints.length && checkpoints[i].timestamp <= currentTime;
+                i++
+            ) {
+                vested = checkpoints[i].amount;
+            }
+            return vested;
+        }
+
+        PackedSchedule storage schedule = vestingSchedules[vestingScheduleId];
+        // Widened to uint256 so the products below cannot overflow
+        uint256 start = schedule.start;
+        uint256 duration = schedule.duration;
+        if (currentTime < start) {
             return 0;
-        } else if (currentTime >= schedule.start + schedule.duration) {
-            return schedule.amountTotal - schedule.released;
+        } else if (currentTime < schedule.cliff) {
+            return schedule.tgeAmount;
+        } else if (currentTime >= start + duration) {
+            return schedule.amountTotal;
         } else {
-            uint256 slicePeriods = (currentTime - schedule.start) /
-                schedule.slicePeriodSeconds;
-            uint256 vestedSeconds = slicePeriods * schedule.slicePeriodSeconds;
-            uint256 amount = (schedule.amountTotal * vestedSeconds) /
-                schedule.duration;
-            return (amount - schedule.released);
+            uint256 tgeAmount = schedule.tgeAmount;
+            uint256 slicePeriodSeconds = schedule.slicePeriodSeconds;
+            uint256 slicePeriods = (currentTime - start) / slicePeriodSeconds;
+            uint256 vestedSeconds = slicePeriods * slicePeriodSeconds;
+            uint256 amount = ((schedule.amountTotal - tgeAmount) *
+                vestedSeconds) / duration;
+            return tgeAmount + amount;
         }
     }
 
@@ -0,0 +1,140 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./Vesting.sol";
+
+/**
+ * Deploys Vesting instances as minimal clones (EIP-1167) of a single
+ * implementation, and keeps a registry of them by token and by owner.
+ * The owner of an instance gets every role of it; the factory keeps none.
+ */
+contract VestingFactory {
+    using SafeERC20 for IERC20;
+
+    // Vesting the clones delegate to. It is initialized by its constructor,
+    // with the factory as a placeholder token, so it can never be
+    // initialized again; the factory renounces the roles it got with it.
+    address public immutable implementation;
+
+    address[] private vestings;
+    mapping(address => address[]) private vestingsByToken;
+    // Owner given at creation; roles can change afterwards
+    mapping(address => address[]) private vestingsByOwner;
+
+    event VestingCreated(
+        address vesting,
+        address token,
+        address owner,
+        uint256 funding,
+        uint256 scheduleCount
+    );
+
+    constructor() {
+        Vesting vesting = new Vesting(address(this));
+        bytes32[5] memory roles = [
+            vesting.CREATOR_ROLE(),
+            vesting.REVOKER_ROLE(),
+            vesting.TREASURY_ROLE(),
+            vesting.PAUSER_ROLE(),
+            vesting.DEFAULT_ADMIN_ROLE()
+        ];
+        for (uint256 i = 0; i < roles.length; i++) {
+            vesting.renounceRole(roles[i], address(this));
+        }
+        implementation = address(vesting);
+    }
+
+    /**
+     * @dev Deploys a Vesting of `token` with every role granted to `owner`.
+     * `funding` tokens are transferred from the caller, who must have
+     * approved them, before `schedules` are created. All in one
+     * transaction: if any schedule is not valid or not funded, nothing
+     * is deployed.
+     */
+    function createVesting(
+        address token,
+        address owner,
+        uint256 funding,
+        Vesting.VestingScheduleParams[] calldata schedules
+    ) external returns (address) {
+        require(owner != address(0x0), "Invalid owner");
+
+        address vesting = Clones.clone(implementation);
+        if (funding > 0) {
+            IERC20(token).safeTransferFrom(msg.sender, vesting, funding);
+        }
+        Vesting(vesting).initialize(token, owner, schedules);
+
+        vestings.push(vesting);
+        vestingsByToken[token].push(vesting);
+        vestingsByOwner[owner].push(vesting);
+
+        emit VestingCreated(vesting, token, owner, funding, schedules.length);
+
+        return vesting;
+    }
+
+    /**
+     * @dev Returns the number of Vesting deployed by the factory.
+     */
+    function getVestingCount() external view returns (uint256) {
+        return vestings.length;
+    }
+
+    /**
+     * @dev Returns the Vesting at `index`, in creation order.
+     */
+    function getVestingAt(uint256 index) external view returns (address) {
+        require(index < vestings.length, "Index out of bounds");
+        return vestings[index];
+    }
+
+    /**
+     * @dev Returns the number of Vesting of `token`.
+     */
+    function getVestingCountByToken(address token)
+        external
+        view
+        returns (uint256)
+    {
+        return vestingsByToken[token].length;
+    }
+
+    /**
+     * @dev Returns the Vesting of `token` at `index`.
+     */
+    function getVestingByTokenAt(address token, uint256 index)
+        external
+        view
+        returns (address)
+    {
+        require(index < vestingsByToken[token].length, "Index out of bounds");
+        return vestingsByToken[token][index];
+    }
+
+    /**
+     * @dev Returns the number of Vesting created for `owner`.
+     */
+    function getVestingCountByOwner(address owner)
+        external
+        view
+        returns (uint256)
+    {
+        return vestingsByOwner[owner].length;
+    }
+
+    /**
+     * @dev Returns the Vesting created for `owner` at `index`.
+     */
+    function getVestingByOwnerAt(address owner, uint256 index)
+        external
+        view
+        returns (address)
+    {
+        require(index < vestingsByOwner[owner].length, "Index out of bounds");
+        return vestingsByOwner[owner][index];
+    }
+}
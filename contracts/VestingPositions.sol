@@ -0,0 +1,357 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./Vesting.sol";
+
+/**
+ * Vesting schedules held as ERC721 positions. The schedules of a position
+ * have this contract as beneficiary in Vesting, and the token id is the
+ * schedule id: the owner of the token, or an approved address, releases
+ * the schedule to the owner, so release rights follow the token.
+ *
+ * Positions are opt-in: they are minted with a new schedule by an account
+ * with CREATOR_ROLE in Vesting (this contract needs CREATOR_ROLE too), or
+ * by a holder wrapping its existing schedules with a beneficiary transfer.
+ * The issuer can mark a position non-transferable.
+ */
+contract VestingPositions is ERC721Enumerable {
+    using SafeERC20 for IERC20;
+    using Strings for uint256;
+    using Strings for address;
+
+    Vesting public immutable vesting;
+
+    // Positions that can only be minted, set by the issuer
+    mapping(uint256 => bool) private nonTransferable;
+    // Amount sent to the owners of a position, so that what Vesting paid
+    // to this contract (a revocation, or a release by an admin) is
+    // forwarded on the next release
+    mapping(uint256 => uint256) private paidOut;
+
+    event PositionReleased(uint256 tokenId, address owner, uint256 amount);
+    event TransferableSet(uint256 tokenId, bool transferable);
+
+    /**
+     * @dev Reverts if the caller is not a creator of schedules in Vesting.
+     */
+    modifier onlyIssuer() {
+        require(
+            vesting.hasRole(vesting.CREATOR_ROLE(), msg.sender),
+            "Only issuer"
+        );
+        _;
+    }
+
+    constructor(Vesting vesting_) ERC721("Vesting Position", "VPOS") {
+        vesting = vesting_;
+    }
+
+    /**
+     * @dev Creates a schedule of the default token with `params` and mints
+     * its position to `params.beneficiary`. Returns the token id.
+     */
+    function mint(
+        Vesting.VestingScheduleParams calldata params,
+        bool transferable
+    ) external onlyIssuer returns (uint256) {
+        bytes32 scheduleId = vesting.computeNextSecheduleId(address(this));
+        vesting.createVestingSchedule(
+            address(this),
+            params.start,
+            params.cliff,
+            params.duration,
+            params.slicePeriodSeconds,
+            params.revocable,
+            params.amount
+        );
+        return _mintPosition(params.beneficiary, scheduleId, transferable);
+    }
+
+    /**
+     * @dev Same as mint for a schedule of `token`.
+     */
+    function mintForToken(
+        address token,
+        Vesting.VestingScheduleParams calldata params,
+        bool transferable
+    ) external onlyIssuer returns (uint256) {
+        bytes32 scheduleId = vesting.computeNextSecheduleId(address(this));
+        vesting.createVestingScheduleForToken(
+            token,
+            address(this),
+            params.start,
+            params.cliff,
+            params.duration,
+            params.slicePeriodSeconds,
+            params.revocable,
+            params.amount
+        );
+        return _mintPosition(params.beneficiary, scheduleId, transferable);
+    }
+
+    /**
+     * @dev Mints a position for every schedule of the caller. The caller
+     * must have nominated this contract with
+     * Vesting.requestBeneficiaryTransfer first.
+     */
+    function wrap() external {
+        address self = address(this);
+        uint256 count = vesting.getScheduleCountHolder(self);
+        vesting.acceptBeneficiaryTransfer(msg.sender);
+        uint256 newCount = vesting.getScheduleCountHolder(self);
+        for (uint256 i = count; i < newCount; i++) {
+            _mintPosition(
+                msg.sender,
+                vesting.getScheduleIdAtHolder(self, i),
+                true
+            );
+        }
+    }
+
+    /**
+     * @dev Releases the vested tokens of position `tokenId` to its owner.
+     * Caller must be the owner or approved for the position.
+     */
+    function release(uint256 tokenId) external {
+        require(
+            _isApprovedOrOwner(msg.sender, tokenId),
+            "Only owner or approved can release"
+        );
+        bytes32 scheduleId = bytes32(tokenId);
+        address owner = ownerOf(tokenId);
+        uint256 releasable = vesting.computeReleasableAmount(scheduleId);
+        if (releasable > 0) {
+            vesting.releaseTo(scheduleId, owner, releasable);
+        }
+
+        // Released by Vesting to this contract since the last release
+        Vesting.VestingSchedule memory schedule = vesting.getSchedule(
+            scheduleId
+        );
+        uint256 held = schedule.released - paidOut[tokenId] - releasable;
+        if (held > 0) {
+            IERC20(schedule.token).safeTransfer(owner, held);
+        }
+        uint256 amount = releasable + held;
+        require(amount > 0, "No amount to release");
+        paidOut[tokenId] = schedule.released;
+
+        emit PositionReleased(tokenId, owner, amount);
+    }
+
+    /**
+     * @dev Accepts the amendment proposed in Vesting for the schedule of
+     * position `tokenId`, whose beneficiary is this contract.
+     * Caller must be the owner of the position.
+     */
+    function acceptAmendment(uint256 tokenId) external {
+        require(ownerOf(tokenId) == msg.sender, "Only owner can accept");
+        vesting.acceptAmendment(bytes32(tokenId));
+    }
+
+    /**
+     * @dev Marks position `tokenId` transferable or not.
+     */
+    function setTransferable(uint256 tokenId, bool transferable)
+        external
+        onlyIssuer
+    {
+        _requireMinted(tokenId);
+        nonTransferable[tokenId] = !transferable;
+
+        emit TransferableSet(tokenId, transferable);
+    }
+
+    /**
+     * @dev Returns true if position `tokenId` can be transferred.
+     */
+    function isTransferable(uint256 tokenId) public view returns (bool) {
+        _requireMinted(tokenId);
+        return !nonTransferable[tokenId];
+    }
+
+    /**
+     * @dev Returns the number of positions of `holder`, like
+     * Vesting.getScheduleCountHolder for the schedules held directly.
+     */
+    function getScheduleCountHolder(address holder)
+        external
+        view
+        returns (uint256)
+    {
+        return balanceOf(holder);
+    }
+
+    /**
+     * @dev Returns the schedule id of the position of `holder` at `index`.
+     */
+    function getScheduleIdAtHolder(address holder, uint256 index)
+        external
+        view
+        returns (bytes32)
+    {
+        return bytes32(tokenOfOwnerByIndex(holder, index));
+    }
+
+    /**
+     * @dev Returns the next time the vested amount of `tokenId` grows,
+     * or zero if it will not. A revoked schedule stops growing at its
+     * effective time.
+     */
+    function getNextUnlock(uint256 tokenId) public view returns (uint256) {
+        _requireMinted(tokenId);
+        bytes32 scheduleId = bytes32(tokenId);
+        Vesting.VestingSchedule memory s = vesting.getSchedule(scheduleId);
+        uint256 next = _nextUnlock(scheduleId, s, getCurrentTime());
+        return s.revoked && next > s.revokedAt ? 0 : next;
+    }
+
+    // Next unlock of schedule `s` after `time`, ignoring its revocation
+    function _nextUnlock(
+        bytes32 scheduleId,
+        Vesting.VestingSchedule memory s,
+        uint256 time
+    ) private view returns (uint256) {
+        Vesting.Checkpoint[] memory checkpoints = vesting
+            .getScheduleCheckpoints(scheduleId);
+        if (checkpoints.length > 0) {
+            for (uint256 i = 0; i < checkpoints.length; i++) {
+                if (checkpoints[i].timestamp > time) {
+                    return checkpoints[i].timestamp;
+                }
+            }
+            return 0;
+        }
+
+        uint256 end = s.start + s.duration;
+        if (time >= end) {
+            return 0;
+        }
+        if (time < s.start && s.tgeAmount > 0) {
+            return s.start;
+        }
+        // First slice after `time`, vested from the cliff
+        uint256 next = s.start + s.slicePeriodSeconds;
+        if (time >= s.start) {
+            next +=
+                ((time - s.start) / s.slicePeriodSeconds) *
+                s.slicePeriodSeconds;
+        }
+        if (next < s.cliff) {
+            next = s.cliff;
+        }
+        return next < end ? next : end;
+    }
+
+    /**
+     * @dev Returns the metadata of position `tokenId` as a JSON data URI,
+     * with the granted, released and vested amounts and the next unlock.
+     */
+    function tokenURI(uint256 tokenId)
+        public
+        view
+        override
+        returns (string memory)
+    {
+        _requireMinted(tokenId);
+        bytes memory json = abi.encodePacked(
+            '{"name":"Vesting position ',
+            tokenId.toHexString(32),
+            '","description":"Vesting schedule released to the owner of this token.","attributes":[',
+            _amountAttributes(tokenId),
+            _timeAttributes(tokenId),
+            "]}"
+        );
+        return
+            string(
+                abi.encodePacked(
+                    "data:application/json;base64,",
+                    Base64.encode(json)
+                )
+            );
+    }
+
+    function _mintPosition(
+        address to,
+        bytes32 scheduleId,
+        bool transferable
+    ) private returns (uint256) {
+        uint256 tokenId = uint256(scheduleId);
+        nonTransferable[tokenId] = !transferable;
+        // Released before the schedule became a position
+        paidOut[tokenId] = vesting.getSchedule(scheduleId).released;
+        _safeMint(to, tokenId);
+        return tokenId;
+    }
+
+    function _beforeTokenTransfer(
+        address from,
+        address to,
+        uint256 firstTokenId,
+        uint256 batchSize
+    ) internal override {
+        require(
+            from == address(0x0) || !nonTransferable[firstTokenId],
+            "Position is not transferable"
+        );
+        super._beforeTokenTransfer(from, to, firstTokenId, batchSize);
+    }
+
+    function _amountAttributes(uint256 tokenId)
+        private
+        view
+        returns (bytes memory)
+    {
+        bytes32 scheduleId = bytes32(tokenId);
+        Vesting.VestingSchedule memory s = vesting.getSchedule(scheduleId);
+        uint256 vested = s.released +
+            vesting.computeReleasableAmount(scheduleId);
+        // Amounts are strings: token units overflow the numbers of JSON
+        // parsers past 2^53
+        return
+            abi.encodePacked(
+                '{"trait_type":"Token","value":"',
+                s.token.toHexString(),
+                '"},{"trait_type":"Granted","value":"',
+                s.amountTotal.toString(),
+                '"},{"trait_type":"Released","value":"',
+                s.released.toString(),
+                '"},{"trait_type":"Vested","value":"',
+                vested.toString(),
+                '"},{"trait_type":"Progress","display_type":"boost_percentage","value":',
+                ((vested * 100) / s.amountTotal).toString(),
+                '},{"trait_type":"Revoked","value":',
+                s.revoked ? "true" : "false",
+                "},"
+            );
+    }
+
+    function _timeAttributes(uint256 tokenId)
+        private
+        view
+        returns (bytes memory)
+    {
+        uint256 nextUnlock = getNextUnlock(tokenId);
+        return
+            abi.encodePacked(
+                '{"trait_type":"Transferable","value":',
+                nonTransferable[tokenId] ? "false" : "true",
+                nextUnlock > 0
+                    ? abi.encodePacked(
+                        '},{"trait_type":"Next unlock","display_type":"date","value":',
+                        nextUnlock.toString()
+                    )
+                    : bytes(""),
+                "}"
+            );
+    }
+
+    function getCurrentTime() internal view virtual returns (uint256) {
+        return block.timestamp;
+    }
+}
@@ -0,0 +1,29 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title FeeOnTransferToken
+ * Burns `feeBasisPoints` of every transfer, and can shrink any balance
+ * like a negative rebase.
+ * WARNING: use only for testing and debugging purpose
+ */
+contract FeeOnTransferToken is ERC20 {
+    uint256 public feeBasisPoints;
+
+    constructor(uint256 initialSupply, uint256 feeBasisPoints_) ERC20("Fee Token", "FEE") {
+        feeBasisPoints = feeBasisPoints_;
+        _mint(msg.sender, initialSupply);
+    }
+
+    function rebase(address account, uint256 amount) external {
+        _burn(account, amount);
+    }
+
+    function _transfer(address from, address to, uint256 amount) internal virtual override {
+        uint256 fee = (amount * feeBasisPoints) / 10000;
+        _burn(from, fee);
+        super._transfer(from, to, amount - fee);
+    }
+}
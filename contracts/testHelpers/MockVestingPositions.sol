@@ -0,0 +1,18 @@
+//SPDX-License-Identifier: Unlicense
+pragma solidity ^0.8.0;
+
+import "../VestingPositions.sol";
+import "./MockVesting.sol";
+
+/**
+ * @title MockVestingPositions
+ * Reads the time of its MockVesting.
+ * WARNING: use only for testing and debugging purpose
+ */
+contract MockVestingPositions is VestingPositions {
+    constructor(MockVesting vesting_) VestingPositions(vesting_) {}
+
+    function getCurrentTime() internal view override returns (uint256) {
+        return MockVesting(address(vesting)).getCurrentMockedTime();
+    }
+}
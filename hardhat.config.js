@@ -1,7 +1,17 @@
 require("@nomiclabs/hardhat-waffle");
+require("./tasks/vesting");
 /**
  * @type import('hardhat/config').HardhatUserConfig
  */
 module.exports = {
-  solidity: "0.8.4",
+  solidity: {
+    version: "0.8.4",
+    settings: {
+      // Vesting is close to the 24KB contract size limit without it
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+    },
+  },
 };
@@ -0,0 +1,756 @@
+const { ethers } = require("ethers");
+const { getAbi } = require("./artifacts");
+const { translateError } = require("./errors");
+const { toSeconds, toDate } = require("./units");
+const { merkleLeaf } = require("./merkle");
+
+/**
+ * Same as Vesting.computeScheduleId, without a call to the contract.
+ */
+function computeScheduleId(holder, index) {
+    return ethers.utils.solidityKeccak256(
+        ["address", "uint256"],
+        [holder, index]
+    );
+}
+
+/**
+ * Maps the options accepted by createSchedule to the
+ * VestingScheduleParams struct of the contract.
+ */
+function toScheduleParams({
+    beneficiary,
+    start,
+    cliff = 0,
+    duration,
+    slicePeriodSeconds,
+    revocable = false,
+    amount,
+}) {
+    return {
+        beneficiary,
+        start: toSeconds(start),
+        cliff,
+        duration,
+        slicePeriodSeconds,
+        revocable,
+        amount,
+    };
+}
+
+/**
+ * Maps the VestingSchedule struct returned by the contract to a plain object.
+ * Amounts stay as BigNumber, `start` and `cliff` become Date.
+ * `checkpoints` is added by VestingClient.getScheduleById.
+ */
+function toSchedule(scheduleId, raw) {
+    return {
+        scheduleId,
+        beneficiary: raw.beneficiary,
+        token: raw.token,
+        start: toDate(raw.start),
+        cliff: toDate(raw.cliff),
+        duration: raw.duration.toNumber(),
+        slicePeriodSeconds: raw.slicePeriodSeconds.toNumber(),
+        revocable: raw.revocable,
+        amountTotal: raw.amountTotal,
+        released: raw.released,
+        revoked: raw.revoked,
+        revokedAt: raw.revoked ? toDate(raw.revokedAt) : null,
+        tgeAmount: raw.tgeAmount,
+    };
+}
+
+const RELEASE_TYPES = {
+    Release: [
+        { name: "scheduleId", type: "bytes32" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+};
+
+/**
+ * Returns the EIP-712 typed data of a signed release accepted by
+ * Vesting.releaseWithSig, as { domain, types, value }.
+ * `deadline` is a Date or epoch seconds.
+ */
+function releaseTypedData({ chainId, vesting, scheduleId, nonce, deadline }) {
+    return {
+        domain: {
+            name: "Vesting",
+            version: "1",
+            chainId,
+            verifyingContract: vesting,
+        },
+        types: RELEASE_TYPES,
+        value: { scheduleId, nonce, deadline: toSeconds(deadline) },
+    };
+}
+
+/**
+ * Thin ethers wrapper around a deployed Vesting contract.
+ * Reverts are rethrown as the typed errors from ./errors.
+ */
+class VestingClient {
+    /**
+     * @param address Address of the deployed Vesting contract.
+     * @param signerOrProvider A signer for write calls, or a provider for read only use.
+     */
+    constructor(address, signerOrProvider) {
+        this.contract = new ethers.Contract(
+            address,
+            getAbi("Vesting"),
+            signerOrProvider
+        );
+    }
+
+    /**
+     * Returns a client for the same contract using another signer or provider.
+     */
+    connect(signerOrProvider) {
+        return new VestingClient(this.contract.address, signerOrProvider);
+    }
+
+    /**
+     * Returns every schedule of `holder` with the vested and releasable
+     * amounts at the current block: the ones created for `holder`, in
+     * creation order, then the ones received with a beneficiary transfer.
+     * Reads `pageSize` schedules per call (see getSchedulePage).
+     */
+    async listSchedules(holder, { pageSize = 100 } = {}) {
+        return this._listPages({ holder, pageSize });
+    }
+
+    /**
+     * Returns every schedule of the contract, in creation order.
+     */
+    async listAllSchedules({ pageSize = 100 } = {}) {
+        return this._listPages({ pageSize });
+    }
+
+    /**
+     * Returns up to `limit` schedules from `offset` in one call, with the
+     * `vested` and `releasable` amounts at the current block. Only the
+     * schedules of `holder` if given, with their `index`.
+     * Unlike getScheduleById, `checkpoints` is not included.
+     */
+    async getSchedulePage({ holder, offset = 0, limit = 100 } = {}) {
+        const page = await this._call(() =>
+            holder
+                ? this.contract.getSchedulesForHolder(holder, offset, limit)
+                : this.contract.getSchedules(offset, limit)
+        );
+        return page.map((item, i) => {
+            const schedule = toSchedule(item.scheduleId, item.schedule);
+            schedule.vested = item.vested;
+            schedule.releasable = item.releasable;
+            if (holder) {
+                schedule.index = offset + i;
+            }
+            return schedule;
+        });
+    }
+
+    /**
+     * Returns the amounts of `token` (defaults to the default token)
+     * granted to `holder`, as BigNumber:
+     * { granted, released, releasable, locked, revoked }.
+     */
+    async getHolderSummary(holder, token) {
+        const summary = await this._call(() =>
+            token
+                ? this.contract.getHolderSummaryByToken(holder, token)
+                : this.contract.getHolderSummary(holder)
+        );
+        return {
+            granted: summary.granted,
+            released: summary.released,
+            releasable: summary.releasable,
+            locked: summary.locked,
+            revoked: summary.revoked,
+        };
+    }
+
+    /**
+     * Returns the schedule of `holder` at `index`.
+     */
+    async getSchedule(holder, index) {
+        const scheduleId = await this._call(() =>
+            this.contract.getScheduleIdAtHolder(holder, index)
+        );
+        const schedule = await this.getScheduleById(scheduleId);
+        schedule.index = index;
+        return schedule;
+    }
+
+    /**
+     * Returns the schedule for `scheduleId`, with the releasable amount
+     * at the current block.
+     */
+    async getScheduleById(scheduleId) {
+        const raw = await this._call(() => this.contract.getSchedule(scheduleId));
+        const schedule = toSchedule(scheduleId, raw);
+        const checkpoints = await this._call(() =>
+            this.contract.getScheduleCheckpoints(scheduleId)
+        );
+        schedule.checkpoints = checkpoints.map((c) => ({
+            timestamp: toDate(c.timestamp),
+            amount: c.amount,
+        }));
+        schedule.releasable = await this._call(() =>
+            this.contract.computeReleasableAmount(scheduleId)
+        );
+        return schedule;
+    }
+
+    /**
+     * Returns the committed and the withdrawable amounts of `token`,
+     * or of the default token if not given, and the `shortfall` of its
+     * balance below the committed amount, which fails the last releases.
+     */
+    async getBalances(token) {
+        const address = token || (await this._call(() => this.contract.getToken()));
+        const [totalVesting, withdrawable, shortfall] = await Promise.all([
+            this._call(() => this.contract.getTotalVestingAmountByToken(address)),
+            this._call(() => this.contract.getWithdrawableAmountByToken(address)),
+            this._call(() => this.contract.getShortfallByToken(address)),
+        ]);
+        return { totalVesting, withdrawable, shortfall };
+    }
+
+    /**
+     * Returns the releasable amount of every schedule of `holder`
+     * and the total across them.
+     */
+    async getReleasable(holder) {
+        const schedules = await this.listSchedules(holder);
+        const total = schedules.reduce(
+            (sum, s) => sum.add(s.releasable),
+            ethers.constants.Zero
+        );
+        return {
+            total,
+            schedules: schedules.map((s) => ({
+                scheduleId: s.scheduleId,
+                releasable: s.releasable,
+            })),
+        };
+    }
+
+    /**
+     * Releases the vested tokens of `scheduleId`. Returns the mined receipt.
+     */
+    async release(scheduleId) {
+        return this._send(() => this.contract.release(scheduleId));
+    }
+
+    /**
+     * Signs a release of `scheduleId` valid until `deadline` (a Date or
+     * epoch seconds), for anyone to submit with releaseWithSig. The signer
+     * must be the beneficiary, its claimer or an admin. Signing again
+     * before submitting gives the same nonce: only one of the two can be
+     * used. Returns { scheduleId, deadline, signature }.
+     */
+    async signRelease(scheduleId, { deadline }) {
+        const signer = this.contract.signer;
+        const schedule = await this._call(() => this.contract.getSchedule(scheduleId));
+        const nonce = await this._call(() => this.contract.getNonce(schedule.beneficiary));
+        const { domain, types, value } = releaseTypedData({
+            chainId: await signer.getChainId(),
+            vesting: this.contract.address,
+            scheduleId,
+            nonce,
+            deadline,
+        });
+        const signature = await signer._signTypedData(domain, types, value);
+        return { scheduleId, deadline: value.deadline, signature };
+    }
+
+    /**
+     * Submits a release signed with signRelease. The signer of this client
+     * pays the gas; the tokens go to the beneficiary.
+     */
+    async releaseWithSig({ scheduleId, deadline, signature }) {
+        return this._send(() =>
+            this.contract.releaseWithSig(scheduleId, deadline, signature)
+        );
+    }
+
+    /**
+     * Releases the vested tokens of every schedule of the signer, or only
+     * of up to `limit` schedules from index `offset` when `limit` is given.
+     */
+    async releaseAll({ offset = 0, limit } = {}) {
+        return this._send(() =>
+            limit === undefined
+                ? this.contract.releaseAllMySchedules()
+                : this.contract.releaseAllMySchedulesInRange(offset, limit)
+        );
+    }
+
+    /**
+     * Releases `amount` of the vested tokens of `scheduleId` and sends them
+     * to `recipient`. Only the beneficiary can call it.
+     */
+    async releaseTo(scheduleId, recipient, amount) {
+        return this._send(() =>
+            this.contract.releaseTo(scheduleId, recipient, amount)
+        );
+    }
+
+    /**
+     * Releases `amount` of `token` from the schedules of the signer,
+     * in order, and sends it to `recipient`.
+     */
+    async releaseAllTo(token, recipient, amount) {
+        return this._send(() =>
+            this.contract.releaseAllMySchedulesTo(token, recipient, amount)
+        );
+    }
+
+    /**
+     * Revokes `scheduleId`. Requires REVOKER_ROLE.
+     * By default the revocation is effective now and the vested amount is
+     * released. `effectiveTime` (Date or epoch seconds) can be in the past
+     * or in the future; with `payVested: false` the beneficiary releases
+     * the vested amount later.
+     * With a timelock, the first call only queues the revocation (see
+     * getQueuedOperation); pass `effectiveTime` so the second call
+     * matches it.
+     */
+    async revoke(scheduleId, { effectiveTime, payVested = true } = {}) {
+        if (effectiveTime === undefined && payVested) {
+            return this._send(() => this.contract.revoke(scheduleId));
+        }
+        const time = await this._effectiveTime(effectiveTime);
+        return this._send(() =>
+            this.contract.revokeAt(scheduleId, time, payVested)
+        );
+    }
+
+    /**
+     * Revokes every revocable schedule of `holder`. Requires REVOKER_ROLE.
+     * Takes the same options as revoke.
+     */
+    async revokeAllForHolder(holder, { effectiveTime, payVested = true } = {}) {
+        const time = await this._effectiveTime(effectiveTime);
+        return this._send(() =>
+            this.contract.revokeAllForHolder(holder, time, payVested)
+        );
+    }
+
+    /**
+     * Nominates `newBeneficiary` to receive every schedule of the signer.
+     * The zero address cancels the nomination.
+     */
+    async requestBeneficiaryTransfer(newBeneficiary) {
+        return this._send(() =>
+            this.contract.requestBeneficiaryTransfer(newBeneficiary)
+        );
+    }
+
+    /**
+     * Accepts the schedules of `holder`, as the nominated beneficiary.
+     */
+    async acceptBeneficiaryTransfer(holder) {
+        return this._send(() => this.contract.acceptBeneficiaryTransfer(holder));
+    }
+
+    /**
+     * Completes the transfer nominated by `holder`. Requires the admin role.
+     * A contract nominee must accept the transfer itself.
+     */
+    async approveBeneficiaryTransfer(holder) {
+        return this._send(() => this.contract.approveBeneficiaryTransfer(holder));
+    }
+
+    /**
+     * Allows `claimer` to release the schedules of the signer. The tokens
+     * are still sent to the signer. The zero address removes the claimer.
+     */
+    async setClaimer(claimer) {
+        return this._send(() => this.contract.setClaimer(claimer));
+    }
+
+    /**
+     * Sends `amount` of unused funds of `token` (defaults to the default
+     * token) to the signer. Requires TREASURY_ROLE. With a timelock, the
+     * first call only queues the withdrawal (see getQueuedOperation).
+     */
+    async withdraw(amount, token) {
+        return this._send(() =>
+            token
+                ? this.contract.withdrawToken(token, amount)
+                : this.contract.withdraw(amount)
+        );
+    }
+
+    /**
+     * Sends `amount` of `token`, sent to Vesting by mistake, to `to`.
+     * Only tokens other than the default one, and never the amount
+     * committed in schedules. Requires TREASURY_ROLE and is timelocked
+     * like withdraw.
+     */
+    async recoverERC20(token, to, amount) {
+        return this._send(() => this.contract.recoverERC20(token, to, amount));
+    }
+
+    /**
+     * Halts releases and the creation of schedules. Requires PAUSER_ROLE.
+     */
+    async pause() {
+        return this._send(() => this.contract.pause());
+    }
+
+    /**
+     * Resumes releases and the creation of schedules. Requires PAUSER_ROLE.
+     */
+    async unpause() {
+        return this._send(() => this.contract.unpause());
+    }
+
+    /**
+     * Returns true while releases and the creation of schedules are halted.
+     */
+    async isPaused() {
+        return this._call(() => this.contract.paused());
+    }
+
+    /**
+     * Grants `role` ("CREATOR_ROLE", "REVOKER_ROLE", "TREASURY_ROLE",
+     * "PAUSER_ROLE", "DEFAULT_ADMIN_ROLE" or its bytes32 id) to `account`.
+     * Requires the admin role.
+     */
+    async grantRole(role, account) {
+        const roleId = await this._roleId(role);
+        return this._send(() => this.contract.grantRole(roleId, account));
+    }
+
+    /**
+     * Revokes `role` from `account`. Takes the same roles as grantRole.
+     */
+    async revokeRole(role, account) {
+        const roleId = await this._roleId(role);
+        return this._send(() => this.contract.revokeRole(roleId, account));
+    }
+
+    /**
+     * Sets the delay, in seconds, of withdrawals and revocations.
+     * Zero disables the timelock. Requires the admin role. A shorter
+     * delay is queued by the current one, see getQueuedOperation.
+     */
+    async setTimelockDelay(delay) {
+        return this._send(() => this.contract.setTimelockDelay(delay));
+    }
+
+    /**
+     * Drops a queued withdrawal or revocation. Requires the admin role.
+     */
+    async cancelOperation(operationId) {
+        return this._send(() => this.contract.cancelOperation(operationId));
+    }
+
+    /**
+     * Returns { operationId, readyAt } if the transaction of `receipt`
+     * was queued by the timelock instead of run, or null.
+     * `readyAt` is a Date.
+     */
+    getQueuedOperation(receipt) {
+        const event = receipt.events.find((e) => e.event === "OperationQueued");
+        if (!event) {
+            return null;
+        }
+        return {
+            operationId: event.args.operationId,
+            readyAt: toDate(event.args.readyAt),
+        };
+    }
+
+    /**
+     * Creates a schedule. Requires CREATOR_ROLE.
+     * `start` is a Date or epoch seconds; `cliff`, `duration` and
+     * `slicePeriodSeconds` are in seconds. `token` is optional and
+     * defaults to the default token of the contract. `tgeBasisPoints`
+     * is optional: the part of the amount vested at start, in 1/100
+     * of a percent.
+     * Returns the new scheduleId together with the mined receipt.
+     */
+    async createSchedule(schedule) {
+        const params = toScheduleParams(schedule);
+        if (schedule.tgeBasisPoints) {
+            const receipt = await this._send(() =>
+                schedule.token
+                    ? this.contract.createVestingScheduleWithTgeForToken(
+                          schedule.token,
+                          params,
+                          schedule.tgeBasisPoints
+                      )
+                    : this.contract.createVestingScheduleWithTge(
+                          params,
+                          schedule.tgeBasisPoints
+                      )
+            );
+            const [scheduleId] = this._createdScheduleIds(receipt);
+            return { scheduleId, receipt };
+        }
+        const args = [
+            params.beneficiary,
+            params.start,
+            params.cliff,
+            params.duration,
+            params.slicePeriodSeconds,
+            params.revocable,
+            params.amount,
+        ];
+        const receipt = await this._send(() =>
+            schedule.token
+                ? this.contract.createVestingScheduleForToken(
+                      schedule.token,
+                      ...args
+                  )
+                : this.contract.createVestingSchedule(...args)
+        );
+        const [scheduleId] = this._createdScheduleIds(receipt);
+        return { scheduleId, receipt };
+    }
+
+    /**
+     * Creates a schedule that follows `checkpoints`, as
+     * [{ timestamp, amount }] with `timestamp` a Date or epoch seconds and
+     * `amount` the cumulative amount vested at that time.
+     * Requires CREATOR_ROLE. `token` is optional.
+     * Returns the new scheduleId together with the mined receipt.
+     */
+    async createCheckpointSchedule({
+        beneficiary,
+        revocable = false,
+        checkpoints,
+        token,
+    }) {
+        const table = checkpoints.map((c) => ({
+            timestamp: toSeconds(c.timestamp),
+            amount: c.amount,
+        }));
+        const receipt = await this._send(() =>
+            token
+                ? this.contract.createCheckpointScheduleForToken(
+                      token,
+                      beneficiary,
+                      revocable,
+                      table
+                  )
+                : this.contract.createCheckpointSchedule(
+                      beneficiary,
+                      revocable,
+                      table
+                  )
+        );
+        const [scheduleId] = this._createdScheduleIds(receipt);
+        return { scheduleId, receipt };
+    }
+
+    /**
+     * Creates several schedules of `token` (defaults to the default token)
+     * in one transaction. Takes the same options as createSchedule.
+     * Returns the new scheduleIds, in the same order, together with the
+     * mined receipt.
+     */
+    async createSchedules(schedules, token) {
+        const params = schedules.map(toScheduleParams);
+        const receipt = await this._send(() =>
+            token
+                ? this.contract.createVestingSchedulesForToken(token, params)
+                : this.contract.createVestingSchedules(params)
+        );
+        return { scheduleIds: this._createdScheduleIds(receipt), receipt };
+    }
+
+    /**
+     * Returns the gas needed by createSchedules for `schedules`.
+     */
+    async estimateCreateSchedules(schedules, token) {
+        const params = schedules.map(toScheduleParams);
+        return this._call(() =>
+            token
+                ? this.contract.estimateGas.createVestingSchedulesForToken(
+                      token,
+                      params
+                  )
+                : this.contract.estimateGas.createVestingSchedules(params)
+        );
+    }
+
+    /**
+     * Amends `scheduleId`: adds `addedAmount` out of the unused funds,
+     * sets a longer `duration` in seconds (defaults to the current one)
+     * and, with `makeIrrevocable`, makes it non-revocable.
+     * Requires CREATOR_ROLE. Added tokens and non-revocability apply
+     * right away (`applied`); a longer duration is only proposed
+     * (`proposed`) until the beneficiary accepts it.
+     */
+    async amendSchedule(scheduleId, { addedAmount = 0, duration, makeIrrevocable = false }) {
+        if (duration === undefined) {
+            const schedule = await this._call(() => this.contract.getSchedule(scheduleId));
+            duration = schedule.duration;
+        }
+        const receipt = await this._send(() =>
+            this.contract.amendSchedule(scheduleId, { addedAmount, duration, makeIrrevocable })
+        );
+        const applied = receipt.events.some((e) => e.event === "ScheduleAmended");
+        const proposed = receipt.events.some((e) => e.event === "AmendmentProposed");
+        return { applied, proposed, receipt };
+    }
+
+    /**
+     * Applies the duration proposed for `scheduleId`. The signer must be
+     * the beneficiary.
+     */
+    async acceptAmendment(scheduleId) {
+        return this._send(() => this.contract.acceptAmendment(scheduleId));
+    }
+
+    /**
+     * Returns the duration proposed for `scheduleId`, in seconds, waiting
+     * for the beneficiary, or null.
+     */
+    async getPendingDuration(scheduleId) {
+        const duration = await this._call(() => this.contract.getPendingDuration(scheduleId));
+        return duration.isZero() ? null : duration.toNumber();
+    }
+
+    /**
+     * Commits the tree built by ./merkle ({ root, total }) as a
+     * distribution of the default token, reserving `total`. Claims end at
+     * `claimDeadline` (a Date or epoch seconds), after which the
+     * distribution can be closed even if it is not revocable. Requires
+     * CREATOR_ROLE. Returns the distributionId with the mined receipt.
+     */
+    async createMerkleDistribution({ root, total }, { revocable = false, claimDeadline } = {}) {
+        const deadline = claimDeadline === undefined ? 0 : toSeconds(claimDeadline);
+        const receipt = await this._send(() =>
+            this.contract.createMerkleDistribution(root, total, revocable, deadline)
+        );
+        const event = receipt.events.find((e) => e.event === "MerkleDistributionCreated");
+        return { distributionId: event.args.distributionId.toNumber(), receipt };
+    }
+
+    /**
+     * Creates the schedule of `claim` (an entry of the `claims` of
+     * ./merkle) and releases what is already vested. The signer must be
+     * allowed to release for the beneficiary. Returns the new scheduleId
+     * with the mined receipt.
+     */
+    async claimMerkleSchedule(distributionId, claim) {
+        const allocation = {
+            beneficiary: claim.beneficiary,
+            amount: claim.amount,
+            start: claim.start,
+            cliff: claim.cliff,
+            duration: claim.duration,
+            slicePeriodSeconds: claim.slicePeriodSeconds,
+        };
+        const receipt = await this._send(() =>
+            this.contract.claimMerkleSchedule(distributionId, allocation, claim.proof)
+        );
+        return { scheduleId: this._createdScheduleIds(receipt)[0], receipt };
+    }
+
+    /**
+     * Returns true if `claim` of `distributionId` has been claimed.
+     */
+    async isMerkleClaimed(distributionId, claim) {
+        return this._call(() =>
+            this.contract.isMerkleClaimed(distributionId, merkleLeaf(claim))
+        );
+    }
+
+    /**
+     * Returns { root, remaining, revocable, claimDeadline } of
+     * `distributionId`, where `remaining` is the amount still reserved for
+     * unclaimed allocations and `claimDeadline` a Date, or null.
+     */
+    async getMerkleDistribution(distributionId) {
+        const d = await this._call(() => this.contract.getMerkleDistribution(distributionId));
+        return {
+            root: d.root,
+            remaining: d.remaining,
+            revocable: d.revocable,
+            claimDeadline: d.claimDeadline.isZero() ? null : toDate(d.claimDeadline),
+        };
+    }
+
+    /**
+     * Ends a distribution that is revocable or past its claim deadline:
+     * what is not claimed yet becomes withdrawable. Requires REVOKER_ROLE
+     * and is timelocked like revoke.
+     */
+    async closeMerkleDistribution(distributionId) {
+        return this._send(() => this.contract.closeMerkleDistribution(distributionId));
+    }
+
+    // The ids are read from the events: once a holder transferred schedules,
+    // its schedule count no longer gives the index of the next one.
+    _createdScheduleIds(receipt) {
+        return receipt.events
+            .filter((e) => e.event === "ScheduleCreated")
+            .map((e) => e.args.scheduleId);
+    }
+
+    async _roleId(role) {
+        if (ethers.utils.isHexString(role, 32)) {
+            return role;
+        }
+        return this._call(() => this.contract[role]());
+    }
+
+    // Defaults to the time of the latest block
+    async _effectiveTime(effectiveTime) {
+        if (effectiveTime !== undefined) {
+            return toSeconds(effectiveTime);
+        }
+        const block = await this.contract.provider.getBlock("latest");
+        return block.timestamp;
+    }
+
+    async _listPages({ holder, pageSize }) {
+        // A page of 0 would never be short, so the loop would not end
+        if (!Number.isInteger(pageSize) || pageSize < 1) {
+            throw new Error(`Invalid page size ${pageSize}`);
+        }
+        const schedules = [];
+        for (;;) {
+            const page = await this.getSchedulePage({
+                holder,
+                offset: schedules.length,
+                limit: pageSize,
+            });
+            schedules.push(...page);
+            if (page.length < pageSize) {
+                return schedules;
+            }
+        }
+    }
+
+    async _call(fn) {
+        try {
+            return await fn();
+        } catch (err) {
+            throw translateError(err);
+        }
+    }
+
+    async _send(fn) {
+        return this._call(async () => {
+            const tx = await fn();
+            return tx.wait();
+        });
+    }
+}
+
+module.exports = {
+    VestingClient,
+    computeScheduleId,
+    releaseTypedData,
+    toScheduleParams,
+    toSchedule,
+};
@@ -0,0 +1,36 @@
+const path = require("path");
+
+/**
+ * ABIs of the contracts, read from the Hardhat artifacts when a client is
+ * created rather than when the SDK is required, so that requiring it works
+ * before `npx hardhat compile`.
+ */
+
+const ARTIFACTS_DIR = path.join(__dirname, "..", "artifacts", "contracts");
+
+// Contract name => artifact, relative to ARTIFACTS_DIR
+const ARTIFACTS = {
+    Vesting: "Vesting.sol/Vesting.json",
+    VestingFactory: "VestingFactory.sol/VestingFactory.json",
+    VestingPositions: "VestingPositions.sol/VestingPositions.json",
+};
+
+/**
+ * Returns the ABI of the contract `name`. Throws if the contracts were
+ * not compiled.
+ */
+function getAbi(name) {
+    const file = path.join(ARTIFACTS_DIR, ARTIFACTS[name]);
+    try {
+        return require(file).abi;
+    } catch (err) {
+        if (err.code !== "MODULE_NOT_FOUND") {
+            throw err;
+        }
+        throw new Error(`No ABI for ${name}: ${file} is missing, run \`npx hardhat compile\` first`);
+    }
+}
+
+module.exports = {
+    getAbi,
+};
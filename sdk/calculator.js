@@ -0,0 +1,245 @@
+const { ethers } = require("ethers");
+const { toSeconds, toDate } = require("./units");
+
+/**
+ * Off-chain copy of Vesting._computeReleasableAmount, and unlock calendars
+ * built from it.
+ *
+ * A schedule here has the shape returned by the contract and the SDK:
+ * `start` and `cliff` are absolute (Date or epoch seconds), `duration` and
+ * `slicePeriodSeconds` are seconds, `amountTotal` and `released` are
+ * anything BigNumber.from accepts. `tgeAmount` (vested at `start`) and
+ * `checkpoints` (the unlock table, as [{ timestamp, amount }] with the
+ * cumulative amount) are optional. A revoked schedule stops vesting at
+ * `revokedAt` (Date or epoch seconds).
+ */
+
+const { BigNumber } = ethers;
+
+// Calendars above this size are most likely a mistake (e.g. 1 second slices)
+const MAX_CALENDAR_ROWS = 10000;
+
+/**
+ * Builds a schedule from the arguments of createVestingSchedule,
+ * where `cliff` is relative to `start`, and the optional `tgeBasisPoints`
+ * of createVestingScheduleWithTge.
+ */
+function fromParams({
+    start,
+    cliff = 0,
+    duration,
+    slicePeriodSeconds,
+    amount,
+    tgeBasisPoints = 0,
+}) {
+    const startSeconds = toSeconds(start);
+    const amountTotal = BigNumber.from(amount);
+    return {
+        start: startSeconds,
+        cliff: startSeconds + BigNumber.from(cliff).toNumber(),
+        duration: BigNumber.from(duration).toNumber(),
+        slicePeriodSeconds: BigNumber.from(slicePeriodSeconds).toNumber(),
+        amountTotal,
+        released: BigNumber.from(0),
+        revoked: false,
+        tgeAmount: amountTotal.mul(tgeBasisPoints).div(10000),
+    };
+}
+
+/**
+ * Builds a schedule from the checkpoints of createCheckpointSchedule,
+ * as [{ timestamp, amount }] with `timestamp` a Date or epoch seconds.
+ */
+function fromCheckpoints(checkpoints) {
+    const table = checkpoints.map((c) => ({
+        timestamp: toSeconds(c.timestamp),
+        amount: BigNumber.from(c.amount),
+    }));
+    const first = table[0];
+    const last = table[table.length - 1];
+    return {
+        start: first.timestamp,
+        cliff: first.timestamp,
+        duration: last.timestamp - first.timestamp,
+        slicePeriodSeconds: 1,
+        amountTotal: last.amount,
+        released: BigNumber.from(0),
+        revoked: false,
+        tgeAmount: first.amount,
+        checkpoints: table,
+    };
+}
+
+function normalize(schedule) {
+    return {
+        start: toSeconds(schedule.start),
+        cliff: toSeconds(schedule.cliff),
+        duration: BigNumber.from(schedule.duration).toNumber(),
+        slicePeriodSeconds: BigNumber.from(schedule.slicePeriodSeconds).toNumber(),
+        amountTotal: BigNumber.from(schedule.amountTotal),
+        released: BigNumber.from(schedule.released || 0),
+        revoked: Boolean(schedule.revoked),
+        revokedAt: schedule.revoked ? toSeconds(schedule.revokedAt) : undefined,
+        tgeAmount: BigNumber.from(schedule.tgeAmount || 0),
+        checkpoints: (schedule.checkpoints || []).map((c) => ({
+            timestamp: toSeconds(c.timestamp),
+            amount: BigNumber.from(c.amount),
+        })),
+    };
+}
+
+/**
+ * Returns the amount vested at `time` (Date or epoch seconds), released or not.
+ * The amount only grows at the end of each slice period and is floored;
+ * the remainder is vested at the end of the schedule.
+ * Schedules with checkpoints follow them instead.
+ */
+function computeVestedAmount(schedule, time) {
+    const s = normalize(schedule);
+    const currentTime = toSeconds(time);
+    if (s.checkpoints.length > 0) {
+        let vested = BigNumber.from(0);
+        for (const c of s.checkpoints) {
+            if (c.timestamp > currentTime) {
+                break;
+            }
+            vested = c.amount;
+        }
+        return vested;
+    }
+    if (currentTime < s.start) {
+        return BigNumber.from(0);
+    }
+    if (currentTime < s.cliff) {
+        return s.tgeAmount;
+    }
+    if (currentTime >= s.start + s.duration) {
+        return s.amountTotal;
+    }
+    const slicePeriods = Math.floor((currentTime - s.start) / s.slicePeriodSeconds);
+    const vestedSeconds = slicePeriods * s.slicePeriodSeconds;
+    return s.tgeAmount.add(
+        s.amountTotal.sub(s.tgeAmount).mul(vestedSeconds).div(s.duration)
+    );
+}
+
+/**
+ * Same as Vesting.computeReleasableAmount at `time`.
+ */
+function computeReleasableAmount(schedule, time) {
+    const s = normalize(schedule);
+    let currentTime = toSeconds(time);
+    if (s.revoked && s.revokedAt < currentTime) {
+        currentTime = s.revokedAt;
+    }
+    const vested = computeVestedAmount(s, currentTime);
+    return vested.gt(s.released) ? vested.sub(s.released) : BigNumber.from(0);
+}
+
+/**
+ * Returns every moment the vested amount grows, as
+ * { date, vested, cumulative }: `vested` is the amount unlocked at `date`
+ * and `cumulative` the total vested so far. A revoked schedule has no
+ * unlock after `revokedAt`.
+ */
+function unlockCalendar(schedule, { maxRows = MAX_CALENDAR_ROWS } = {}) {
+    const s = normalize(schedule);
+    const end = s.start + s.duration;
+
+    if (s.checkpoints.length > 0) {
+        return toCalendar(s, s.checkpoints.map((c) => c.timestamp));
+    }
+
+    // The first unlock is at the TGE or at the cliff,
+    // then at the end of each slice period
+    const times = [];
+    if (s.tgeAmount.gt(0)) {
+        times.push(s.start);
+    }
+    if (s.cliff > s.start && s.cliff < end) {
+        times.push(s.cliff);
+    }
+    const firstSlice = Math.max(1, Math.ceil((s.cliff - s.start) / s.slicePeriodSeconds));
+    const lastSlice = Math.ceil(s.duration / s.slicePeriodSeconds) - 1;
+    if (lastSlice - firstSlice + 1 > maxRows) {
+        throw new Error(`The calendar has more than ${maxRows} rows`);
+    }
+    for (let k = firstSlice; k <= lastSlice; k++) {
+        const time = s.start + k * s.slicePeriodSeconds;
+        if (time !== s.cliff) {
+            times.push(time);
+        }
+    }
+    times.push(Math.max(end, s.cliff));
+    return toCalendar(s, times);
+}
+
+// Keeps the `times`, in order, at which the vested amount grows
+function toCalendar(s, times) {
+    const calendar = [];
+    let cumulative = BigNumber.from(0);
+    for (const time of times) {
+        const vested = computeVestedAmount(s, s.revoked ? Math.min(time, s.revokedAt) : time);
+        if (vested.gt(cumulative)) {
+            calendar.push({
+                date: toDate(time),
+                vested: vested.sub(cumulative),
+                cumulative: vested,
+            });
+            cumulative = vested;
+        }
+    }
+    return calendar;
+}
+
+function calendarToJson(calendar) {
+    return JSON.stringify(
+        calendar.map((row) => ({
+            date: row.date.toISOString(),
+            vested: row.vested.toString(),
+            cumulative: row.cumulative.toString(),
+        })),
+        null,
+        2
+    );
+}
+
+function calendarToCsv(calendar) {
+    const lines = calendar.map(
+        (row) => `${row.date.toISOString()},${row.vested},${row.cumulative}`
+    );
+    return ["date,vested,cumulative", ...lines].join("\n");
+}
+
+function calendarToMarkdown(calendar) {
+    const lines = calendar.map(
+        (row) => `|${row.date.toISOString()}|${row.vested}|${row.cumulative}|`
+    );
+    return ["|Date|Vested|Cumulative|", "| --- | :---: | :---: |", ...lines].join("\n");
+}
+
+/**
+ * Formats a calendar as "json", "csv" or "md".
+ */
+function formatCalendar(calendar, format = "json") {
+    switch (format) {
+        case "json":
+            return calendarToJson(calendar);
+        case "csv":
+            return calendarToCsv(calendar);
+        case "md":
+        case "markdown":
+            return calendarToMarkdown(calendar);
+        default:
+            throw new Error(`Unknown format "${format}"`);
+    }
+}
+
+module.exports = {
+    fromParams,
+    fromCheckpoints,
+    computeVestedAmount,
+    computeReleasableAmount,
+    unlockCalendar,
+    formatCalendar,
+};
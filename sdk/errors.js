@@ -0,0 +1,181 @@
+/**
+ * Typed errors for the Vesting contract.
+ * Each class maps to one or more revert strings emitted by Vesting.sol.
+ */
+
+class VestingError extends Error {
+    constructor(message, reason, cause) {
+        super(message);
+        this.name = this.constructor.name;
+        this.reason = reason;
+        this.cause = cause;
+    }
+}
+
+class ScheduleNotFoundError extends VestingError {}
+class ScheduleRevokedError extends VestingError {}
+class NotRevocableError extends VestingError {}
+class InsufficientFundsError extends VestingError {}
+class NothingToReleaseError extends VestingError {}
+class UnauthorizedError extends VestingError {}
+class InvalidScheduleError extends VestingError {}
+class IndexOutOfBoundsError extends VestingError {}
+class TimelockError extends VestingError {}
+class PausedError extends VestingError {}
+class SignatureError extends VestingError {}
+class MerkleClaimError extends VestingError {}
+
+/**
+ * Thrown before sending anything when an allocation file does not pass
+ * validation. `errors` lists every problem as { row, message }.
+ */
+class AllocationError extends VestingError {
+    constructor(errors) {
+        super(
+            "Invalid allocations:\n" +
+                errors.map((e) => `  row ${e.row}: ${e.message}`).join("\n")
+        );
+        this.errors = errors;
+    }
+}
+
+// Revert string => error class
+const REVERT_REASONS = {
+    "Schedule not initialized": ScheduleNotFoundError,
+    "Schedule has been revoked": ScheduleRevokedError,
+    "Vesting is not revocable": NotRevocableError,
+    "No revocable schedules": NotRevocableError,
+    "Not enough funds": InsufficientFundsError,
+    "Not enough withdrawable funds": InsufficientFundsError,
+    // Released by a token whose balance fell below the committed amount
+    "ERC20: transfer amount exceeds balance": InsufficientFundsError,
+    "No amount to release": NothingToReleaseError,
+    "No releasable amount": NothingToReleaseError,
+    "No schedules found": NothingToReleaseError,
+    "Amount exceeds releasable amount": NothingToReleaseError,
+    "Only beneficiary can choose the recipient": UnauthorizedError,
+    "Invalid recipient": VestingError,
+    "Only beneficiary, claimer and admin can release vested tokens": UnauthorizedError,
+    "Not the nominated beneficiary": UnauthorizedError,
+    "No transfer requested": VestingError,
+    "Contracts must accept the transfer": VestingError,
+    "Invalid beneficiary": VestingError,
+    "Duration cannot be zero": InvalidScheduleError,
+    "Amount cannot be zero": InvalidScheduleError,
+    "SlicePeriodSeconds cannot be zero": InvalidScheduleError,
+    "No schedules to create": InvalidScheduleError,
+    "TGE cannot be above 100%": InvalidScheduleError,
+    "No checkpoints": InvalidScheduleError,
+    "Checkpoints must be increasing": InvalidScheduleError,
+    "Index out of bounds": IndexOutOfBoundsError,
+    "Operation is timelocked": TimelockError,
+    "Operation not queued": TimelockError,
+    "Pausable: paused": PausedError,
+    "Pausable: not paused": PausedError,
+    "Cannot recover the vesting token": VestingError,
+    "Signature expired": SignatureError,
+    "Invalid signature": SignatureError,
+    "Invalid proof": MerkleClaimError,
+    "Already claimed": MerkleClaimError,
+    "Claim deadline passed": MerkleClaimError,
+    "Claim deadline not reached": NotRevocableError,
+    "Only issuer": UnauthorizedError,
+    "Only owner or approved can release": UnauthorizedError,
+    "Position is not transferable": UnauthorizedError,
+    "Duration cannot be shorter": InvalidScheduleError,
+    "Cannot amend checkpoints": InvalidScheduleError,
+    "Empty amendment": InvalidScheduleError,
+    "No amendment proposed": VestingError,
+    "Only beneficiary can accept": UnauthorizedError,
+    "Only owner can accept": UnauthorizedError,
+};
+
+// Revert strings with variable content, by prefix
+const REVERT_PREFIXES = {
+    // "AccessControl: account 0x… is missing role 0x…"
+    "AccessControl: account ": UnauthorizedError,
+    // "SafeCast: value doesn't fit in 128 bits"
+    "SafeCast: value doesn't fit in ": InvalidScheduleError,
+    // "ECDSA: invalid signature length"...
+    "ECDSA: invalid signature": SignatureError,
+};
+
+function errorClassFor(reason) {
+    if (REVERT_REASONS[reason]) {
+        return REVERT_REASONS[reason];
+    }
+    const prefix = Object.keys(REVERT_PREFIXES).find((p) => reason.startsWith(p));
+    return prefix ? REVERT_PREFIXES[prefix] : VestingError;
+}
+
+// Patterns used by Hardhat and by geth-like nodes to report a revert string
+const REVERT_PATTERNS = [
+    /reverted with reason string '([^']*)'/,
+    /execution reverted: ([^"\n]*)/,
+];
+
+/**
+ * Returns the revert string carried by `err`, or undefined.
+ * ethers and the JSON-RPC providers nest the message at different depths,
+ * so every known location is checked.
+ */
+function getRevertReason(err) {
+    for (let e = err; e; e = e.error) {
+        if (Array.isArray(e.errorArgs) && typeof e.errorArgs[0] === "string") {
+            return e.errorArgs[0];
+        }
+        const messages = [e.reason, e.message, e.data && e.data.message];
+        for (const message of messages) {
+            if (typeof message !== "string") {
+                continue;
+            }
+            if (REVERT_REASONS[message]) {
+                return message;
+            }
+            for (const pattern of REVERT_PATTERNS) {
+                const match = message.match(pattern);
+                if (match) {
+                    return match[1];
+                }
+            }
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Converts a contract call error into a VestingError subclass.
+ * Unknown revert strings become a plain VestingError; errors that are not
+ * reverts (network, signer...) are returned untouched.
+ */
+function translateError(err) {
+    if (err instanceof VestingError) {
+        return err;
+    }
+    const reason = getRevertReason(err);
+    if (reason === undefined) {
+        return err;
+    }
+    const ErrorClass = errorClassFor(reason);
+    return new ErrorClass(reason, reason, err);
+}
+
+module.exports = {
+    VestingError,
+    ScheduleNotFoundError,
+    ScheduleRevokedError,
+    NotRevocableError,
+    InsufficientFundsError,
+    NothingToReleaseError,
+    UnauthorizedError,
+    InvalidScheduleError,
+    IndexOutOfBoundsError,
+    TimelockError,
+    PausedError,
+    SignatureError,
+    MerkleClaimError,
+    AllocationError,
+    REVERT_REASONS,
+    getRevertReason,
+    translateError,
+};
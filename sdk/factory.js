@@ -0,0 +1,199 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { getAbi } = require("./artifacts");
+const { translateError, AllocationError } = require("./errors");
+const { toScheduleParams } = require("./VestingClient");
+const { loadAllocations, validateAllocations } = require("./importer");
+
+/**
+ * Deployment of Vesting instances with a VestingFactory, one per entry of
+ * a JSON config file:
+ *
+ *   {
+ *     "vestings": [
+ *       {
+ *         "name": "project-a",
+ *         "token": "0x…",
+ *         "owner": "0x…",
+ *         "funding": "100000",
+ *         "allocations": "project-a.csv"
+ *       }
+ *     ]
+ *   }
+ *
+ * `name`, `funding` (transferred from the signer) and `allocations` are
+ * optional. `allocations` is an allocation file of ./importer, relative to
+ * the config file; its schedules are created with the instance, so they
+ * must fit in one transaction.
+ */
+
+const ERC20_ABI = [
+    "function allowance(address owner, address spender) view returns (uint256)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+/**
+ * Thin ethers wrapper around a deployed VestingFactory.
+ * Reverts are rethrown as the typed errors from ./errors.
+ */
+class VestingFactoryClient {
+    constructor(address, signerOrProvider) {
+        this.contract = new ethers.Contract(
+            address,
+            getAbi("VestingFactory"),
+            signerOrProvider
+        );
+    }
+
+    connect(signerOrProvider) {
+        return new VestingFactoryClient(this.contract.address, signerOrProvider);
+    }
+
+    /**
+     * Deploys a Vesting of `token` owned by `owner`. `funding` is approved
+     * if needed and transferred from the signer; `schedules` take the
+     * options of VestingClient.createSchedule, without `token`.
+     * Returns the address of the new Vesting together with the receipt.
+     */
+    async createVesting({ token, owner, funding = 0, schedules = [] }) {
+        funding = ethers.BigNumber.from(funding);
+        if (funding.gt(0)) {
+            const erc20 = new ethers.Contract(token, ERC20_ABI, this.contract.signer);
+            const signerAddress = await this.contract.signer.getAddress();
+            const allowance = await erc20.allowance(signerAddress, this.contract.address);
+            if (allowance.lt(funding)) {
+                await this._send(() => erc20.approve(this.contract.address, funding));
+            }
+        }
+        const receipt = await this._send(() =>
+            this.contract.createVesting(
+                token,
+                owner,
+                funding,
+                schedules.map(toScheduleParams)
+            )
+        );
+        const event = receipt.events.find((e) => e.event === "VestingCreated");
+        return { vesting: event.args.vesting, receipt };
+    }
+
+    /**
+     * Returns the addresses of the Vesting deployed by the factory,
+     * in creation order. Only those of `token` or of `owner` if given.
+     */
+    async listVestings({ token, owner } = {}) {
+        if (token && owner) {
+            throw new Error("Filter by token or by owner, not both");
+        }
+        let count;
+        let at;
+        if (token) {
+            count = () => this.contract.getVestingCountByToken(token);
+            at = (i) => this.contract.getVestingByTokenAt(token, i);
+        } else if (owner) {
+            count = () => this.contract.getVestingCountByOwner(owner);
+            at = (i) => this.contract.getVestingByOwnerAt(owner, i);
+        } else {
+            count = () => this.contract.getVestingCount();
+            at = (i) => this.contract.getVestingAt(i);
+        }
+
+        const total = (await this._call(count)).toNumber();
+        const vestings = [];
+        for (let i = 0; i < total; i++) {
+            vestings.push(await this._call(() => at(i)));
+        }
+        return vestings;
+    }
+
+    async _call(fn) {
+        try {
+            return await fn();
+        } catch (err) {
+            throw translateError(err);
+        }
+    }
+
+    async _send(fn) {
+        return this._call(async () => {
+            const tx = await fn();
+            return tx.wait();
+        });
+    }
+}
+
+/**
+ * Reads and validates a config file. Every problem of every entry is
+ * reported at once with an AllocationError; a row of 0 is an error of
+ * the entry itself rather than of one of its allocations.
+ */
+function loadFactoryConfig(file) {
+    const config = JSON.parse(fs.readFileSync(file, "utf8"));
+    const errors = [];
+    const vestings = (config.vestings || []).map((entry, i) => {
+        const name = entry.name || `vestings[${i}]`;
+        const fail = (row, message) => errors.push({ row, message: `${name}: ${message}` });
+
+        if (!ethers.utils.isAddress(entry.token || "")) {
+            fail(0, `Invalid token "${entry.token}"`);
+        }
+        if (!ethers.utils.isAddress(entry.owner || "")) {
+            fail(0, `Invalid owner "${entry.owner}"`);
+        }
+        const funding = ethers.BigNumber.from(entry.funding || 0);
+        const allocations = entry.allocations
+            ? loadAllocations(path.resolve(path.dirname(file), entry.allocations))
+            : [];
+        for (const e of validateAllocations(allocations, funding)) {
+            fail(e.row, e.message);
+        }
+        return { name, token: entry.token, owner: entry.owner, funding, allocations };
+    });
+
+    if (vestings.length === 0) {
+        errors.push({ row: 0, message: "No vestings in the config" });
+    }
+    if (errors.length > 0) {
+        throw new AllocationError(errors);
+    }
+    return { factory: config.factory, vestings };
+}
+
+/**
+ * Deploys every entry of a config loaded with loadFactoryConfig, in order.
+ * `onVesting` is called after each deployment with its report row.
+ * Returns the report: one { name, vesting, token, owner, funding,
+ * scheduleCount, txHash } per entry.
+ */
+async function deployFromConfig(factoryClient, config, { onVesting } = {}) {
+    const report = [];
+    for (const entry of config.vestings) {
+        const { vesting, receipt } = await factoryClient.createVesting({
+            token: entry.token,
+            owner: entry.owner,
+            funding: entry.funding,
+            schedules: entry.allocations,
+        });
+        const row = {
+            name: entry.name,
+            vesting,
+            token: entry.token,
+            owner: entry.owner,
+            funding: entry.funding.toString(),
+            scheduleCount: entry.allocations.length,
+            txHash: receipt.transactionHash,
+        };
+        report.push(row);
+        if (onVesting) {
+            onVesting(row);
+        }
+    }
+    return report;
+}
+
+module.exports = {
+    VestingFactoryClient,
+    loadFactoryConfig,
+    deployFromConfig,
+};
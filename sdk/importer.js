@@ -0,0 +1,263 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { parseDuration, parseTime } = require("./units");
+const { AllocationError } = require("./errors");
+
+/**
+ * Batch creation of schedules from an allocation file.
+ *
+ * CSV files need a header row with the columns below; JSON files hold an
+ * array of objects with the same keys.
+ *
+ *   beneficiary,amount,start,cliff,duration,slice,revocable
+ *   0x…123,1200,2022-07-01,0,360d,30d,false
+ *
+ * `start` accepts epoch seconds or a date, `cliff`, `duration` and `slice`
+ * accept the units of ./units. `cliff` and `revocable` are optional.
+ * CSV fields can be quoted as in RFC 4180, e.g. "Jul 1, 2022 UTC", with ""
+ * for a quote inside them.
+ */
+
+// Splits CSV `text` into rows of fields. Unquoted fields are trimmed and
+// blank lines skipped. Errors give the row like the allocations do: the
+// header is row 0.
+function splitCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    let inQuotes = false;
+    const fail = (message) => {
+        throw new Error(`${message} in row ${rows.length}`);
+    };
+    const endField = () => {
+        row.push(quoted ? field : field.trim());
+        field = "";
+        quoted = false;
+    };
+    const endRow = () => {
+        endField();
+        if (row.some((value) => value !== "")) {
+            rows.push(row);
+        }
+        row = [];
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (inQuotes) {
+            if (c !== '"') {
+                field += c;
+            } else if (text[i + 1] === '"') {
+                field += c;
+                i++;
+            } else {
+                inQuotes = false;
+            }
+        } else if (c === '"') {
+            if (quoted || field.trim() !== "") {
+                fail("Unexpected quote");
+            }
+            field = "";
+            quoted = inQuotes = true;
+        } else if (c === ",") {
+            endField();
+        } else if (c === "\n") {
+            endRow();
+        } else if (c === "\r") {
+            // Line ends with \r\n
+        } else if (quoted) {
+            if (c.trim() !== "") {
+                fail("Unexpected text after a quoted field");
+            }
+        } else {
+            field += c;
+        }
+    }
+    if (inQuotes) {
+        fail("Unterminated quoted field");
+    }
+    endRow();
+    return rows;
+}
+
+function parseCsv(text) {
+    const [header, ...lines] = splitCsv(text);
+    return lines.map((values) => {
+        const entry = {};
+        header.forEach((key, i) => (entry[key] = values[i]));
+        return entry;
+    });
+}
+
+/**
+ * Parses the raw entries of an allocation file. Each entry keeps its
+ * 1-based `row` (the data row, without the CSV header) for error reporting.
+ * Values that cannot be parsed are left undefined and reported by
+ * validateAllocations.
+ */
+function parseAllocations(text, format) {
+    const entries = format === "json" ? JSON.parse(text) : parseCsv(text);
+    return entries.map((entry, i) => {
+        const allocation = { row: i + 1, errors: [] };
+        const parse = (key, fn) => {
+            try {
+                return fn(entry[key]);
+            } catch (err) {
+                allocation.errors.push(`${key}: ${err.message}`);
+                return undefined;
+            }
+        };
+
+        allocation.beneficiary = entry.beneficiary;
+        allocation.amount = parse("amount", (v) => ethers.BigNumber.from(v));
+        allocation.start = parse("start", parseTime);
+        allocation.cliff = parse("cliff", (v) => parseDuration(v || "0"));
+        allocation.duration = parse("duration", parseDuration);
+        allocation.slicePeriodSeconds = parse("slice", parseDuration);
+        allocation.revocable = String(entry.revocable).toLowerCase() === "true";
+        return allocation;
+    });
+}
+
+/**
+ * Reads and parses an allocation file. The format is taken from the extension.
+ */
+function loadAllocations(file) {
+    const format = path.extname(file).toLowerCase() === ".json" ? "json" : "csv";
+    return parseAllocations(fs.readFileSync(file, "utf8"), format);
+}
+
+/**
+ * Checks the allocations before anything is sent. Returns the list of
+ * problems as { row, message }; an empty list means the file is valid.
+ * `withdrawable` is Vesting.getWithdrawableAmount().
+ */
+function validateAllocations(allocations, withdrawable) {
+    const errors = [];
+    const seen = {};
+    let total = ethers.constants.Zero;
+
+    for (const a of allocations) {
+        const fail = (message) => errors.push({ row: a.row, message });
+        a.errors.forEach(fail);
+
+        if (!ethers.utils.isAddress(a.beneficiary || "")) {
+            fail(`Invalid beneficiary "${a.beneficiary}"`);
+        } else {
+            const key = a.beneficiary.toLowerCase();
+            if (seen[key]) {
+                fail(`Duplicate beneficiary, already in row ${seen[key]}`);
+            } else {
+                seen[key] = a.row;
+            }
+        }
+        if (a.amount !== undefined) {
+            if (a.amount.lte(0)) {
+                fail("Amount cannot be zero");
+            } else {
+                total = total.add(a.amount);
+            }
+        }
+        if (a.duration === 0) {
+            fail("Duration cannot be zero");
+        }
+        if (a.slicePeriodSeconds === 0) {
+            fail("Slice period cannot be zero");
+        }
+        if (a.cliff > a.duration) {
+            fail("Cliff is longer than the duration");
+        }
+    }
+
+    if (total.gt(withdrawable)) {
+        errors.push({
+            row: 0,
+            message: `Total amount ${total} is above the withdrawable amount ${withdrawable}`,
+        });
+    }
+    return errors;
+}
+
+/**
+ * Validates `allocations` and creates their schedules with
+ * createVestingSchedules, in chunks that fit `maxGas`. A chunk that does not
+ * fit is halved until it does.
+ *
+ * Options:
+ *   token        Token of the schedules. Defaults to the default token.
+ *   maxGas       Gas limit for a single transaction. Defaults to 80% of the
+ *                gas limit of the latest block.
+ *   maxChunkSize Upper bound of schedules per transaction. Defaults to 100.
+ *   onChunk      Called after each chunk with the report rows of that chunk,
+ *                and awaited if it returns a promise.
+ *
+ * Returns the report: one { row, beneficiary, amount, scheduleId, txHash }
+ * per allocation. Throws AllocationError without sending anything if
+ * validation fails. If a chunk fails, the error carries the `report` of
+ * the chunks created before it and the 0-based `chunkIndex` of the
+ * failing one: the allocations after the last reported row were not
+ * created.
+ */
+async function importAllocations(client, allocations, options = {}) {
+    const { token } = options;
+    const { withdrawable } = await client.getBalances(token);
+    const errors = validateAllocations(allocations, withdrawable);
+    if (errors.length > 0) {
+        throw new AllocationError(errors);
+    }
+
+    let maxGas = options.maxGas;
+    if (maxGas === undefined) {
+        const block = await client.contract.provider.getBlock("latest");
+        maxGas = block.gasLimit.mul(8).div(10);
+    }
+    maxGas = ethers.BigNumber.from(maxGas);
+    const maxChunkSize = options.maxChunkSize || 100;
+
+    const report = [];
+    let next = 0;
+    for (let chunkIndex = 0; next < allocations.length; chunkIndex++) {
+        let size = Math.min(maxChunkSize, allocations.length - next);
+        let chunk = allocations.slice(next, next + size);
+        let created;
+        try {
+            while (size > 1) {
+                const gas = await client.estimateCreateSchedules(chunk, token);
+                if (gas.lte(maxGas)) {
+                    break;
+                }
+                size = Math.floor(size / 2);
+                chunk = allocations.slice(next, next + size);
+            }
+            created = await client.createSchedules(chunk, token);
+        } catch (err) {
+            err.report = report;
+            err.chunkIndex = chunkIndex;
+            throw err;
+        }
+
+        const { scheduleIds, receipt } = created;
+        const rows = chunk.map((a, i) => ({
+            row: a.row,
+            beneficiary: a.beneficiary,
+            amount: a.amount.toString(),
+            scheduleId: scheduleIds[i],
+            txHash: receipt.transactionHash,
+        }));
+        report.push(...rows);
+        if (options.onChunk) {
+            await options.onChunk(rows);
+        }
+        next += size;
+    }
+    return report;
+}
+
+module.exports = {
+    parseAllocations,
+    loadAllocations,
+    validateAllocations,
+    importAllocations,
+};
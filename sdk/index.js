@@ -0,0 +1,18 @@
+const { VestingClient, releaseTypedData } = require("./VestingClient");
+const { VestingFactoryClient, loadFactoryConfig, deployFromConfig } = require("./factory");
+const { VestingPositionsClient } = require("./positions");
+const errors = require("./errors");
+const calculator = require("./calculator");
+const merkle = require("./merkle");
+
+module.exports = {
+    VestingClient,
+    releaseTypedData,
+    VestingFactoryClient,
+    loadFactoryConfig,
+    deployFromConfig,
+    VestingPositionsClient,
+    calculator,
+    merkle,
+    ...errors,
+};
@@ -0,0 +1,261 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { getAbi } = require("./artifacts");
+const { toSeconds, toDate } = require("./units");
+
+/**
+ * Replays the events of a Vesting contract into a local store, to rebuild
+ * the state of the schedules and answer questions about their history.
+ *
+ * Each stored event is a plain JSON object:
+ *   { event, blockNumber, logIndex, transactionHash, timestamp, args }
+ * where `timestamp` is the block time in epoch seconds and every numeric
+ * argument is a decimal string. Structs are objects keyed by field name.
+ */
+
+/**
+ * Keeps the events in memory. Used by the tests and as base of JsonFileStore.
+ */
+class MemoryStore {
+    constructor() {
+        this.data = { lastBlock: -1, events: [] };
+    }
+
+    load() {
+        return this.data;
+    }
+
+    save(data) {
+        this.data = data;
+    }
+}
+
+/**
+ * Keeps the events in a JSON file, so a sync only fetches the new blocks.
+ */
+class JsonFileStore extends MemoryStore {
+    constructor(file) {
+        super();
+        this.file = file;
+    }
+
+    load() {
+        if (fs.existsSync(this.file)) {
+            this.data = JSON.parse(fs.readFileSync(this.file, "utf8"));
+        }
+        return this.data;
+    }
+
+    save(data) {
+        this.data = data;
+        fs.writeFileSync(this.file, JSON.stringify(data, null, 2));
+    }
+}
+
+function serializeValue(param, value) {
+    if (param.baseType === "array") {
+        return value.map((item) => serializeValue(param.arrayChildren, item));
+    }
+    if (param.baseType === "tuple") {
+        return serializeArgs(param.components, value);
+    }
+    return ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+}
+
+function serializeArgs(params, args) {
+    const result = {};
+    params.forEach((param, i) => {
+        result[param.name] = serializeValue(param, args[i]);
+    });
+    return result;
+}
+
+function monthOf(timestamp) {
+    return toDate(timestamp).toISOString().slice(0, 7);
+}
+
+class VestingIndexer {
+    /**
+     * @param address Address of the Vesting contract.
+     * @param provider Provider to read the logs from.
+     * @param store MemoryStore or JsonFileStore. Defaults to a MemoryStore.
+     * @param options.fromBlock First block to index when the store is empty,
+     *        usually the deployment block. Defaults to 0.
+     * @param options.blockRange Maximum blocks per getLogs request. Defaults to 5000.
+     */
+    constructor(address, provider, store = new MemoryStore(), options = {}) {
+        this.contract = new ethers.Contract(address, getAbi("Vesting"), provider);
+        this.provider = provider;
+        this.store = store;
+        this.fromBlock = options.fromBlock || 0;
+        this.blockRange = options.blockRange || 5000;
+        this.data = store.load();
+    }
+
+    get events() {
+        return this.data.events;
+    }
+
+    /**
+     * Fetches the events emitted since the last sync, up to `toBlock`
+     * (defaults to the latest block), and saves them to the store.
+     * Returns the number of new events.
+     */
+    async sync(toBlock) {
+        if (toBlock === undefined) {
+            toBlock = await this.provider.getBlockNumber();
+        }
+        const timestamps = {};
+        let added = 0;
+
+        let from = Math.max(this.data.lastBlock + 1, this.fromBlock);
+        while (from <= toBlock) {
+            const to = Math.min(from + this.blockRange - 1, toBlock);
+            const logs = await this.contract.queryFilter("*", from, to);
+            for (const log of logs) {
+                if (!log.event) {
+                    continue;
+                }
+                if (timestamps[log.blockNumber] === undefined) {
+                    const block = await this.provider.getBlock(log.blockNumber);
+                    timestamps[log.blockNumber] = block.timestamp;
+                }
+                this.data.events.push({
+                    event: log.event,
+                    blockNumber: log.blockNumber,
+                    logIndex: log.logIndex,
+                    transactionHash: log.transactionHash,
+                    timestamp: timestamps[log.blockNumber],
+                    args: serializeArgs(
+                        this.contract.interface.getEvent(log.event).inputs,
+                        log.args
+                    ),
+                });
+                added++;
+            }
+            this.data.lastBlock = to;
+            this.store.save(this.data);
+            from = to + 1;
+        }
+        return added;
+    }
+
+    /**
+     * Rebuilds every schedule from the events, keyed by scheduleId.
+     * Amounts are BigNumber, `start` and `cliff` are Date, and
+     * `checkpoints` is the unlock table as [{ timestamp, amount }], empty
+     * unless the schedule follows one.
+     */
+    getSchedules() {
+        const schedules = {};
+        for (const e of this.events) {
+            const { args } = e;
+            if (e.event === "ScheduleCreated") {
+                schedules[args.scheduleId] = {
+                    scheduleId: args.scheduleId,
+                    beneficiary: args.beneficiary,
+                    token: args.token,
+                    start: toDate(args.start),
+                    cliff: toDate(args.cliff),
+                    duration: Number(args.duration),
+                    slicePeriodSeconds: Number(args.slicePeriodSeconds),
+                    revocable: args.revocable,
+                    amountTotal: ethers.BigNumber.from(args.amount),
+                    tgeAmount: ethers.BigNumber.from(args.tgeAmount),
+                    checkpoints: [],
+                    released: ethers.constants.Zero,
+                    revoked: false,
+                    revokedAmount: ethers.constants.Zero,
+                    revokedAt: null,
+                    createdAt: toDate(e.timestamp),
+                };
+            } else if (e.event === "CheckpointsSet" && schedules[args.scheduleId]) {
+                schedules[args.scheduleId].checkpoints = args.checkpoints.map((c) => ({
+                    timestamp: toDate(c.timestamp),
+                    amount: ethers.BigNumber.from(c.amount),
+                }));
+            } else if (e.event === "Released" && schedules[args.scheduleId]) {
+                const schedule = schedules[args.scheduleId];
+                schedule.released = schedule.released.add(args.amount);
+            } else if (e.event === "Revoked" && schedules[args.scheduleId]) {
+                const schedule = schedules[args.scheduleId];
+                schedule.revoked = true;
+                schedule.revokedAmount = ethers.BigNumber.from(args.revokedAmount);
+                schedule.revokedAt = toDate(args.effectiveTime);
+            } else if (e.event === "ScheduleAmended" && schedules[args.scheduleId]) {
+                const schedule = schedules[args.scheduleId];
+                schedule.amountTotal = ethers.BigNumber.from(args.amountTotal);
+                schedule.duration = Number(args.duration);
+                schedule.revocable = args.revocable;
+            } else if (e.event === "BeneficiaryTransferred") {
+                // Every schedule of the holder moves to the new beneficiary
+                for (const schedule of Object.values(schedules)) {
+                    if (schedule.beneficiary === args.holder) {
+                        schedule.beneficiary = args.newBeneficiary;
+                    }
+                }
+            }
+        }
+        return schedules;
+    }
+
+    /**
+     * Returns the Released events, optionally only those of `holder`
+     * and between `from` and `to` (Date or epoch seconds, both inclusive).
+     */
+    getReleases({ holder, from, to } = {}) {
+        return this._filter("Released", { from, to })
+            .filter((e) => !holder || e.args.holder.toLowerCase() === holder.toLowerCase())
+            .map((e) => ({
+                scheduleId: e.args.scheduleId,
+                holder: e.args.holder,
+                recipient: e.args.recipient,
+                amount: ethers.BigNumber.from(e.args.amount),
+                date: toDate(e.timestamp),
+                transactionHash: e.transactionHash,
+            }));
+    }
+
+    /**
+     * Returns the amount revoked in each month, as [{ month: "YYYY-MM", amount }],
+     * oldest first. Months without revocations are left out.
+     */
+    getRevokedPerMonth({ from, to } = {}) {
+        return this._sumPerMonth(this._filter("Revoked", { from, to }), "revokedAmount");
+    }
+
+    /**
+     * Returns the amount released in each month, as [{ month: "YYYY-MM", amount }].
+     */
+    getReleasedPerMonth({ from, to } = {}) {
+        return this._sumPerMonth(this._filter("Released", { from, to }), "amount");
+    }
+
+    _filter(event, { from, to }) {
+        const fromTime = from === undefined ? -Infinity : toSeconds(from);
+        const toTime = to === undefined ? Infinity : toSeconds(to);
+        return this.events.filter(
+            (e) =>
+                e.event === event &&
+                e.timestamp >= fromTime &&
+                e.timestamp <= toTime
+        );
+    }
+
+    _sumPerMonth(events, key) {
+        const months = {};
+        for (const e of events) {
+            const month = monthOf(e.timestamp);
+            months[month] = (months[month] || ethers.constants.Zero).add(e.args[key]);
+        }
+        return Object.keys(months)
+            .sort()
+            .map((month) => ({ month, amount: months[month] }));
+    }
+}
+
+module.exports = {
+    VestingIndexer,
+    MemoryStore,
+    JsonFileStore,
+};
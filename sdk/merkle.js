@@ -0,0 +1,141 @@
+const { ethers } = require("ethers");
+const { AllocationError } = require("./errors");
+const { loadAllocations, validateAllocations } = require("./importer");
+
+/**
+ * Merkle distributions: the schedules of a large allocation file are
+ * committed on-chain as one root with Vesting.createMerkleDistribution,
+ * and each beneficiary creates its own with claimMerkleSchedule and the
+ * proof of its allocation.
+ *
+ * Leaves and pairs are hashed like Vesting.claimMerkleSchedule:
+ * double keccak256 of the ABI encoded allocation, and sorted pairs.
+ */
+
+const LEAF_TYPES = ["address", "uint256", "uint256", "uint256", "uint256", "uint256"];
+
+/**
+ * Returns the leaf of an allocation
+ * { beneficiary, amount, start, cliff, duration, slicePeriodSeconds }.
+ */
+function merkleLeaf({ beneficiary, amount, start, cliff = 0, duration, slicePeriodSeconds }) {
+    const encoded = ethers.utils.defaultAbiCoder.encode(LEAF_TYPES, [
+        beneficiary,
+        amount,
+        start,
+        cliff,
+        duration,
+        slicePeriodSeconds,
+    ]);
+    return ethers.utils.keccak256(ethers.utils.keccak256(encoded));
+}
+
+function hashPair(a, b) {
+    const [first, second] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+    return ethers.utils.keccak256(ethers.utils.concat([first, second]));
+}
+
+// Why Vesting would refuse to create the schedule of `claim`, if it would
+function claimError(claim) {
+    if (ethers.BigNumber.from(claim.amount).isZero()) {
+        return "Amount cannot be zero";
+    }
+    if (!(claim.duration > 0)) {
+        return "Duration cannot be zero";
+    }
+    if (!(claim.slicePeriodSeconds > 0)) {
+        return "Slice period cannot be zero";
+    }
+    return undefined;
+}
+
+/**
+ * Builds the tree of `allocations` (parsed by ./importer, or objects with
+ * the same keys). Returns { root, total, claims }, where `claims` maps each
+ * beneficiary to its allocation and proof, ready for claimMerkleSchedule.
+ * The node of an odd layer without sibling moves up unchanged.
+ * Throws if an allocation could never be claimed, as its amount would
+ * stay reserved.
+ */
+function buildMerkleTree(allocations) {
+    if (allocations.length === 0) {
+        throw new Error("No allocations");
+    }
+    const claims = {};
+    let total = ethers.constants.Zero;
+    const leaves = allocations.map((a) => {
+        const claim = {
+            beneficiary: ethers.utils.getAddress(a.beneficiary),
+            amount: ethers.BigNumber.from(a.amount).toString(),
+            start: a.start,
+            cliff: a.cliff || 0,
+            duration: a.duration,
+            slicePeriodSeconds: a.slicePeriodSeconds,
+            leaf: merkleLeaf(a),
+            proof: [],
+        };
+        if (claims[claim.beneficiary]) {
+            throw new Error(`Duplicate beneficiary ${claim.beneficiary}`);
+        }
+        const error = claimError(claim);
+        if (error) {
+            throw new Error(`${error} for ${claim.beneficiary}`);
+        }
+        claims[claim.beneficiary] = claim;
+        total = total.add(claim.amount);
+        return claim.leaf;
+    });
+
+    // Index of each claim in the current layer
+    const positions = {};
+    let layer = [...leaves].sort();
+    layer.forEach((leaf, i) => (positions[leaf] = i));
+    while (layer.length > 1) {
+        for (const claim of Object.values(claims)) {
+            const i = positions[claim.leaf];
+            const sibling = i % 2 === 0 ? i + 1 : i - 1;
+            if (sibling < layer.length) {
+                claim.proof.push(layer[sibling]);
+            }
+            positions[claim.leaf] = Math.floor(i / 2);
+        }
+        const next = [];
+        for (let i = 0; i < layer.length; i += 2) {
+            next.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+        }
+        layer = next;
+    }
+
+    return { root: layer[0], total: total.toString(), claims };
+}
+
+/**
+ * Returns true if `proof` links `leaf` to `root`, like MerkleProof.verify.
+ */
+function verifyMerkleProof(root, leaf, proof) {
+    return proof.reduce(hashPair, leaf) === root;
+}
+
+/**
+ * Reads an allocation file of ./importer and builds its tree. Throws
+ * AllocationError if the file does not pass validation; the `revocable`
+ * column is ignored, as it is set for the whole distribution.
+ */
+function loadMerkleTree(file) {
+    const allocations = loadAllocations(file);
+    const errors = validateAllocations(allocations, ethers.constants.MaxUint256);
+    if (allocations.length === 0) {
+        errors.push({ row: 0, message: "No allocations" });
+    }
+    if (errors.length > 0) {
+        throw new AllocationError(errors);
+    }
+    return buildMerkleTree(allocations);
+}
+
+module.exports = {
+    merkleLeaf,
+    buildMerkleTree,
+    verifyMerkleProof,
+    loadMerkleTree,
+};
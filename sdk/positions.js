@@ -0,0 +1,145 @@
+const { ethers } = require("ethers");
+const { getAbi } = require("./artifacts");
+const { translateError } = require("./errors");
+const { toScheduleParams } = require("./VestingClient");
+const { toDate } = require("./units");
+
+const DATA_URI_PREFIX = "data:application/json;base64,";
+
+// Traits of tokenURI holding token amounts, as decimal strings
+const AMOUNT_TRAITS = ["Granted", "Released", "Vested"];
+
+/**
+ * Thin ethers wrapper around a deployed VestingPositions, the ERC721
+ * positions of Vesting schedules. Token ids are the schedule ids, as
+ * BigNumber; `scheduleId` is the same value as bytes32.
+ * Reverts are rethrown as the typed errors from ./errors.
+ */
+class VestingPositionsClient {
+    constructor(address, signerOrProvider) {
+        this.contract = new ethers.Contract(
+            address,
+            getAbi("VestingPositions"),
+            signerOrProvider
+        );
+    }
+
+    connect(signerOrProvider) {
+        return new VestingPositionsClient(this.contract.address, signerOrProvider);
+    }
+
+    /**
+     * Creates a schedule of `token` (defaults to the default token) and
+     * mints its position to `schedule.beneficiary`. Takes the options of
+     * VestingClient.createSchedule. Requires CREATOR_ROLE in Vesting.
+     * Returns the tokenId with the mined receipt.
+     */
+    async mint(schedule, { transferable = true, token } = {}) {
+        const params = toScheduleParams(schedule);
+        const receipt = await this._send(() =>
+            token
+                ? this.contract.mintForToken(token, params, transferable)
+                : this.contract.mint(params, transferable)
+        );
+        const event = receipt.events.find(
+            (e) => e.event === "Transfer" && e.args.from === ethers.constants.AddressZero
+        );
+        return { tokenId: event.args.tokenId, receipt };
+    }
+
+    /**
+     * Moves every schedule of the signer into positions owned by the
+     * signer: nominates the positions contract as beneficiary in Vesting,
+     * then mints the positions. Returns the tokenIds.
+     */
+    async wrap() {
+        const signer = this.contract.signer;
+        const vesting = new ethers.Contract(await this.contract.vesting(), getAbi("Vesting"), signer);
+        await this._send(() => vesting.requestBeneficiaryTransfer(this.contract.address));
+        const receipt = await this._send(() => this.contract.wrap());
+        const tokenIds = receipt.events
+            .filter((e) => e.event === "Transfer")
+            .map((e) => e.args.tokenId);
+        return { tokenIds, receipt };
+    }
+
+    /**
+     * Releases the vested tokens of `tokenId` to its owner.
+     */
+    async release(tokenId) {
+        return this._send(() => this.contract.release(tokenId));
+    }
+
+    /**
+     * Accepts the amendment proposed in Vesting for the schedule of
+     * `tokenId`. The signer must own the position.
+     */
+    async acceptAmendment(tokenId) {
+        return this._send(() => this.contract.acceptAmendment(tokenId));
+    }
+
+    /**
+     * Marks `tokenId` transferable or not. Requires CREATOR_ROLE in Vesting.
+     */
+    async setTransferable(tokenId, transferable) {
+        return this._send(() => this.contract.setTransferable(tokenId, transferable));
+    }
+
+    /**
+     * Returns the positions of `holder`:
+     * { tokenId, scheduleId, transferable, nextUnlock }, where `nextUnlock`
+     * is a Date, or null once nothing is left to vest.
+     */
+    async listPositions(holder) {
+        const count = (await this._call(() => this.contract.balanceOf(holder))).toNumber();
+        const positions = [];
+        for (let i = 0; i < count; i++) {
+            const tokenId = await this._call(() => this.contract.tokenOfOwnerByIndex(holder, i));
+            const nextUnlock = await this._call(() => this.contract.getNextUnlock(tokenId));
+            positions.push({
+                tokenId,
+                scheduleId: ethers.utils.hexZeroPad(tokenId.toHexString(), 32),
+                transferable: await this._call(() => this.contract.isTransferable(tokenId)),
+                nextUnlock: nextUnlock.isZero() ? null : toDate(nextUnlock),
+            });
+        }
+        return positions;
+    }
+
+    /**
+     * Returns the decoded tokenURI of `tokenId`, with its attributes also
+     * mapped by trait type in `traits`, where the amounts (Granted,
+     * Released and Vested) are BigNumber.
+     */
+    async getMetadata(tokenId) {
+        const uri = await this._call(() => this.contract.tokenURI(tokenId));
+        const json = JSON.parse(
+            Buffer.from(uri.slice(DATA_URI_PREFIX.length), "base64").toString("utf8")
+        );
+        json.traits = {};
+        for (const attribute of json.attributes) {
+            const { trait_type: trait, value } = attribute;
+            json.traits[trait] = AMOUNT_TRAITS.includes(trait) ? ethers.BigNumber.from(value) : value;
+        }
+        return json;
+    }
+
+    async _call(fn) {
+        try {
+            return await fn();
+        } catch (err) {
+            throw translateError(err);
+        }
+    }
+
+    async _send(fn) {
+        return this._call(async () => {
+            const tx = await fn();
+            return tx.wait();
+        });
+    }
+}
+
+module.exports = {
+    VestingPositionsClient,
+};
@@ -0,0 +1,88 @@
+const { BigNumber } = require("ethers");
+
+/**
+ * Time helpers: conversions between Date and epoch seconds, and parsing of
+ * the human units accepted by the CLI, e.g. "360d", "3.5d" or "2022-07-01".
+ */
+
+const UNIT_SECONDS = {
+    s: 1,
+    m: 60,
+    h: 60 * 60,
+    d: 60 * 60 * 24,
+    w: 60 * 60 * 24 * 7,
+    y: 60 * 60 * 24 * 365,
+};
+
+/**
+ * Converts a duration such as "360d", "3.5d", "90m" or "3600" into seconds.
+ * A number without unit is taken as seconds. The result must be a whole
+ * number of seconds.
+ */
+function parseDuration(value) {
+    if (typeof value === "number") {
+        value = String(value);
+    }
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([smhdwy]?)\s*$/.exec(value || "");
+    if (!match) {
+        throw new Error(`Invalid duration "${value}"`);
+    }
+    const seconds = Number(match[1]) * UNIT_SECONDS[match[2] || "s"];
+    if (!Number.isInteger(seconds)) {
+        throw new Error(`Duration "${value}" is not a whole number of seconds`);
+    }
+    return seconds;
+}
+
+/**
+ * Formats seconds using the largest unit that divides them, e.g. 302400 => "3.5d".
+ */
+function formatDuration(seconds) {
+    for (const unit of ["y", "w", "d", "h", "m"]) {
+        const amount = seconds / UNIT_SECONDS[unit];
+        if (amount >= 1 && Number.isInteger(amount * 10)) {
+            return amount + unit;
+        }
+    }
+    return seconds + "s";
+}
+
+/**
+ * Converts "now", an epoch in seconds or a date string (e.g. "2022-07-01")
+ * into epoch seconds.
+ */
+function parseTime(value, now = Date.now()) {
+    if (value === "now") {
+        return Math.floor(now / 1000);
+    }
+    if (/^\d+$/.test(String(value))) {
+        return Number(value);
+    }
+    const ms = Date.parse(value);
+    if (Number.isNaN(ms)) {
+        throw new Error(`Invalid date "${value}"`);
+    }
+    return Math.floor(ms / 1000);
+}
+
+/**
+ * Converts a Date or an epoch in seconds into epoch seconds.
+ */
+function toSeconds(value) {
+    if (value instanceof Date) {
+        return Math.floor(value.getTime() / 1000);
+    }
+    return BigNumber.from(value).toNumber();
+}
+
+function toDate(seconds) {
+    return new Date(BigNumber.from(seconds).toNumber() * 1000);
+}
+
+module.exports = {
+    toSeconds,
+    toDate,
+    parseDuration,
+    formatDuration,
+    parseTime,
+};
@@ -0,0 +1,27 @@
+/**
+ * Vesting calls the external functions of the MerkleDistributions and
+ * ScheduleAmendments libraries, linked at deployment: the factories of
+ * Vesting, of MockVesting and of VestingFactory, which deploys a Vesting,
+ * need their addresses.
+ */
+const VESTING_LIBRARIES = ["MerkleDistributions", "ScheduleAmendments"];
+
+/**
+ * Deploys the libraries of Vesting and returns the factory of the
+ * contract `name` linked to them, connected to `signer` (defaults to the
+ * first account).
+ */
+async function getVestingFactory(hre, name, signer) {
+    const libraries = {};
+    for (const library of VESTING_LIBRARIES) {
+        const Library = await hre.ethers.getContractFactory(library, signer);
+        const deployed = await Library.deploy();
+        await deployed.deployed();
+        libraries[library] = deployed.address;
+    }
+    return hre.ethers.getContractFactory(name, { signer, libraries });
+}
+
+module.exports = {
+    getVestingFactory,
+};
@@ -0,0 +1,657 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+const { VestingClient } = require("../sdk");
+const { VestingFactoryClient, loadFactoryConfig, deployFromConfig } = require("../sdk/factory");
+const { VestingPositionsClient } = require("../sdk/positions");
+const { loadAllocations, validateAllocations, importAllocations } = require("../sdk/importer");
+const { loadMerkleTree } = require("../sdk/merkle");
+const { fromParams, unlockCalendar, formatCalendar } = require("../sdk/calculator");
+const { VestingIndexer, JsonFileStore } = require("../sdk/indexer");
+const { parseDuration, formatDuration, parseTime } = require("../sdk/units");
+const { getVestingFactory } = require("./libraries");
+
+/**
+ * Hardhat tasks to operate a deployed Vesting contract.
+ * `deploy` stores the address in deploy/<network>.json, so the other tasks
+ * only need --vesting when working with another deployment.
+ */
+
+const DEPLOY_DIR = path.join(__dirname, "..", "deploy");
+
+function deploymentFile(networkName) {
+    return path.join(DEPLOY_DIR, `${networkName}.json`);
+}
+
+function loadDeployment(networkName) {
+    const file = deploymentFile(networkName);
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file)) : {};
+}
+
+// Merges `deployment` into deploy/<network>.json
+function saveDeployment(networkName, deployment) {
+    fs.mkdirSync(DEPLOY_DIR, { recursive: true });
+    fs.writeFileSync(
+        deploymentFile(networkName),
+        JSON.stringify({ ...loadDeployment(networkName), ...deployment }, null, 2)
+    );
+}
+
+function resolveVesting(args, hre) {
+    if (args.vesting) {
+        return args.vesting;
+    }
+    const { vesting } = loadDeployment(hre.network.name);
+    if (!vesting) {
+        throw new Error(
+            `No --vesting given and no deployment found in ${deploymentFile(hre.network.name)}`
+        );
+    }
+    return vesting;
+}
+
+function resolveFactory(args, hre) {
+    const factory = args.factory || loadDeployment(hre.network.name).factory;
+    if (!factory) {
+        throw new Error(
+            `No --factory given and no factory found in ${deploymentFile(hre.network.name)}`
+        );
+    }
+    return factory;
+}
+
+function resolvePositions(args, hre) {
+    const positions = args.positions || loadDeployment(hre.network.name).positions;
+    if (!positions) {
+        throw new Error(
+            `No --positions given and no positions found in ${deploymentFile(hre.network.name)}`
+        );
+    }
+    return positions;
+}
+
+async function getSigner(args, hre) {
+    if (args.from) {
+        return hre.ethers.getSigner(args.from);
+    }
+    return (await hre.ethers.getSigners())[0];
+}
+
+async function getClient(args, hre) {
+    return new VestingClient(resolveVesting(args, hre), await getSigner(args, hre));
+}
+
+function formatSchedule(s) {
+    const vested = s.released.add(s.releasable);
+    const progress = vested.mul(10000).div(s.amountTotal).toNumber() / 100;
+    return [
+        s.scheduleId,
+        `  beneficiary: ${s.beneficiary}  token: ${s.token}`,
+        `  start: ${s.start.toISOString()}  cliff: ${s.cliff.toISOString()}`,
+        `  duration: ${formatDuration(s.duration)}  slice: ${formatDuration(s.slicePeriodSeconds)}` +
+            `  revocable: ${s.revocable}  revoked: ${s.revoked}`,
+        `  total: ${s.amountTotal}  released: ${s.released}` +
+            `  releasable: ${s.releasable}  vested: ${progress}%`,
+    ].join("\n");
+}
+
+// Prints the operation queued by the timelock, if any. Returns true if queued.
+// `resolved` lists the options the command filled in, such as a default
+// amount: the second run must pass them to repeat the exact same call.
+function printQueued(client, receipt, resolved = []) {
+    const queued = client.getQueuedOperation(receipt);
+    if (queued) {
+        const command = resolved.length
+            ? `the command again with ${resolved.join(" ")}`
+            : "the same command again";
+        console.log(`Queued ${queued.operationId}, run ${command} after ${queued.readyAt.toISOString()}`);
+    }
+    return Boolean(queued);
+}
+
+// `--name value` if the command used `value` for an option given as
+// `arg`, e.g. a default amount or "now", for printQueued
+function resolvedOption(name, arg, value) {
+    return value === undefined || String(value) === arg ? [] : [`--${name} ${value}`];
+}
+
+// Adds the parameters shared by every task that talks to a deployment
+function vestingTask(name, description) {
+    return task(name, description)
+        .addOptionalParam("vesting", "Vesting address (defaults to deploy/<network>.json)")
+        .addOptionalParam("from", "Address of the signer (defaults to the first account)");
+}
+
+task("deploy", "Deploys Vesting for an ERC20 token")
+    .addParam("token", "Address of the ERC20 vesting token")
+    .addOptionalParam("from", "Address of the signer (defaults to the first account)")
+    .setAction(async (args, hre) => {
+        const signer = await getSigner(args, hre);
+        const Vesting = await getVestingFactory(hre, "Vesting", signer);
+        const vesting = await Vesting.deploy(args.token);
+        await vesting.deployed();
+
+        saveDeployment(hre.network.name, {
+            vesting: vesting.address,
+            token: args.token,
+        });
+        console.log(`Vesting deployed at ${vesting.address}`);
+        return vesting.address;
+    });
+
+task("factory:deploy", "Deploys a VestingFactory")
+    .addOptionalParam("from", "Address of the signer (defaults to the first account)")
+    .setAction(async (args, hre) => {
+        const signer = await getSigner(args, hre);
+        const Factory = await getVestingFactory(hre, "VestingFactory", signer);
+        const factory = await Factory.deploy();
+        await factory.deployed();
+
+        saveDeployment(hre.network.name, { factory: factory.address });
+        console.log(`VestingFactory deployed at ${factory.address}`);
+        return factory.address;
+    });
+
+task("factory:create", "Deploys the Vesting instances of a config file with the factory")
+    .addParam("file", "JSON config file")
+    .addOptionalParam("factory", "VestingFactory address (defaults to the config, then deploy/<network>.json)")
+    .addOptionalParam("from", "Address of the signer, who provides the funding (defaults to the first account)")
+    .addOptionalParam("report", "Where to write the JSON report (defaults to stdout)")
+    .setAction(async (args, hre) => {
+        const config = loadFactoryConfig(args.file);
+        const factory = new VestingFactoryClient(
+            args.factory || config.factory || resolveFactory(args, hre),
+            await getSigner(args, hre)
+        );
+
+        const report = await deployFromConfig(factory, config, {
+            onVesting: (row) =>
+                console.log(`${row.name}: Vesting deployed at ${row.vesting} with ${row.scheduleCount} schedules`),
+        });
+        if (args.report) {
+            fs.writeFileSync(args.report, JSON.stringify(report, null, 2));
+            console.log(`Report written to ${args.report}`);
+        } else {
+            console.log(JSON.stringify(report, null, 2));
+        }
+        return report;
+    });
+
+task("factory:list", "Lists the Vesting instances deployed by the factory")
+    .addOptionalParam("factory", "VestingFactory address (defaults to deploy/<network>.json)")
+    .addOptionalParam("token", "Only the instances of this token")
+    .addOptionalParam("owner", "Only the instances created for this owner")
+    .setAction(async (args, hre) => {
+        const factory = new VestingFactoryClient(resolveFactory(args, hre), hre.ethers.provider);
+        const vestings = await factory.listVestings({ token: args.token, owner: args.owner });
+        vestings.forEach((vesting) => console.log(vesting));
+        return vestings;
+    });
+
+vestingTask("positions:deploy", "Deploys VestingPositions, the ERC721 positions of a Vesting")
+    .setAction(async (args, hre) => {
+        const signer = await getSigner(args, hre);
+        const Positions = await hre.ethers.getContractFactory("VestingPositions", signer);
+        const positions = await Positions.deploy(resolveVesting(args, hre));
+        await positions.deployed();
+
+        saveDeployment(hre.network.name, { positions: positions.address });
+        console.log(`VestingPositions deployed at ${positions.address}`);
+        console.log(`Grant it CREATOR_ROLE to mint: npx hardhat role:grant --role CREATOR_ROLE --account ${positions.address}`);
+        return positions.address;
+    });
+
+task("positions:list", "Lists the positions of a holder")
+    .addParam("holder", "Address of the holder")
+    .addOptionalParam("positions", "VestingPositions address (defaults to deploy/<network>.json)")
+    .setAction(async (args, hre) => {
+        const client = new VestingPositionsClient(resolvePositions(args, hre), hre.ethers.provider);
+        const positions = await client.listPositions(args.holder);
+        for (const p of positions) {
+            const { traits } = await client.getMetadata(p.tokenId);
+            console.log(
+                `${p.scheduleId}\n  granted: ${traits.Granted}  released: ${traits.Released}  vested: ${traits.Progress}%` +
+                    `  next unlock: ${p.nextUnlock ? p.nextUnlock.toISOString() : "-"}  transferable: ${p.transferable}`
+            );
+        }
+        if (positions.length === 0) {
+            console.log(`No positions found for ${args.holder}`);
+        }
+        return positions;
+    });
+
+task("positions:release", "Releases a position to its owner")
+    .addParam("id", "Schedule id (or token id) of the position")
+    .addOptionalParam("positions", "VestingPositions address (defaults to deploy/<network>.json)")
+    .addOptionalParam("from", "Address of the signer (defaults to the first account)")
+    .setAction(async (args, hre) => {
+        const client = new VestingPositionsClient(resolvePositions(args, hre), await getSigner(args, hre));
+        await client.release(args.id);
+        console.log(`Released ${args.id}`);
+    });
+
+vestingTask("fund", "Transfers vesting tokens from the signer to Vesting")
+    .addParam("amount", "Amount of tokens")
+    .addOptionalParam("token", "ERC20 to transfer (defaults to the default token)")
+    .setAction(async (args, hre) => {
+        const client = await getClient(args, hre);
+        const token = await hre.ethers.getContractAt(
+            "IERC20",
+            args.token || (await client.contract.getToken()),
+            client.contract.signer
+        );
+        await (await token.transfer(client.contract.address, args.amount)).wait();
+        console.log(`Transferred ${args.amount} tokens to ${client.contract.address}`);
+    });
+
+vestingTask("schedule:create", "Creates a vesting schedule")
+    .addParam("beneficiary", "Address of the beneficiary")
+    .addParam("amount", "Total amount of tokens")
+    .addParam("duration", 'Duration, e.g. "360d"')
+    .addParam("slice", 'Slice period, e.g. "30d" or "3.5d"')
+    .addOptionalParam("start", 'Start: "now", epoch seconds or a date', "now")
+    .addOptionalParam("cliff", 'Cliff from start, e.g. "60d"', "0")
+    .addOptionalParam("token", "ERC20 of the schedule (defaults to the default token)")
+    .addFlag("revocable", "Allow REVOKER_ROLE to revoke the schedule")
+    .setAction(async (args, hre) => {
+        const client = await getClient(args, hre);
+        const { scheduleId } = await client.createSchedule({
+            beneficiary: args.beneficiary,
+            token: args.token,
+            start: parseTime(args.start),
+            cliff: parseDuration(args.cliff),
+            duration: parseDuration(args.duration),
+            slicePeriodSeconds: parseDuration(args.slice),
+            revocable: args.revocable,
+            amount: args.amount,
+        });
+        console.log(`Schedule created: ${scheduleId}`);
+        return scheduleId;
+    });
+
+vestingTask("schedule:import", "Creates the schedules of a CSV or JSON allocation file")
+    .addParam("file", "Allocation file (.csv or .json)")
+    .addOptionalParam("report", "Where to write the JSON report (defaults to stdout)")
+    .addOptionalParam("maxChunk", "Maximum schedules per transaction", "100")
+    .addOptionalParam("token", "ERC20 of the schedules (defaults to the default token)")
+    .addFlag("dryRun", "Only validate the file")
+    .setAction(async (args, hre) => {
+        const client = await getClient(args, hre);
+        const allocations = loadAllocations(args.file);
+
+        if (args.dryRun) {
+            const { withdrawable } = await client.getBalances(args.token);
+            const errors = validateAllocations(allocations, withdrawable);
+            errors.forEach((e) => console.log(`row ${e.row}: ${e.message}`));
+            console.log(errors.length === 0 ? `${allocations.length} rows are valid` : "Validation failed");
+            return errors;
+        }
+
+        let report;
+        try {
+            report = await importAllocations(client, allocations, {
+                maxChunkSize: Number(args.maxChunk),
+                token: args.token,
+                onChunk: (rows) =>
+                    console.log(`Created ${rows.length} schedules in ${rows[0].txHash}`),
+            });
+        } catch (err) {
+            // Keep the schedules created so far, to resume after them
+            if (err.report && args.report) {
+                fs.writeFileSync(args.report, JSON.stringify(err.report, null, 2));
+                console.log(`Chunk ${err.chunkIndex} failed, report of the ${err.report.length} rows created written to ${args.report}`);
+            }
+            throw err;
+        }
+        if (args.report) {
+            fs.writeFileSync(args.report, JSON.stringify(report, null, 2));
+            console.log(`Report written to ${args.report}`);
+        } else {
+            console.log(JSON.stringify(report, null, 2));
+        }
+        return report;
+    });
+
+vestingTask("schedule:amend", "Adds tokens to a schedule, extends it or makes it non-revocable")
+    .addParam("id", "Schedule id")
+    .addOptionalParam("add", "Amount of tokens to add", "0")
+    .addOptionalParam("duration", 'New duration from start, e.g. "720d" (defaults to the current one)')
+    .addFlag("irrevocable", "Make the schedule non-revocable")
+    .setAction(async (args, hre) => {
+        const client = await getClient(args, hre);
+        const { applied, proposed } = await client.amendSchedule(args.id, {
+            addedAmount: args.add,
+            duration: args.duration ? parseDuration(args.duration) : undefined,
+            makeIrrevocable: args.irrevocable,
+        });
+        if (applied) {
+            console.log(`Amended ${args.id}`);
+        }
+        if (proposed) {
+            console.log(
+                `Proposed a duration of ${args.duration} for ${args.id},` +
+                    " the beneficiary accepts it with schedule:accept-amendment"
+            );
+        }
+        return applied;
+    });
+
+vestingTask("schedule:accept-amendment", "Accepts the duration proposed for a schedule, as its beneficiary")
+    .addParam("id", "Schedule id")
+    .setAction(async (args, hre) => {
+        const client = await getClient(args, hre);
+        const duration = await client.getPendingDuration(args.id);
+        if (!duration) {
+            throw new Error(`No amendment proposed for ${args.id}`);
+        }
+        await client.acceptAmendment(args.id);
+        console.log(`Accepted the duration of ${args.id}: ${formatDuration(duration)}`);
+    });
+
+task("merkle:build", "Builds the Merkle tree of an allocation file, with the proof of every beneficiary")
+    .addParam("file", "Allocation file (.csv or .json)")
+    .addParam("out", "Where to write the tree")
+    .setAction(async (args) => {
+        const tree = loadMerkleTree(args.file);
+        fs.writeFileSync(args.out, JSON.stringify(tree, null, 2));
+        console.log(`Root ${tree.root} of ${Object.keys(tree.claims).length} allocations, total ${tree.total}`);
+        return tree;
+    });
+
+vestingTask("merkle:create", "Commits a tree written by merkle:build as a Merkle distribution")
+    .addParam("file", "Tree written by merkle:build")
+    .addFlag("revocable", "Make the schedules revocable, and the distribution closable")
+    .addOptionalParam("deadline", "End of the claims, after which the distribution can be closed (date or epoch seconds)")
+    .setAction(async (args, hre) => {
+        const client = await getClient(args, hre);
+        const tree = JSON.parse(fs.readFileSync(args.file, "utf8"));
+        const { distributionId } = await client.createMerkleDistribution(tree, {
+            revocable: args.revocable,
+            claimDeadline: args.deadline ? parseTime(args.deadline) : undefined,
+        });
+        console.log(`Created distribution ${distributionId}, reserving ${tree.total}`);
+        return distributionId;
+    });
+
+vestingTask("merkle:claim", "Creates the schedule of a beneficiary from a Merkle distribution")
+    .addParam("file", "Tree written by merkle:build")
+    .addParam("distribution", "Distribution id")
+    .addOptionalParam("beneficiary", "Beneficiary of the allocation (defaults to the signer)")
+    .setAction(async (args, hre) => {
+        const client = await getClient(args, hre);
+        const { ethers } = hre;
+        const tree = JSON.parse(fs.readFileSync(args.file, "utf8"));
+        const beneficiary = ethers.utils.getAddress(
+            args.beneficiary || (await client.contract.signer.getAddress())
+        );
+        const claim = tree.claims[beneficiary];
+        if (!claim) {
+            throw new Error(`No allocation for ${beneficiary} in ${args.file}`);
+        }
+        const { scheduleId } = await client.claimMerkleSchedule(Number(args.distribution), claim);
+        console.log(`Created schedule ${scheduleId}`);
+        return scheduleId;
+    });
+
+vestingTask("merkle:close", "Ends a revocable or expired Merkle distribution, freeing what is not claimed")
+    .addParam("distribution", "Distribution id")
+    .setAction(async (args, hre) => {
+        const client = await getClient(args, hre);
+        const receipt = await client.closeMerkleDistribution(Number(args.distribution));
+        if (!printQueued(client, receipt)) {
+            console.log(`Closed distribution ${args.distribution}`);
+        }
+    });
+
+vestingTask("schedule:list", "Lists the schedules of a holder")
+    .addParam("holder", "Address of the holder")
+    .setAction(async (args, hre) => {
+        const client = await getClient(args, hre);
+        const schedules = await client.listSchedules(args.holder);
+        schedules.forEach((s) => console.log(formatSchedule(s)));
+        if (schedules.length === 0) {
+            console.log(`No schedules found for ${args.holder}`);
+        }
+        return schedules;
+    });
+
+task("calendar", "Prints the unlock calendar of a schedule, on-chain or hypothetical")
+    .addOptionalParam("vesting", "Vesting address (defaults to deploy/<network>.json)")
+    .addOptionalParam("id", "Schedule id of an existing schedule")
+    .addOptionalParam("amount", "Total amount of a hypothetical schedule")
+    .addOptionalParam("start", 'Start: "now", epoch seconds or a date', "now")
+    .addOptionalParam("cliff", 'Cliff from start, e.g. "60d"', "0")
+    .addOptionalParam("duration", 'Duration, e.g. "360d"')
+    .addOptionalParam("slice", 'Slice period, e.g. "30d" or "3.5d"')
+    .addOptionalParam("tge", 'Percentage vested at start, e.g. "10"', "0")
+    .addOptionalParam("format", "json, csv or md", "json")
+    .setAction(async (args, hre) => {
+        let schedule;
+        if (args.id) {
+            const client = await getClient(args, hre);
+            schedule = await client.getScheduleById(args.id);
+        } else {
+            if (!args.amount || !args.duration || !args.slice) {
+                throw new Error("Either --id or --amount, --duration and --slice are required");
+            }
+            schedule = fromParams({
+                start: parseTime(args.start),
+                cliff: parseDuration(args.cliff),
+                duration: parseDuration(args.duration),
+                slicePeriodSeconds: parseDuration(args.slice),
+                amount: args.amount,
+                tgeBasisPoints: Math.round(Number(args.tge) * 100),
+            });
+        }
+        const calendar = unlockCalendar(schedule);
+        console.log(formatCalendar(calendar, args.format));
+        return calendar;
+    });
+
+task("history", "Indexes the events of Vesting and prints releases and revocations")
+    .addOptionalParam("vesting", "Vesting address (defaults to deploy/<network>.json)")
+    .addOptionalParam("store", "JSON file with the indexed events (defaults to deploy/<network>-events.json)")
+    .addOptionalParam("fromBlock", "First block to index when the store is empty", "0")
+    .addOptionalParam("holder", "Only show the releases of this holder")
+    .addOptionalParam("start", "Only show events from this date")
+    .addOptionalParam("end", "Only show events up to this date")
+    .setAction(async (args, hre) => {
+        fs.mkdirSync(DEPLOY_DIR, { recursive: true });
+        const store = new JsonFileStore(
+            args.store || path.join(DEPLOY_DIR, `${hre.network.name}-events.json`)
+        );
+        const indexer = new VestingIndexer(resolveVesting(args, hre), hre.ethers.provider, store, {
+            fromBlock: Number(args.fromBlock),
+        });
+        const added = await indexer.sync();
+        console.log(`Indexed ${added} new events, ${indexer.events.length} in total`);
+
+        const range = {
+            from: args.start && parseTime(args.start),
+            to: args.end && parseTime(args.end),
+        };
+        const releases = indexer.getReleases({ holder: args.holder, ...range });
+        console.log("Releases:");
+        releases.forEach((r) =>
+            console.log(`  ${r.date.toISOString()}  ${r.holder}  ${r.amount}  ${r.scheduleId}`)
+        );
+        const revoked = indexer.getRevokedPerMonth(range);
+        console.log("Revoked per month:");
+        revoked.forEach((r) => console.log(`  ${r.month}  ${r.amount}`));
+
+        return { releases, revoked };
+    });
+
+vestingTask("release", "Releases one schedule, or all the schedules of the signer")
+    .addOptionalParam("id", "Schedule id (defaults to all the signer's schedules)")
+    .addOptionalParam("to", "Recipient of the tokens (defaults to the beneficiary); requires --amount")
+    .addOptionalParam("amount", "Amount to release to --to")
+    .addOptionalParam("token", "ERC20 to release to --to from all the schedules (defaults to the default token)")
+    .addOptionalParam("offset", "Index of the first schedule to release, with --limit", "0")
+    .addOptionalParam("limit", "Only release this many of the signer's schedules")
+    .setAction(async (args, hre) => {
+        const client = await getClient(args, hre);
+        if (Boolean(args.to) !== Boolean(args.amount)) {
+            throw new Error("--to and --amount go together");
+        }
+        if (args.to && args.id) {
+            await client.releaseTo(args.id, args.to, args.amount);
+        } else if (args.to) {
+            const token = args.token || (await client.contract.getToken());
+            await client.releaseAllTo(token, args.to, args.amount);
+        } else if (args.id) {
+            await client.release(args.id);
+        } else {
+            await client.releaseAll(
+                args.limit ? { offset: Number(args.offset), limit: Number(args.limit) } : {}
+            );
+        }
+        console.log("Released");
+    });
+
+vestingTask("sign-release", "Signs a release of a schedule for a relayer to submit with relay")
+    .addParam("id", "Schedule id")
+    .addOptionalParam("valid", 'How long the signature can be used, e.g. "1d"', "1d")
+    .addOptionalParam("out", "Where to write the signed release (defaults to stdout)")
+    .setAction(async (args, hre) => {
+        const client = await getClient(args, hre);
+        const deadline = parseTime("now") + parseDuration(args.valid);
+        const signed = await client.signRelease(args.id, { deadline });
+        const json = JSON.stringify(signed, null, 2);
+        if (args.out) {
+            fs.writeFileSync(args.out, json);
+        } else {
+            console.log(json);
+        }
+        return signed;
+    });
+
+vestingTask("relay", "Submits a release signed with sign-release; the signer pays the gas")
+    .addParam("file", "Signed release written by sign-release")
+    .setAction(async (args, hre) => {
+        const client = await getClient(args, hre);
+        const signed = JSON.parse(fs.readFileSync(args.file, "utf8"));
+        await client.releaseWithSig(signed);
+        console.log(`Released ${signed.scheduleId}`);
+    });
+
+vestingTask("revoke", "Revokes a schedule, or every revocable schedule of a holder")
+    .addOptionalParam("id", "Schedule id")
+    .addOptionalParam("holder", "Revoke every revocable schedule of this holder instead")
+    .addOptionalParam("at", 'Effective time: "now", epoch seconds or a date (defaults to now)')
+    .addFlag("noPay", "Leave the vested amount for the beneficiary to release")
+    .setAction(async (args, hre) => {
+        if (Boolean(args.id) === Boolean(args.holder)) {
+            throw new Error("Either --id or --holder is required");
+        }
+        const client = await getClient(args, hre);
+        const options = { payVested: !args.noPay };
+        if (args.at) {
+            options.effectiveTime = parseTime(args.at);
+        } else if (args.holder || args.noPay) {
+            // revokeAt needs a time: the current one, set here to be printed
+            options.effectiveTime = (await hre.ethers.provider.getBlock("latest")).timestamp;
+        }
+        const receipt = args.holder
+            ? await client.revokeAllForHolder(args.holder, options)
+            : await client.revoke(args.id, options);
+        const resolved = resolvedOption("at", args.at, options.effectiveTime);
+        if (!printQueued(client, receipt, resolved)) {
+            console.log(`Revoked ${args.id || `the schedules of ${args.holder}`}`);
+        }
+    });
+
+vestingTask("withdraw", "Withdraws unused funds to the signer")
+    .addOptionalParam("amount", "Amount of tokens (defaults to all withdrawable funds)")
+    .addOptionalParam("token", "ERC20 to withdraw (defaults to the default token)")
+    .setAction(async (args, hre) => {
+        const client = await getClient(args, hre);
+        const amount = args.amount || (await client.getBalances(args.token)).withdrawable;
+        const receipt = await client.withdraw(amount, args.token);
+        if (!printQueued(client, receipt, resolvedOption("amount", args.amount, amount))) {
+            console.log(`Withdrew ${amount} tokens`);
+        }
+    });
+
+vestingTask("recover", "Sends tokens other than the vesting token, sent by mistake, to an address")
+    .addParam("token", "ERC20 to recover")
+    .addParam("to", "Address receiving the tokens")
+    .addOptionalParam("amount", "Amount of tokens (defaults to all withdrawable funds)")
+    .setAction(async (args, hre) => {
+        const client = await getClient(args, hre);
+        const amount = args.amount || (await client.getBalances(args.token)).withdrawable;
+        const receipt = await client.recoverERC20(args.token, args.to, amount);
+        if (!printQueued(client, receipt, resolvedOption("amount", args.amount, amount))) {
+            console.log(`Recovered ${amount} tokens to ${args.to}`);
+        }
+    });
+
+vestingTask("pause", "Halts releases and the creation of schedules")
+    .setAction(async (args, hre) => {
+        const client = await getClient(args, hre);
+        await client.pause();
+        console.log("Paused");
+    });
+
+vestingTask("unpause", "Resumes releases and the creation of schedules")
+    .setAction(async (args, hre) => {
+        const client = await getClient(args, hre);
+        await client.unpause();
+        console.log("Unpaused");
+    });
+
+vestingTask("role:grant", "Grants a role")
+    .addParam("role", "CREATOR_ROLE, REVOKER_ROLE, TREASURY_ROLE, PAUSER_ROLE or DEFAULT_ADMIN_ROLE")
+    .addParam("account", "Address receiving the role")
+    .setAction(async (args, hre) => {
+        const client = await getClient(args, hre);
+        await client.grantRole(args.role, args.account);
+        console.log(`Granted ${args.role} to ${args.account}`);
+    });
+
+vestingTask("role:revoke", "Revokes a role")
+    .addParam("role", "CREATOR_ROLE, REVOKER_ROLE, TREASURY_ROLE, PAUSER_ROLE or DEFAULT_ADMIN_ROLE")
+    .addParam("account", "Address losing the role")
+    .setAction(async (args, hre) => {
+        const client = await getClient(args, hre);
+        await client.revokeRole(args.role, args.account);
+        console.log(`Revoked ${args.role} from ${args.account}`);
+    });
+
+vestingTask("status", "Prints the funds of Vesting and the progress of every schedule")
+    .addOptionalParam("holder", "Only show the schedules of this holder")
+    .setAction(async (args, hre) => {
+        const client = await getClient(args, hre);
+        const { totalVesting, withdrawable, shortfall } = await client.getBalances();
+        const schedules = args.holder
+            ? await client.listSchedules(args.holder)
+            : await client.listAllSchedules();
+
+        const defaultToken = await client.contract.getToken();
+        console.log(`Vesting: ${client.contract.address}`);
+        console.log(`Token: ${defaultToken}`);
+        console.log(`Total vesting amount: ${totalVesting}`);
+        console.log(`Withdrawable amount: ${withdrawable}`);
+        if (!shortfall.isZero()) {
+            console.log(`Shortfall: ${shortfall}, top up Vesting or the last releases fail`);
+        }
+
+        // Funds of the other tokens used by the schedules
+        const tokens = {};
+        for (const token of new Set(schedules.map((s) => s.token))) {
+            if (token !== defaultToken) {
+                tokens[token] = await client.getBalances(token);
+                console.log(`Token: ${token}`);
+                console.log(`  Total vesting amount: ${tokens[token].totalVesting}`);
+                console.log(`  Withdrawable amount: ${tokens[token].withdrawable}`);
+                if (!tokens[token].shortfall.isZero()) {
+                    console.log(`  Shortfall: ${tokens[token].shortfall}`);
+                }
+            }
+        }
+
+        console.log(`Schedules: ${schedules.length}`);
+        schedules.forEach((s) => console.log(formatSchedule(s)));
+
+        return { totalVesting, withdrawable, tokens, schedules };
+    });
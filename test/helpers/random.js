@@ -0,0 +1,24 @@
+/**
+ * Deterministic PRNG (mulberry32) for the randomized tests, so that a
+ * failure can be reproduced from its seed.
+ */
+function createRandom(seed) {
+    let state = seed;
+    function random() {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    function randomInt(min, max) {
+        return min + Math.floor(random() * (max - min + 1));
+    }
+    function pick(items) {
+        return items[Math.floor(random() * items.length)];
+    }
+    return { random, randomInt, pick };
+}
+
+module.exports = {
+    createRandom,
+};
@@ -0,0 +1,306 @@
+const fs = require("fs");
+const path = require("path");
+const yaml = require("js-yaml");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { parseDuration } = require("../../sdk/units");
+const { getVestingFactory } = require("../../tasks/libraries");
+
+const { ethers } = hre;
+
+/**
+ * Runs the declarative scenarios of test/scenarios on a fresh MockVesting.
+ *
+ * A scenario is a JSON or YAML file with a `name`, the `accounts` used by
+ * its steps (mapped to the signers after the deployer, which is `owner`)
+ * and a list of `steps`. Each step has one action and its options:
+ *
+ *   fund: <amount>                 owner sends tokens to Vesting
+ *   time: <duration>               sets the time of MockVesting, e.g. 30d
+ *   create: <label>                creates a schedule named <label>, with
+ *     beneficiary, amount, start, cliff, duration, slice, revocable and
+ *     either tge (basis points) or checkpoints ([[time, amount], ...])
+ *   release: <label>               by its beneficiary unless `from` is set
+ *   releaseAll: <account>          releaseAllMySchedules of <account>
+ *   releaseTo: <label>             with recipient and amount
+ *   revoke: <label>                or revokeAt with `at` and `payVested`
+ *   amend: <label>                 with add, duration and irrevocable
+ *   accept: <label>                acceptAmendment by the beneficiary
+ *   withdraw: <amount>             by owner
+ *   expect:                        balances: { <account>: amount },
+ *     releasable: { <label>: amount }, released: { <label>: amount },
+ *     totalVesting and withdrawable; `vesting` is the Vesting contract
+ *
+ * `from: <account>` signs the step with another account, and
+ * `revert: <reason>` expects the step to revert with that reason.
+ * Times and durations accept the units of the CLI.
+ */
+
+// Options of each action, besides `from` and `revert`
+const ACTION_KEYS = {
+    fund: [],
+    time: [],
+    create: [
+        "beneficiary",
+        "amount",
+        "start",
+        "cliff",
+        "duration",
+        "slice",
+        "revocable",
+        "tge",
+        "checkpoints",
+    ],
+    release: [],
+    releaseAll: [],
+    releaseTo: ["recipient", "amount"],
+    revoke: ["at", "payVested"],
+    amend: ["add", "duration", "irrevocable"],
+    accept: [],
+    withdraw: [],
+    expect: [],
+};
+
+const COMMON_KEYS = ["from", "revert"];
+
+/**
+ * Reads the scenario of `file`, .json or .yaml.
+ */
+function loadScenario(file) {
+    const text = fs.readFileSync(file, "utf8");
+    const scenario = /\.ya?ml$/.test(file) ? yaml.load(text) : JSON.parse(text);
+    if (!scenario || !Array.isArray(scenario.steps)) {
+        throw new Error(`${file}: no steps`);
+    }
+    return { name: path.basename(file), accounts: [], ...scenario };
+}
+
+/**
+ * Returns the scenarios of the .json and .yaml files of `dir`, by file name.
+ */
+function loadScenarios(dir) {
+    return fs
+        .readdirSync(dir)
+        .filter((f) => /\.(json|ya?ml)$/.test(f))
+        .sort()
+        .map((f) => loadScenario(path.join(dir, f)));
+}
+
+function actionOf(step) {
+    const actions = Object.keys(step).filter((k) => ACTION_KEYS[k]);
+    if (actions.length !== 1) {
+        throw new Error(`A step needs exactly one action, got ${JSON.stringify(step)}`);
+    }
+    const [action] = actions;
+    for (const key of Object.keys(step)) {
+        if (key !== action && !COMMON_KEYS.includes(key) && !ACTION_KEYS[action].includes(key)) {
+            throw new Error(`Unknown option "${key}" for ${action}`);
+        }
+    }
+    return action;
+}
+
+/**
+ * Deploys a token and a MockVesting, then runs the steps of `scenario`.
+ * A failing step is reported with its number and action.
+ */
+async function runScenario(scenario) {
+    const [owner, ...others] = await ethers.getSigners();
+    if (scenario.accounts.length > others.length) {
+        throw new Error(`${scenario.name}: too many accounts`);
+    }
+
+    const Token = await ethers.getContractFactory("TestToken");
+    const token = await Token.deploy("Test Token", "TT", ethers.constants.MaxUint256);
+    await token.deployed();
+    const Vesting = await getVestingFactory(hre, "MockVesting");
+    const vesting = await Vesting.deploy(token.address);
+    await vesting.deployed();
+
+    const context = { scenario, owner, others, token, vesting, schedules: {} };
+    for (let i = 0; i < scenario.steps.length; i++) {
+        const step = scenario.steps[i];
+        let action = "step";
+        try {
+            action = actionOf(step);
+            await runStep(context, action, step);
+        } catch (err) {
+            err.message = `${scenario.name}, step ${i + 1} (${action}): ${err.message}`;
+            throw err;
+        }
+    }
+}
+
+async function runStep(context, action, step) {
+    const { vesting } = context;
+    if (action === "time") {
+        await vesting.setCurrentTime(parseDuration(step.time));
+        return;
+    }
+    if (action === "expect") {
+        await checkExpectations(context, step.expect);
+        return;
+    }
+
+    const tx = ACTIONS[action](context, step);
+    if (step.revert !== undefined) {
+        await expect(tx).to.be.revertedWith(step.revert);
+        return;
+    }
+    const receipt = await (await tx).wait();
+    if (action === "create") {
+        const event = receipt.events.find((e) => e.event === "ScheduleCreated");
+        context.schedules[step.create] = {
+            scheduleId: event.args.scheduleId,
+            beneficiary: step.beneficiary,
+        };
+    }
+}
+
+// Signer of `name`: `owner` or one of the accounts of the scenario
+function signerOf(context, name) {
+    if (name === "owner") {
+        return context.owner;
+    }
+    const index = context.scenario.accounts.indexOf(name);
+    if (index < 0) {
+        throw new Error(`Unknown account "${name}"`);
+    }
+    return context.others[index];
+}
+
+function addressOf(context, name) {
+    return name === "vesting" ? context.vesting.address : signerOf(context, name).address;
+}
+
+function scheduleOf(context, label) {
+    const schedule = context.schedules[label];
+    if (!schedule) {
+        throw new Error(`Unknown schedule "${label}"`);
+    }
+    return schedule;
+}
+
+// Vesting connected to `from`, or to `defaultFrom`
+function vestingFrom(context, step, defaultFrom) {
+    return context.vesting.connect(signerOf(context, step.from || defaultFrom));
+}
+
+// Each action returns the promise of its transaction
+const ACTIONS = {
+    fund: (context, step) =>
+        context.token.connect(signerOf(context, step.from || "owner")).transfer(context.vesting.address, step.fund),
+
+    create: (context, step) => {
+        const vesting = vestingFrom(context, step, "owner");
+        const beneficiary = addressOf(context, step.beneficiary);
+        const revocable = Boolean(step.revocable);
+        if (step.checkpoints) {
+            const checkpoints = step.checkpoints.map(([time, amount]) => [parseDuration(time), amount]);
+            return vesting.createCheckpointSchedule(beneficiary, revocable, checkpoints);
+        }
+        const params = [
+            beneficiary,
+            parseDuration(step.start || 0),
+            parseDuration(step.cliff || 0),
+            parseDuration(step.duration),
+            parseDuration(step.slice || 1),
+            revocable,
+            step.amount,
+        ];
+        return step.tge
+            ? vesting.createVestingScheduleWithTge(params, step.tge)
+            : vesting.createVestingSchedule(...params);
+    },
+
+    release: (context, step) => {
+        const { scheduleId, beneficiary } = scheduleOf(context, step.release);
+        return vestingFrom(context, step, beneficiary).release(scheduleId);
+    },
+
+    releaseAll: (context, step) =>
+        vestingFrom(context, step, step.releaseAll).releaseAllMySchedules(),
+
+    releaseTo: (context, step) => {
+        const { scheduleId, beneficiary } = scheduleOf(context, step.releaseTo);
+        return vestingFrom(context, step, beneficiary).releaseTo(
+            scheduleId,
+            addressOf(context, step.recipient),
+            step.amount
+        );
+    },
+
+    revoke: async (context, step) => {
+        const { scheduleId } = scheduleOf(context, step.revoke);
+        const vesting = vestingFrom(context, step, "owner");
+        if (step.at === undefined && step.payVested === undefined) {
+            return vesting.revoke(scheduleId);
+        }
+        const at = step.at === undefined
+            ? await context.vesting.getCurrentMockedTime()
+            : parseDuration(step.at);
+        return vesting.revokeAt(scheduleId, at, step.payVested !== false);
+    },
+
+    amend: async (context, step) => {
+        const { scheduleId } = scheduleOf(context, step.amend);
+        const duration = step.duration === undefined
+            ? (await context.vesting.getSchedule(scheduleId)).duration
+            : parseDuration(step.duration);
+        return vestingFrom(context, step, "owner").amendSchedule(scheduleId, [
+            step.add || 0,
+            duration,
+            Boolean(step.irrevocable),
+        ]);
+    },
+
+    accept: (context, step) => {
+        const { scheduleId, beneficiary } = scheduleOf(context, step.accept);
+        return vestingFrom(context, step, beneficiary).acceptAmendment(scheduleId);
+    },
+
+    withdraw: (context, step) => vestingFrom(context, step, "owner").withdraw(step.withdraw),
+};
+
+async function checkExpectations(context, expected) {
+    const { token, vesting } = context;
+    for (const key of Object.keys(expected)) {
+        const value = expected[key];
+        switch (key) {
+            case "balances":
+                for (const [name, amount] of Object.entries(value)) {
+                    expect(await token.balanceOf(addressOf(context, name)), `balance of ${name}`)
+                        .to.be.equal(amount);
+                }
+                break;
+            case "releasable":
+                for (const [label, amount] of Object.entries(value)) {
+                    const { scheduleId } = scheduleOf(context, label);
+                    expect(await vesting.computeReleasableAmount(scheduleId), `releasable of ${label}`)
+                        .to.be.equal(amount);
+                }
+                break;
+            case "released":
+                for (const [label, amount] of Object.entries(value)) {
+                    const { scheduleId } = scheduleOf(context, label);
+                    expect((await vesting.getSchedule(scheduleId)).released, `released of ${label}`)
+                        .to.be.equal(amount);
+                }
+                break;
+            case "totalVesting":
+                expect(await vesting.getTotalVestingAmount(), "totalVesting").to.be.equal(value);
+                break;
+            case "withdrawable":
+                expect(await vesting.getWithdrawableAmount(), "withdrawable").to.be.equal(value);
+                break;
+            default:
+                throw new Error(`Unknown expectation "${key}"`);
+        }
+    }
+}
+
+module.exports = {
+    loadScenario,
+    loadScenarios,
+    runScenario,
+};
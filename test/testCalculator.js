@@ -0,0 +1,249 @@
+const { expect } = require("chai");
+const {
+    fromParams,
+    fromCheckpoints,
+    computeVestedAmount,
+    computeReleasableAmount,
+    unlockCalendar,
+    formatCalendar,
+} = require("../sdk/calculator");
+const { createRandom } = require("./helpers/random");
+const { getVestingFactory } = require("../tasks/libraries");
+
+describe("Calculator Test", function () {
+    const oneDay = 60 * 60 * 24;
+    const dJuly1st = Date.UTC(2022, 6, 1) / 1000;
+
+    describe("README examples", function () {
+        it("1200 tokens over 360 days are delivered 100 every 30 days", function () {
+            const schedule = fromParams({
+                start: dJuly1st,
+                duration: oneDay * 360,
+                slicePeriodSeconds: oneDay * 30,
+                amount: 1200,
+            });
+
+            expect(computeReleasableAmount(schedule, dJuly1st + oneDay * 29)).to.be.equal(0);
+            expect(computeReleasableAmount(schedule, dJuly1st + oneDay * 30)).to.be.equal(100);
+            expect(computeReleasableAmount(schedule, dJuly1st + oneDay * 62)).to.be.equal(200);
+
+            schedule.released = 200;
+            expect(computeReleasableAmount(schedule, dJuly1st + oneDay * 360)).to.be.equal(1000);
+
+            const calendar = unlockCalendar(schedule);
+            expect(calendar.length).to.be.equal(12);
+            calendar.forEach((row, i) => {
+                expect(row.date.getTime() / 1000).to.be.equal(dJuly1st + oneDay * 30 * (i + 1));
+                expect(row.vested).to.be.equal(100);
+                expect(row.cumulative).to.be.equal(100 * (i + 1));
+            });
+        });
+
+        it("3.5 day slices floor the amount and deliver the remainder at the end", function () {
+            const schedule = fromParams({
+                start: dJuly1st,
+                duration: oneDay * 365,
+                slicePeriodSeconds: oneDay * 3.5,
+                amount: 1000,
+            });
+
+            expect(computeReleasableAmount(schedule, dJuly1st + oneDay * 3.5)).to.be.equal(9);
+            expect(computeReleasableAmount(schedule, dJuly1st + oneDay * 7)).to.be.equal(19);
+
+            const calendar = unlockCalendar(schedule);
+            expect(calendar.length).to.be.equal(105);
+            expect(calendar[0].vested).to.be.equal(9);
+            expect(calendar[1].vested).to.be.equal(10);
+            expect(calendar[1].cumulative).to.be.equal(19);
+            expect(calendar[104].date.getTime() / 1000).to.be.equal(dJuly1st + oneDay * 365);
+            expect(calendar[104].cumulative).to.be.equal(1000);
+        });
+
+        it("The first unlock is at the cliff", function () {
+            const schedule = fromParams({
+                start: dJuly1st,
+                cliff: oneDay * 60,
+                duration: oneDay * 360,
+                slicePeriodSeconds: oneDay * 30,
+                amount: 120,
+            });
+            const calendar = unlockCalendar(schedule);
+            expect(calendar.length).to.be.equal(11);
+            expect(calendar[0].date.getTime() / 1000).to.be.equal(dJuly1st + oneDay * 60);
+            expect(calendar[0].vested).to.be.equal(20);
+        });
+
+        it("10% at TGE, then 15% per quarter", function () {
+            const schedule = fromParams({
+                start: dJuly1st,
+                duration: oneDay * 540,
+                slicePeriodSeconds: oneDay * 90,
+                amount: 1000,
+                tgeBasisPoints: 1000,
+            });
+            expect(computeVestedAmount(schedule, dJuly1st - 1)).to.be.equal(0);
+            expect(computeVestedAmount(schedule, dJuly1st)).to.be.equal(100);
+            expect(computeVestedAmount(schedule, dJuly1st + oneDay * 90)).to.be.equal(250);
+
+            const calendar = unlockCalendar(schedule);
+            expect(calendar.length).to.be.equal(7);
+            expect(calendar[0].date.getTime() / 1000).to.be.equal(dJuly1st);
+            expect(calendar.map((row) => row.cumulative.toNumber()))
+                .to.be.deep.equal([100, 250, 400, 550, 700, 850, 1000]);
+        });
+
+        it("Unlock table with checkpoints", function () {
+            const schedule = fromCheckpoints([
+                { timestamp: new Date(Date.UTC(2022, 6, 1)), amount: 100 },
+                { timestamp: Date.UTC(2022, 9, 1) / 1000, amount: 400 },
+                { timestamp: Date.UTC(2023, 0, 1) / 1000, amount: 1000 },
+            ]);
+            expect(schedule.amountTotal).to.be.equal(1000);
+            expect(computeVestedAmount(schedule, Date.UTC(2022, 9, 1) / 1000 - 1)).to.be.equal(100);
+
+            const calendar = unlockCalendar(schedule);
+            expect(calendar.map((row) => row.vested.toNumber())).to.be.deep.equal([100, 300, 600]);
+            expect(calendar[2].date.getTime()).to.be.equal(Date.UTC(2023, 0, 1));
+        });
+
+        it("A revoked schedule stops vesting at its effective time", function () {
+            const schedule = fromParams({ start: 0, duration: 1000, slicePeriodSeconds: 1, amount: 1000 });
+            Object.assign(schedule, { revoked: true, revokedAt: 400, released: 100 });
+            expect(computeReleasableAmount(schedule, 300)).to.be.equal(200);
+            expect(computeReleasableAmount(schedule, 900)).to.be.equal(300);
+
+            schedule.released = 500;
+            expect(computeReleasableAmount(schedule, 900)).to.be.equal(0);
+
+            const monthly = fromParams({ start: 0, duration: 1000, slicePeriodSeconds: 100, amount: 1000 });
+            Object.assign(monthly, { revoked: true, revokedAt: 450 });
+            const calendar = unlockCalendar(monthly);
+            expect(calendar.length).to.be.equal(4);
+            expect(calendar[3].date.getTime() / 1000).to.be.equal(400);
+            expect(calendar[3].cumulative).to.be.equal(400);
+        });
+
+        it("Formats calendars as JSON, CSV and Markdown", function () {
+            const calendar = unlockCalendar(
+                fromParams({ start: 0, duration: 2, slicePeriodSeconds: 1, amount: 3 })
+            );
+            expect(JSON.parse(formatCalendar(calendar, "json"))).to.be.deep.equal([
+                { date: "1970-01-01T00:00:01.000Z", vested: "1", cumulative: "1" },
+                { date: "1970-01-01T00:00:02.000Z", vested: "2", cumulative: "3" },
+            ]);
+            expect(formatCalendar(calendar, "csv")).to.be.equal(
+                "date,vested,cumulative\n" +
+                    "1970-01-01T00:00:01.000Z,1,1\n" +
+                    "1970-01-01T00:00:02.000Z,2,3"
+            );
+            expect(formatCalendar(calendar, "md").split("\n")[2])
+                .to.be.equal("|1970-01-01T00:00:01.000Z|1|1|");
+        });
+    });
+
+    describe("Differential test against MockVesting", function () {
+        let testToken;
+        let vesting;
+
+        const { random, randomInt } = createRandom(20220301);
+
+        before(async function () {
+            const Token = await ethers.getContractFactory("TestToken");
+            testToken = await Token.deploy("Test Token", "TT", ethers.constants.MaxUint256);
+            await testToken.deployed();
+
+            const Vesting = await getVestingFactory(hre, "MockVesting");
+            vesting = await Vesting.deploy(testToken.address);
+            await vesting.deployed();
+
+            await testToken.transfer(vesting.address, ethers.constants.MaxUint256);
+        });
+
+        // Creates a random schedule for `beneficiary`: with a TGE, an unlock
+        // table or neither, revoked at a random time or not
+        async function createRandomSchedule(beneficiary) {
+            const start = randomInt(1500000000, 1700000000);
+            const revocable = random() < 0.4;
+            const kind = random();
+            if (kind < 0.2) {
+                const checkpoints = [];
+                let time = start;
+                let amount = 0;
+                for (let k = randomInt(2, 5); k > 0; k--) {
+                    amount += randomInt(0, 1000);
+                    checkpoints.push([time, amount]);
+                    time += randomInt(1, oneDay * 365);
+                }
+                amount += 1;
+                checkpoints[checkpoints.length - 1][1] = amount;
+                await vesting.createCheckpointSchedule(beneficiary, revocable, checkpoints);
+                return { start, cliff: 0, duration: time - start, revocable };
+            }
+
+            const duration = randomInt(1, oneDay * 365 * 5);
+            const slicePeriodSeconds = random() < 0.3 ? duration : randomInt(1, duration);
+            const cliff = random() < 0.3 ? 0 : randomInt(0, duration);
+            const amount = random() < 0.3
+                ? randomInt(1, 1000)
+                : ethers.BigNumber.from(randomInt(1, 1e9)).mul(ethers.BigNumber.from(10).pow(18));
+            const params = [beneficiary, start, cliff, duration, slicePeriodSeconds, revocable, amount];
+            if (kind < 0.45) {
+                await vesting.createVestingScheduleWithTge(params, randomInt(1, 10000));
+            } else {
+                await vesting.createVestingSchedule(...params);
+            }
+            return { start, cliff, duration, revocable };
+        }
+
+        it("computeReleasableAmount and unlockCalendar match the contract for random schedules", async function () {
+            const [, beneficiary] = await ethers.getSigners();
+
+            for (let i = 0; i < 40; i++) {
+                const { start, cliff, duration, revocable } = await createRandomSchedule(beneficiary.address);
+                const scheduleId = await vesting.computeScheduleId(beneficiary.address, i);
+                if (revocable) {
+                    await vesting.revokeAt(scheduleId, randomInt(start - 10, start + duration + 10), false);
+                }
+
+                const times = [start, start + cliff, start + duration, start + cliff - 1];
+                for (let j = 0; j < 5; j++) {
+                    times.push(randomInt(start, start + duration));
+                }
+                times.push(start + duration + randomInt(0, duration));
+                times.sort((a, b) => a - b);
+
+                const readSchedule = async () => ({
+                    ...(await vesting.getSchedule(scheduleId)),
+                    checkpoints: await vesting.getScheduleCheckpoints(scheduleId),
+                });
+                let schedule;
+                for (const time of times) {
+                    await vesting.setCurrentTime(time);
+                    schedule = await readSchedule();
+                    const expected = computeReleasableAmount(schedule, time);
+                    expect(await vesting.computeReleasableAmount(scheduleId), `schedule ${i} at ${time}`)
+                        .to.be.equal(expected);
+
+                    // Release now and then so `released` is covered too
+                    if (expected.gt(0) && random() < 0.4) {
+                        await vesting.release(scheduleId);
+                        schedule = await readSchedule();
+                    }
+                }
+
+                // After the end, what the calendar unlocks is all the
+                // contract ever releases
+                if (
+                    schedule.checkpoints.length > 0 ||
+                    schedule.slicePeriodSeconds.mul(10000).gte(schedule.duration)
+                ) {
+                    const calendar = unlockCalendar(schedule);
+                    const total = calendar.length > 0 ? calendar[calendar.length - 1].cumulative : 0;
+                    expect(total, `calendar of schedule ${i}`).to.be.equal(
+                        schedule.released.add(await vesting.computeReleasableAmount(scheduleId))
+                    );
+                }
+            }
+        });
+    });
+});
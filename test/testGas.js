@@ -0,0 +1,81 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { getVestingFactory } = require("../tasks/libraries");
+
+// Gas used by the scenario below: `before` the storage of the schedules
+// was packed, which never changes, and `current`, which the test checks.
+// UPDATE_GAS_BASELINE=1 records the current numbers in `current` only.
+const BASELINE_FILE = path.join(__dirname, "gas-baseline.json");
+const BASELINE = JSON.parse(fs.readFileSync(BASELINE_FILE, "utf8"));
+
+// Tolerated increase over the current numbers, as a fraction of them
+const MAX_INCREASE = 0.02;
+
+describe("Gas report", function () {
+    const gasUsed = {};
+
+    async function measure(name, tx) {
+        const receipt = await (await tx).wait();
+        gasUsed[name] = receipt.gasUsed.toNumber();
+    }
+
+    before(async function () {
+        const [, holder, other] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("TestToken");
+        const token = await Token.deploy("Test Token", "TT", 100000);
+        await token.deployed();
+
+        const Vesting = await getVestingFactory(hre, "MockVesting");
+        const vesting = await Vesting.deploy(token.address);
+        await vesting.deployed();
+        await token.transfer(vesting.address, 100000);
+
+        const ids = [];
+        for (let i = 0; i < 10; i++) {
+            const tx = vesting.createVestingSchedule(holder.address, 0, 0, 1000, 1, true, 1000);
+            if (i === 0) {
+                await measure("createVestingSchedule", tx);
+            } else {
+                await (await tx).wait();
+            }
+            ids.push(await vesting.computeScheduleId(holder.address, i));
+        }
+        await vesting.createVestingSchedule(other.address, 0, 0, 1000, 1, true, 1000);
+
+        await vesting.setCurrentTime(500);
+        await measure("release", vesting.connect(holder).release(ids[0]));
+        await measure("revoke", vesting.revoke(await vesting.computeScheduleId(other.address, 0)));
+
+        // Half of the schedules are completed before releasing all of them
+        await vesting.setCurrentTime(1000);
+        for (const scheduleId of ids.slice(0, 5)) {
+            await vesting.connect(holder).release(scheduleId);
+        }
+        await measure(
+            "releaseAllMySchedules (10 schedules, 5 completed)",
+            vesting.connect(holder).releaseAllMySchedules()
+        );
+    });
+
+    // The before -> after report, once the measures are checked
+    after(function () {
+        for (const [name, used] of Object.entries(gasUsed)) {
+            const before = BASELINE.before[name];
+            const change = (((used - before) / before) * 100).toFixed(1);
+            console.log(`\t${name}: ${before} -> ${used} (${change}%)`);
+        }
+    });
+
+    it("Does not use more gas than the baseline", function () {
+        if (process.env.UPDATE_GAS_BASELINE) {
+            BASELINE.current = gasUsed;
+            fs.writeFileSync(BASELINE_FILE, JSON.stringify(BASELINE, null, 2) + "\n");
+        }
+        for (const [name, used] of Object.entries(gasUsed)) {
+            const limit = Math.floor(BASELINE.current[name] * (1 + MAX_INCREASE));
+            expect(used, `${name}, baseline ${BASELINE.current[name]}`).to.be.at.most(limit);
+        }
+    });
+});
@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const { VestingClient, AllocationError } = require("../sdk");
+const {
+    parseAllocations,
+    validateAllocations,
+    importAllocations,
+} = require("../sdk/importer");
+const { getVestingFactory } = require("../tasks/libraries");
+
+describe("Importer Test", function () {
+    let testToken;
+    let vesting;
+    let client;
+    let addrs;
+
+    before(async function () {
+        const [owner, ...others] = await ethers.getSigners();
+        addrs = others.map((s) => s.address);
+
+        const Token = await ethers.getContractFactory("TestToken");
+        testToken = await Token.deploy("Test Token", "TT", 1000000);
+        await testToken.deployed();
+
+        const Vesting = await getVestingFactory(hre, "MockVesting");
+        vesting = await Vesting.deploy(testToken.address);
+        await vesting.deployed();
+
+        await testToken.transfer(vesting.address, 1000);
+
+        client = new VestingClient(vesting.address, owner);
+    });
+
+    function csv(rows) {
+        return ["beneficiary,amount,start,cliff,duration,slice,revocable", ...rows].join("\n");
+    }
+
+    it("Parses CSV and JSON allocations", function () {
+        const fromCsv = parseAllocations(
+            csv([`${addrs[0]},1200,2022-07-01T00:00:00Z,60d,360d,3.5d,true`]),
+            "csv"
+        );
+        const fromJson = parseAllocations(
+            JSON.stringify([
+                {
+                    beneficiary: addrs[0],
+                    amount: "1200",
+                    start: "1656633600",
+                    cliff: "60d",
+                    duration: "360d",
+                    slice: "3.5d",
+                    revocable: true,
+                },
+            ]),
+            "json"
+        );
+
+        for (const [a] of [fromCsv, fromJson]) {
+            expect(a.row).to.be.equal(1);
+            expect(a.amount).to.be.equal(1200);
+            expect(a.start).to.be.equal(1656633600);
+            expect(a.cliff).to.be.equal(5184000);
+            expect(a.duration).to.be.equal(31104000);
+            expect(a.slicePeriodSeconds).to.be.equal(302400);
+            expect(a.revocable).to.be.equal(true);
+        }
+    });
+
+    it("Parses quoted CSV fields", function () {
+        const [a, b] = parseAllocations(
+            csv([
+                `"${addrs[0]}", "1200","Jul 1, 2022 00:00:00 UTC",0,360d,30d,"true"`,
+                "",
+                `${addrs[1]},100,0,0,10d,1d,false\r`,
+            ]),
+            "csv"
+        );
+        expect(a.beneficiary).to.be.equal(addrs[0]);
+        expect(a.amount).to.be.equal(1200);
+        expect(a.start).to.be.equal(1656633600);
+        expect(a.revocable).to.be.equal(true);
+        expect(b.row).to.be.equal(2);
+        expect(b.revocable).to.be.equal(false);
+
+        expect(() => parseAllocations(csv(['0x1,1"00,0,0,10d,1d,false']), "csv"))
+            .to.throw("Unexpected quote in row 1");
+        expect(() => parseAllocations(csv(['0x1,"100"0,0,0,10d,1d,false']), "csv"))
+            .to.throw("Unexpected text after a quoted field in row 1");
+        expect(() => parseAllocations(csv(['0x1,"100,0,0,10d,1d,false']), "csv"))
+            .to.throw("Unterminated quoted field in row 1");
+    });
+
+    it("Reports every invalid row", function () {
+        const allocations = parseAllocations(
+            csv([
+                `${addrs[0]},100,0,0,10d,1d,false`,
+                `${addrs[0]},100,0,0,10d,1d,false`,
+                `${addrs[1]},100,0,0,0,1d,false`,
+                `${addrs[2]},100,0,0,10d,0,false`,
+                `${addrs[3]},100,0,11d,10d,1d,false`,
+                `${addrs[4]},0,0,0,10d,1d,false`,
+                `0x123,100,0,0,10d,1d,false`,
+                `${addrs[5]},100,0,0,ten days,1d,false`,
+            ]),
+            "csv"
+        );
+        const errors = validateAllocations(allocations, 1000);
+        expect(errors.map((e) => e.row)).to.be.deep.equal([2, 3, 4, 5, 6, 7, 8]);
+        expect(errors[0].message).to.be.equal("Duplicate beneficiary, already in row 1");
+        expect(errors[3].message).to.be.equal("Cliff is longer than the duration");
+
+        expect(validateAllocations(allocations.slice(0, 1), 99)[0].message)
+            .to.match(/above the withdrawable amount/);
+    });
+
+    it("Does not send anything if validation fails", async function () {
+        const allocations = parseAllocations(
+            csv([
+                `${addrs[0]},600,0,0,10d,1d,false`,
+                `${addrs[1]},401,0,0,10d,1d,false`,
+            ]),
+            "csv"
+        );
+        try {
+            await importAllocations(client, allocations);
+            expect.fail("Expected AllocationError");
+        } catch (err) {
+            expect(err).to.be.instanceOf(AllocationError);
+            expect(err.errors.length).to.be.equal(1);
+        }
+        expect(await vesting.getScheduleCount()).to.be.equal(0);
+    });
+
+    it("Sends the allocations in chunks and maps each row to its scheduleId", async function () {
+        const rows = addrs.slice(0, 10).map((a) => `${a},100,0,0,10d,1d,false`);
+        const allocations = parseAllocations(csv(rows), "csv");
+
+        // Enough gas for 3 schedules, not for 5
+        const gasOne = await client.estimateCreateSchedules(allocations.slice(0, 1));
+        const gasFive = await client.estimateCreateSchedules(allocations.slice(0, 5));
+        const maxGas = gasOne.add(gasFive).div(2);
+
+        const chunks = [];
+        const report = await importAllocations(client, allocations, {
+            maxGas,
+            maxChunkSize: 5,
+            onChunk: (r) => chunks.push(r.length),
+        });
+
+        expect(chunks.reduce((a, b) => a + b)).to.be.equal(10);
+        expect(Math.max(...chunks)).to.be.lessThan(5);
+        expect(report.length).to.be.equal(10);
+        for (const r of report) {
+            expect(r.scheduleId).to.be.equal(await vesting.computeScheduleId(r.beneficiary, 0));
+            expect((await vesting.getSchedule(r.scheduleId)).amountTotal).to.be.equal(100);
+        }
+        expect(await vesting.getWithdrawableAmount()).to.be.equal(0);
+    });
+
+    it("Reports what was created before a failing chunk", async function () {
+        await testToken.transfer(vesting.address, 400);
+        const rows = addrs.slice(10, 14).map((a) => `${a},100,0,0,10d,1d,false`);
+        const allocations = parseAllocations(csv(rows), "csv");
+
+        try {
+            await importAllocations(client, allocations, {
+                maxChunkSize: 2,
+                onChunk: () => vesting.pause(),
+            });
+            expect.fail("Expected PausedError");
+        } catch (err) {
+            expect(err.reason).to.be.equal("Pausable: paused");
+            expect(err.chunkIndex).to.be.equal(1);
+            expect(err.report.map((r) => r.row)).to.be.deep.equal([1, 2]);
+            expect(err.report[1].scheduleId).to.be.equal(await vesting.computeScheduleId(addrs[11], 0));
+        }
+        await vesting.unpause();
+    });
+});
@@ -0,0 +1,191 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { VestingIndexer, JsonFileStore } = require("../sdk/indexer");
+const { getVestingFactory } = require("../tasks/libraries");
+
+describe("Indexer Test", function () {
+    let testToken;
+    let vesting;
+    let owner;
+    let addr1;
+    let addr2;
+    let addr3;
+    let snapshotId;
+    let months;
+    let scheduleIds;
+
+    // Mines the next transaction at `timestamp`
+    async function at(timestamp, fn) {
+        await network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+        return (await fn()).wait();
+    }
+
+    before(async function () {
+        snapshotId = await network.provider.send("evm_snapshot");
+        [owner, addr1, addr2, addr3] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("TestToken");
+        testToken = await Token.deploy("Test Token", "TT", 1000000);
+        await testToken.deployed();
+
+        const Vesting = await getVestingFactory(hre, "MockVesting");
+        vesting = await Vesting.deploy(testToken.address);
+        await vesting.deployed();
+
+        await testToken.transfer(vesting.address, 10000);
+
+        // Two months after the current block, 15th of each month
+        const now = new Date((await ethers.provider.getBlock("latest")).timestamp * 1000);
+        months = [1, 2, 3].map(
+            (i) => Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + i, 15) / 1000
+        );
+
+        // Schedules of 1000 over 1000 seconds, from 0, in a mocked timeline
+        await vesting.createVestingSchedule(addr1.address, 0, 0, 1000, 1, true, 1000);
+        await vesting.createVestingSchedules([
+            [addr2.address, 0, 0, 1000, 1, true, 1000],
+            [addr1.address, 0, 0, 1000, 1, true, 1000],
+        ]);
+        scheduleIds = [
+            await vesting.computeScheduleId(addr1.address, 0),
+            await vesting.computeScheduleId(addr2.address, 0),
+            await vesting.computeScheduleId(addr1.address, 1),
+        ];
+
+        await vesting.setCurrentTime(100);
+        await at(months[0], () => vesting.connect(addr1).release(scheduleIds[0]));
+        await at(months[0] + 1, () => vesting.connect(addr2).release(scheduleIds[1]));
+
+        await vesting.setCurrentTime(300);
+        await at(months[1], () => vesting.connect(addr1).releaseAllMySchedules());
+        await at(months[1] + 1, () => vesting.revoke(scheduleIds[1]));
+
+        await vesting.setCurrentTime(500);
+        await at(months[2], () => vesting.revoke(scheduleIds[0]));
+        await at(months[2] + 1, () => vesting.withdraw(100));
+    });
+
+    after(async function () {
+        await network.provider.send("evm_revert", [snapshotId]);
+    });
+
+    it("Emits ScheduleCreated with every schedule field and Withdrawn", async function () {
+        await expect(vesting.createVestingSchedule(addr2.address, 10, 20, 1000, 5, false, 100))
+            .to.emit(vesting, "ScheduleCreated")
+            .withArgs(
+                await vesting.computeScheduleId(addr2.address, 1),
+                addr2.address, testToken.address, 10, 30, 1000, 5, false, 100, 0
+            );
+        await expect(vesting.withdraw(1))
+            .to.emit(vesting, "Withdrawn")
+            .withArgs(testToken.address, owner.address, 1);
+    });
+
+    it("Rebuilds the schedules from the events", async function () {
+        const indexer = new VestingIndexer(vesting.address, ethers.provider);
+        await indexer.sync();
+
+        const schedules = indexer.getSchedules();
+        expect(Object.keys(schedules).length).to.be.equal(4);
+        for (const scheduleId of scheduleIds) {
+            const onChain = await vesting.getSchedule(scheduleId);
+            expect(schedules[scheduleId].beneficiary).to.be.equal(onChain.beneficiary);
+            expect(schedules[scheduleId].token).to.be.equal(onChain.token);
+            expect(schedules[scheduleId].amountTotal).to.be.equal(onChain.amountTotal);
+            expect(schedules[scheduleId].released).to.be.equal(onChain.released);
+            expect(schedules[scheduleId].revoked).to.be.equal(onChain.revoked);
+        }
+        expect(schedules[scheduleIds[0]].revokedAmount).to.be.equal(500);
+        expect(indexer.events.filter((e) => e.event === "Withdrawn").length).to.be.equal(2);
+    });
+
+    it("Rebuilds the TGE amounts and the unlock tables", async function () {
+        await vesting.createVestingScheduleWithTge([addr3.address, 0, 100, 1000, 1, false, 1000], 2500);
+        await vesting.createCheckpointSchedule(addr3.address, false, [[100, 300], [200, 500]]);
+        const ids = [
+            await vesting.computeScheduleId(addr3.address, 0),
+            await vesting.computeScheduleId(addr3.address, 1),
+        ];
+
+        const indexer = new VestingIndexer(vesting.address, ethers.provider);
+        await indexer.sync();
+        const schedules = indexer.getSchedules();
+        expect(schedules[ids[0]].tgeAmount).to.be.equal(250);
+        expect(schedules[ids[0]].checkpoints).to.be.deep.equal([]);
+        // The first checkpoint vests at start, like a TGE
+        expect(schedules[ids[1]].tgeAmount).to.be.equal(300);
+        expect(schedules[ids[1]].checkpoints.map((c) => [c.timestamp.getTime() / 1000, c.amount.toNumber()]))
+            .to.be.deep.equal([[100, 300], [200, 500]]);
+        // The stored events are plain JSON
+        const event = indexer.events.find((e) => e.event === "CheckpointsSet");
+        expect(event.args.checkpoints).to.be.deep.equal([
+            { timestamp: "100", amount: "300" },
+            { timestamp: "200", amount: "500" },
+        ]);
+    });
+
+    it("Applies the amendments of the schedules", async function () {
+        const scheduleId = scheduleIds[2];
+        await vesting.amendSchedule(scheduleId, [100, 1000, true]);
+        await vesting.amendSchedule(scheduleId, [0, 2000, false]);
+        await vesting.connect(addr1).acceptAmendment(scheduleId);
+
+        const indexer = new VestingIndexer(vesting.address, ethers.provider);
+        await indexer.sync();
+        const schedule = indexer.getSchedules()[scheduleId];
+        const onChain = await vesting.getSchedule(scheduleId);
+        expect(schedule.amountTotal).to.be.equal(onChain.amountTotal).and.to.be.equal(1100);
+        expect(schedule.duration).to.be.equal(onChain.duration).and.to.be.equal(2000);
+        expect(schedule.revocable).to.be.equal(onChain.revocable).and.to.be.equal(false);
+    });
+
+    it("Answers releases for a holder between dates", async function () {
+        const indexer = new VestingIndexer(vesting.address, ethers.provider);
+        await indexer.sync();
+
+        const all = indexer.getReleases({ holder: addr1.address });
+        expect(all.map((r) => r.amount.toNumber())).to.be.deep.equal([100, 200, 300, 200]);
+
+        const secondMonth = indexer.getReleases({
+            holder: addr1.address,
+            from: months[1],
+            to: new Date(months[2] * 1000 - 1),
+        });
+        expect(secondMonth.map((r) => r.amount.toNumber())).to.be.deep.equal([200, 300]);
+        expect(secondMonth[0].date.getTime()).to.be.equal(months[1] * 1000);
+    });
+
+    it("Answers total revoked per month", async function () {
+        const indexer = new VestingIndexer(vesting.address, ethers.provider);
+        await indexer.sync();
+
+        const revoked = indexer.getRevokedPerMonth();
+        expect(revoked.map((r) => r.month)).to.be.deep.equal(
+            [months[1], months[2]].map((m) => new Date(m * 1000).toISOString().slice(0, 7))
+        );
+        // 1000 - 300 released for addr2 on the second month, 1000 - 500 for addr1 on the third
+        expect(revoked.map((r) => r.amount.toNumber())).to.be.deep.equal([700, 500]);
+    });
+
+    it("Resumes from the JSON file store", async function () {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "vesting-")), "events.json");
+        const latest = await ethers.provider.getBlockNumber();
+
+        const first = new VestingIndexer(vesting.address, ethers.provider, new JsonFileStore(file), {
+            blockRange: 3,
+        });
+        const count = await first.sync(latest - 2);
+
+        const second = new VestingIndexer(vesting.address, ethers.provider, new JsonFileStore(file));
+        expect(second.events.length).to.be.equal(count);
+        const added = await second.sync();
+        expect(added).to.be.greaterThan(0);
+
+        const fresh = new VestingIndexer(vesting.address, ethers.provider);
+        await fresh.sync();
+        expect(second.events).to.be.deep.equal(fresh.events);
+        expect(JSON.parse(fs.readFileSync(file)).lastBlock).to.be.equal(latest);
+    });
+});
@@ -0,0 +1,273 @@
+const { expect } = require("chai");
+const { computeReleasableAmount } = require("../sdk/calculator");
+const { buildMerkleTree } = require("../sdk/merkle");
+const { createRandom } = require("./helpers/random");
+const { getVestingFactory } = require("../tasks/libraries");
+
+// FUZZ_SEED=<seed> FUZZ_RUNS=1 replays a failing run, a larger FUZZ_RUNS
+// tries more seeds
+const SEED = Number(process.env.FUZZ_SEED || 20221018);
+const RUNS = Number(process.env.FUZZ_RUNS || 3);
+const STEPS = 60;
+
+// How often each operation is picked
+const WEIGHTS = {
+    fund: 1,
+    time: 3,
+    create: 3,
+    release: 2,
+    releaseAll: 1,
+    releaseTo: 1,
+    revoke: 1,
+    amend: 2,
+    merkle: 2,
+    withdraw: 1,
+};
+
+const { BigNumber } = ethers;
+
+describe("Invariant Test", function () {
+    this.timeout(300000);
+
+    let owner;
+    let holders;
+
+    before(async function () {
+        [owner, ...holders] = await ethers.getSigners();
+        holders = holders.slice(0, 4);
+    });
+
+    // Sends the transaction of `send`. A revert with a reason string is an
+    // expected outcome of a random operation; any other error, such as a
+    // panic of the contract, fails the run.
+    async function attempt(send) {
+        try {
+            await (await send()).wait();
+            return "ok";
+        } catch (err) {
+            const match = /reverted with reason string '([^']*)'/.exec(err.message);
+            if (!match) {
+                throw err;
+            }
+            return `reverted: ${match[1]}`;
+        }
+    }
+
+    // The schedules of Vesting with their checkpoints, in the shape of
+    // sdk/calculator
+    async function readSchedules(vesting) {
+        const schedules = [];
+        const count = await vesting.getScheduleCount();
+        for (let i = 0; i < count; i++) {
+            const scheduleId = await vesting.getScheduleIdAt(i);
+            const s = await vesting.getSchedule(scheduleId);
+            schedules.push({
+                scheduleId,
+                beneficiary: s.beneficiary,
+                start: s.start,
+                cliff: s.cliff,
+                duration: s.duration,
+                slicePeriodSeconds: s.slicePeriodSeconds,
+                amountTotal: s.amountTotal,
+                released: s.released,
+                revoked: s.revoked,
+                revokedAt: s.revokedAt,
+                tgeAmount: s.tgeAmount,
+                checkpoints: await vesting.getScheduleCheckpoints(scheduleId),
+            });
+        }
+        return schedules;
+    }
+
+    async function checkInvariants({ vesting, token, funded, withdrawn }, where) {
+        const now = (await vesting.getCurrentMockedTime()).toNumber();
+        const schedules = await readSchedules(vesting);
+        let committed = BigNumber.from(0);
+        let released = BigNumber.from(0);
+
+        for (const s of schedules) {
+            expect(s.released.lte(s.amountTotal), `released <= total of ${s.scheduleId}, ${where}`)
+                .to.be.equal(true);
+            expect(await vesting.computeReleasableAmount(s.scheduleId), `releasable of ${s.scheduleId}, ${where}`)
+                .to.be.equal(computeReleasableAmount(s, now));
+            // What is left to release: everything unreleased, or what vested
+            // until the revocation
+            committed = committed.add(
+                s.revoked
+                    ? computeReleasableAmount(s, s.revokedAt)
+                    : s.amountTotal.sub(s.released)
+            );
+            released = released.add(s.released);
+        }
+        const distributions = await vesting.getMerkleDistributionCount();
+        for (let i = 0; i < distributions; i++) {
+            committed = committed.add((await vesting.getMerkleDistribution(i)).remaining);
+        }
+
+        expect(await vesting.getTotalVestingAmount(), `total vesting amount, ${where}`).to.be.equal(committed);
+        const balance = await token.balanceOf(vesting.address);
+        expect(balance, `balance of Vesting, ${where}`).to.be.equal(funded.sub(released).sub(withdrawn));
+        expect(await vesting.getWithdrawableAmount(), `withdrawable, ${where}`).to.be.equal(balance.sub(committed));
+    }
+
+    for (let run = 0; run < RUNS; run++) {
+        const seed = SEED + run;
+
+        it(`Invariants hold after random operations, seed ${seed}`, async function () {
+            const { random, randomInt, pick } = createRandom(seed);
+
+            const Token = await ethers.getContractFactory("TestToken");
+            const token = await Token.deploy("Test Token", "TT", 1000000);
+            await token.deployed();
+            const Vesting = await getVestingFactory(hre, "MockVesting");
+            const vesting = await Vesting.deploy(token.address);
+            await vesting.deployed();
+
+            const state = { vesting, token, funded: BigNumber.from(0), withdrawn: BigNumber.from(0) };
+            let now = 0;
+            const signerOf = (address) => holders.find((h) => h.address === address);
+            const tree = buildMerkleTree(
+                holders.map((h) => ({
+                    beneficiary: h.address,
+                    amount: randomInt(1, 2000),
+                    start: randomInt(0, 1000),
+                    cliff: 0,
+                    duration: randomInt(1, 1500),
+                    slicePeriodSeconds: 1,
+                }))
+            );
+
+            // A random schedule, or undefined before the first one
+            async function randomSchedule() {
+                const count = (await vesting.getScheduleCount()).toNumber();
+                if (count === 0) {
+                    return undefined;
+                }
+                const scheduleId = await vesting.getScheduleIdAt(randomInt(0, count - 1));
+                return { scheduleId, ...(await vesting.getSchedule(scheduleId)) };
+            }
+
+            const operations = {
+                fund: async (amount = randomInt(1, 5000)) => {
+                    state.funded = state.funded.add(amount);
+                    return attempt(() => token.transfer(vesting.address, amount));
+                },
+                time: async () => {
+                    now += randomInt(1, 400);
+                    return attempt(() => vesting.setCurrentTime(now));
+                },
+                create: async () => {
+                    const beneficiary = pick(holders).address;
+                    const revocable = random() < 0.5;
+                    const amount = randomInt(1, 3000);
+                    const kind = random();
+                    if (kind < 0.2) {
+                        let time = now + randomInt(0, 300);
+                        let vested = 0;
+                        const checkpoints = [];
+                        for (let i = randomInt(1, 4); i > 0; i--) {
+                            vested += randomInt(0, amount);
+                            checkpoints.push([time, vested]);
+                            time += randomInt(1, 500);
+                        }
+                        return attempt(() => vesting.createCheckpointSchedule(beneficiary, revocable, checkpoints));
+                    }
+                    const duration = randomInt(1, 1500);
+                    const params = [
+                        beneficiary,
+                        Math.max(0, now + randomInt(-300, 300)),
+                        random() < 0.5 ? 0 : randomInt(0, duration),
+                        duration,
+                        randomInt(1, duration),
+                        revocable,
+                        amount,
+                    ];
+                    if (kind < 0.4) {
+                        return attempt(() => vesting.createVestingScheduleWithTge(params, randomInt(1, 10000)));
+                    }
+                    return attempt(() => vesting.createVestingSchedule(...params));
+                },
+                release: async () => {
+                    const s = await randomSchedule();
+                    return s && attempt(() => vesting.connect(signerOf(s.beneficiary)).release(s.scheduleId));
+                },
+                releaseAll: async () => attempt(() => vesting.connect(pick(holders)).releaseAllMySchedules()),
+                releaseTo: async () => {
+                    const s = await randomSchedule();
+                    if (!s) {
+                        return undefined;
+                    }
+                    const releasable = (await vesting.computeReleasableAmount(s.scheduleId)).toNumber();
+                    return attempt(() =>
+                        vesting
+                            .connect(signerOf(s.beneficiary))
+                            .releaseTo(s.scheduleId, pick(holders).address, randomInt(1, releasable + 10))
+                    );
+                },
+                revoke: async () => {
+                    const s = await randomSchedule();
+                    const at = Math.max(0, now + randomInt(-300, 300));
+                    return s && attempt(() => vesting.revokeAt(s.scheduleId, at, random() < 0.5));
+                },
+                amend: async () => {
+                    const s = await randomSchedule();
+                    if (!s) {
+                        return undefined;
+                    }
+                    const amendment = [
+                        random() < 0.5 ? 0 : randomInt(1, 2000),
+                        s.duration.add(random() < 0.5 ? 0 : randomInt(1, 1000)),
+                        random() < 0.3,
+                    ];
+                    const outcome = await attempt(() => vesting.amendSchedule(s.scheduleId, amendment));
+                    if (random() < 0.5) {
+                        const accepted = await attempt(() =>
+                            vesting.connect(signerOf(s.beneficiary)).acceptAmendment(s.scheduleId)
+                        );
+                        return `${outcome}, accept ${accepted}`;
+                    }
+                    return outcome;
+                },
+                merkle: async () => {
+                    const count = (await vesting.getMerkleDistributionCount()).toNumber();
+                    if (count === 0 || random() < 0.2) {
+                        return attempt(() => vesting.createMerkleDistribution(tree.root, tree.total, random() < 0.5, 0));
+                    }
+                    const distributionId = randomInt(0, count - 1);
+                    if (random() < 0.2) {
+                        return attempt(() => vesting.closeMerkleDistribution(distributionId));
+                    }
+                    const holder = pick(holders);
+                    const c = tree.claims[holder.address];
+                    return attempt(() =>
+                        vesting
+                            .connect(holder)
+                            .claimMerkleSchedule(
+                                distributionId,
+                                [c.beneficiary, c.amount, c.start, c.cliff, c.duration, c.slicePeriodSeconds],
+                                c.proof
+                            )
+                    );
+                },
+                withdraw: async () => {
+                    const withdrawable = (await vesting.getWithdrawableAmount()).toNumber();
+                    const amount = randomInt(1, Math.floor(withdrawable / 4) + 100);
+                    const outcome = await attempt(() => vesting.withdraw(amount));
+                    if (outcome === "ok") {
+                        state.withdrawn = state.withdrawn.add(amount);
+                    }
+                    return outcome;
+                },
+            };
+
+            await operations.fund(20000);
+            const names = Object.entries(WEIGHTS).flatMap(([name, weight]) => Array(weight).fill(name));
+            const log = [];
+            for (let step = 1; step <= STEPS; step++) {
+                const name = pick(names);
+                log.push(`${step}. ${name}: ${await operations[name]()}`);
+                await checkInvariants(state, `seed ${seed} after\n${log.join("\n")}\n`);
+            }
+        });
+    }
+});
@@ -0,0 +1,125 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { VestingClient, AllocationError, MerkleClaimError } = require("../sdk");
+const {
+    merkleLeaf,
+    buildMerkleTree,
+    verifyMerkleProof,
+    loadMerkleTree,
+} = require("../sdk/merkle");
+const { getVestingFactory } = require("../tasks/libraries");
+
+describe("Merkle Test", function () {
+    // `count` allocations of 100, 200... to made-up addresses
+    function allocations(count) {
+        return Array.from({ length: count }, (_, i) => ({
+            beneficiary: ethers.utils.hexZeroPad(ethers.utils.hexlify(i + 1), 20),
+            amount: (i + 1) * 100,
+            start: 1656633600,
+            cliff: 0,
+            duration: 31104000,
+            slicePeriodSeconds: 2592000,
+        }));
+    }
+
+    it("Builds a proof for every allocation", function () {
+        for (const count of [1, 2, 3, 7, 8, 33]) {
+            const tree = buildMerkleTree(allocations(count));
+            const claims = Object.values(tree.claims);
+            expect(claims.length).to.be.equal(count);
+            expect(tree.total).to.be.equal(String((count * (count + 1) * 100) / 2));
+            for (const claim of claims) {
+                expect(claim.leaf).to.be.equal(merkleLeaf(claim));
+                expect(verifyMerkleProof(tree.root, claim.leaf, claim.proof), `${count}`).to.be.equal(true);
+                expect(claim.proof.length).to.be.at.most(Math.ceil(Math.log2(count)));
+            }
+        }
+        expect(() => buildMerkleTree([])).to.throw("No allocations");
+        const [first] = allocations(1);
+        expect(() => buildMerkleTree([first, first])).to.throw("Duplicate beneficiary");
+        // Allocations that Vesting would refuse to create
+        expect(() => buildMerkleTree([{ ...first, amount: 0 }])).to.throw("Amount cannot be zero");
+        expect(() => buildMerkleTree([{ ...first, duration: 0 }])).to.throw("Duration cannot be zero");
+        expect(() => buildMerkleTree([{ ...first, slicePeriodSeconds: 0 }])).to.throw("Slice period cannot be zero");
+    });
+
+    it("Builds the tree of an allocation file", function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "merkle-"));
+        const file = path.join(dir, "allocations.csv");
+        fs.writeFileSync(
+            file,
+            "beneficiary,amount,start,cliff,duration,slice\n" +
+                "0x0000000000000000000000000000000000000001,1200,2022-07-01T00:00:00Z,0,360d,30d\n" +
+                "0x0000000000000000000000000000000000000002,600,2022-07-01T00:00:00Z,90d,360d,30d\n"
+        );
+        const tree = loadMerkleTree(file);
+        expect(tree.total).to.be.equal("1800");
+        const claim = tree.claims["0x0000000000000000000000000000000000000002"];
+        expect(claim.start).to.be.equal(1656633600);
+        expect(claim.cliff).to.be.equal(7776000);
+        expect(claim.duration).to.be.equal(31104000);
+
+        fs.writeFileSync(
+            file,
+            "beneficiary,amount,start,cliff,duration,slice\n" +
+                "0x0000000000000000000000000000000000000001,0,2022-07-01T00:00:00Z,0,360d,30d\n"
+        );
+        expect(() => loadMerkleTree(file)).to.throw(AllocationError, "Amount cannot be zero");
+    });
+
+    it("Proofs are accepted by Vesting", async function () {
+        const signers = await ethers.getSigners();
+        const Token = await ethers.getContractFactory("TestToken");
+        const token = await Token.deploy("Test Token", "TT", 1000000);
+        await token.deployed();
+        const Vesting = await getVestingFactory(hre, "MockVesting");
+        const vesting = await Vesting.deploy(token.address);
+        await vesting.deployed();
+        await token.transfer(vesting.address, 1000000);
+
+        // Every signer gets an allocation, fully vested
+        const tree = buildMerkleTree(
+            signers.map((s, i) => ({
+                beneficiary: s.address,
+                amount: 1000 + i,
+                start: 0,
+                cliff: 0,
+                duration: 1,
+                slicePeriodSeconds: 1,
+            }))
+        );
+        const client = new VestingClient(vesting.address, signers[0]);
+        await vesting.setCurrentTime(100);
+        const { distributionId } = await client.createMerkleDistribution(tree);
+        expect(distributionId).to.be.equal(0);
+
+        for (const signer of signers.slice(1, 6)) {
+            const claim = tree.claims[signer.address];
+            expect(await client.isMerkleClaimed(distributionId, claim)).to.be.equal(false);
+            const { scheduleId } = await client.connect(signer).claimMerkleSchedule(distributionId, claim);
+            expect(scheduleId).to.be.equal(await vesting.computeScheduleId(signer.address, 0));
+            expect(await token.balanceOf(signer.address)).to.be.equal(claim.amount);
+            expect(await client.isMerkleClaimed(distributionId, claim)).to.be.equal(true);
+        }
+
+        const claim = tree.claims[signers[1].address];
+        try {
+            await client.connect(signers[1]).claimMerkleSchedule(distributionId, claim);
+            expect.fail("Expected MerkleClaimError");
+        } catch (err) {
+            expect(err).to.be.instanceOf(MerkleClaimError);
+        }
+
+        const { remaining, claimDeadline } = await client.getMerkleDistribution(distributionId);
+        const claimed = signers.slice(1, 6).reduce((total, s) => total + Number(tree.claims[s.address].amount), 0);
+        expect(remaining).to.be.equal(Number(tree.total) - claimed);
+        expect(claimDeadline).to.be.equal(null);
+
+        const deadline = new Date("2022-07-01T00:00:00Z");
+        const created = await client.createMerkleDistribution(tree, { claimDeadline: deadline });
+        const distribution = await client.getMerkleDistribution(created.distributionId);
+        expect(distribution.claimDeadline.getTime()).to.be.equal(deadline.getTime());
+    });
+});
@@ -0,0 +1,41 @@
+const path = require("path");
+const { expect } = require("chai");
+const { loadScenarios, runScenario } = require("./helpers/scenario");
+
+describe("Scenario Test", function () {
+    // Every scenario runs on its own deployment
+    for (const scenario of loadScenarios(path.join(__dirname, "scenarios"))) {
+        it(scenario.name, async function () {
+            await runScenario(scenario);
+        });
+    }
+
+    it("Reports the step that fails", async function () {
+        const scenario = {
+            name: "failing",
+            accounts: ["alice"],
+            steps: [
+                { fund: 100 },
+                { create: "grant", beneficiary: "alice", amount: 100, duration: 100 },
+                { time: 50 },
+                { expect: { releasable: { grant: 49 } } },
+            ],
+        };
+        const failures = [
+            [scenario, "failing, step 4 (expect): releasable of grant"],
+            [{ ...scenario, steps: [{ time: 1, fund: 1 }] }, "A step needs exactly one action"],
+            [{ ...scenario, steps: [{ fund: 1, amount: 1 }] }, 'Unknown option "amount" for fund'],
+            [{ ...scenario, steps: [{ release: "other" }] }, 'Unknown schedule "other"'],
+            [{ ...scenario, steps: [{ fund: 1, from: "bob" }] }, 'Unknown account "bob"'],
+            [{ ...scenario, steps: [{ fund: 1, revert: "Not enough funds" }] }, "Expected transaction to be reverted"],
+        ];
+        for (const [failing, message] of failures) {
+            try {
+                await runScenario(failing);
+                expect.fail("Expected the scenario to fail");
+            } catch (err) {
+                expect(err.message).to.include(message);
+            }
+        }
+    });
+});
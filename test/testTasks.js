@@ -0,0 +1,277 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { parseDuration, formatDuration, parseTime } = require("../sdk/units");
+
+describe("CLI Test", function () {
+    describe("Units", function () {
+        it("parseDuration accepts human units", function () {
+            expect(parseDuration("360d")).to.be.equal(31104000);
+            expect(parseDuration("3.5d")).to.be.equal(302400);
+            expect(parseDuration("12h")).to.be.equal(43200);
+            expect(parseDuration("1y")).to.be.equal(31536000);
+            expect(parseDuration("90")).to.be.equal(90);
+            expect(parseDuration(0)).to.be.equal(0);
+        });
+
+        it("parseDuration rejects invalid values", function () {
+            expect(() => parseDuration("3 days")).to.throw("Invalid duration");
+            expect(() => parseDuration("-1d")).to.throw("Invalid duration");
+            expect(() => parseDuration("1.5s")).to.throw("whole number of seconds");
+        });
+
+        it("formatDuration uses the largest unit", function () {
+            expect(formatDuration(31104000)).to.be.equal("360d");
+            expect(formatDuration(302400)).to.be.equal("3.5d");
+            expect(formatDuration(31536000)).to.be.equal("1y");
+            expect(formatDuration(45)).to.be.equal("45s");
+        });
+
+        it("parseTime accepts epoch seconds and dates", function () {
+            expect(parseTime("1645456136")).to.be.equal(1645456136);
+            expect(parseTime("2022-07-01T00:00:00Z")).to.be.equal(1656633600);
+            expect(parseTime("now", 1645456136000)).to.be.equal(1645456136);
+            expect(() => parseTime("tomorrow")).to.throw("Invalid date");
+        });
+    });
+
+    describe("Tasks", function () {
+        let testToken;
+        let vestingAddress;
+        let owner;
+        let addr1;
+        let scheduleId;
+
+        before(async function () {
+            [owner, addr1] = await ethers.getSigners();
+
+            const Token = await ethers.getContractFactory("TestToken");
+            testToken = await Token.deploy("Test Token", "TT", 1000000);
+            await testToken.deployed();
+        });
+
+        // What `name` prints with `args`
+        async function output(name, args) {
+            const lines = [];
+            const log = console.log;
+            console.log = (...values) => lines.push(values.join(" "));
+            try {
+                await hre.run(name, args);
+            } finally {
+                console.log = log;
+            }
+            return lines.join("\n");
+        }
+
+        after(function () {
+            const file = path.join(__dirname, "..", "deploy", `${hre.network.name}.json`);
+            if (fs.existsSync(file)) {
+                fs.unlinkSync(file);
+            }
+        });
+
+        it("deploy and fund", async function () {
+            vestingAddress = await hre.run("deploy", { token: testToken.address });
+            await hre.run("fund", { amount: "1000" });
+
+            expect(await testToken.balanceOf(vestingAddress)).to.be.equal(1000);
+        });
+
+        it("schedule:create and schedule:list", async function () {
+            scheduleId = await hre.run("schedule:create", {
+                beneficiary: addr1.address,
+                amount: "360",
+                start: "2022-03-01T00:00:00Z",
+                duration: "360d",
+                slice: "3.5d",
+                revocable: true,
+            });
+
+            const schedules = await hre.run("schedule:list", { holder: addr1.address });
+            expect(schedules.length).to.be.equal(1);
+            expect(schedules[0].scheduleId).to.be.equal(scheduleId);
+            expect(schedules[0].duration).to.be.equal(31104000);
+            expect(schedules[0].slicePeriodSeconds).to.be.equal(302400);
+            expect(schedules[0].revocable).to.be.equal(true);
+        });
+
+        it("release by the beneficiary", async function () {
+            // The schedule started in the past, so it is fully vested
+            await hre.run("release", { from: addr1.address });
+            expect(await testToken.balanceOf(addr1.address)).to.be.equal(360);
+        });
+
+        it("status, revoke and withdraw", async function () {
+            await hre.run("schedule:create", {
+                beneficiary: addr1.address,
+                amount: "100",
+                start: "now",
+                cliff: "30d",
+                duration: "360d",
+                slice: "30d",
+                revocable: true,
+                vesting: vestingAddress,
+            });
+
+            let status = await hre.run("status", {});
+            expect(status.totalVesting).to.be.equal(100);
+            expect(status.withdrawable).to.be.equal(540);
+            expect(status.schedules.length).to.be.equal(2);
+
+            await hre.run("revoke", { id: status.schedules[1].scheduleId });
+            await hre.run("withdraw", {});
+
+            status = await hre.run("status", { holder: addr1.address });
+            expect(status.totalVesting).to.be.equal(0);
+            expect(status.withdrawable).to.be.equal(0);
+            expect(status.schedules[1].revoked).to.be.equal(true);
+        });
+
+        it("factory:deploy, factory:create and factory:list", async function () {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vesting-"));
+            fs.writeFileSync(
+                path.join(dir, "project-a.csv"),
+                "beneficiary,amount,start,cliff,duration,slice,revocable\n" +
+                    `${addr1.address},300,2022-03-01T00:00:00Z,0,360d,30d,true`
+            );
+            const config = path.join(dir, "vestings.json");
+            fs.writeFileSync(config, JSON.stringify({
+                vestings: [
+                    { name: "project-a", token: testToken.address, owner: addr1.address, funding: "500", allocations: "project-a.csv" },
+                    { name: "project-b", token: testToken.address, owner: owner.address },
+                ],
+            }));
+
+            await hre.run("factory:deploy", {});
+            const report = await hre.run("factory:create", { file: config });
+            expect(report.map((r) => r.name)).to.be.deep.equal(["project-a", "project-b"]);
+            expect(report[0].scheduleCount).to.be.equal(1);
+
+            const vesting = await ethers.getContractAt("Vesting", report[0].vesting);
+            expect(await testToken.balanceOf(vesting.address)).to.be.equal(500);
+            expect(await vesting.getWithdrawableAmount()).to.be.equal(200);
+            expect(await vesting.hasRole(ethers.constants.HashZero, addr1.address)).to.be.equal(true);
+
+            expect(await hre.run("factory:list", {})).to.be.deep.equal(report.map((r) => r.vesting));
+            expect(await hre.run("factory:list", { owner: owner.address })).to.be.deep.equal([report[1].vesting]);
+
+            // Nothing is deployed if any entry is invalid
+            fs.writeFileSync(config, JSON.stringify({
+                vestings: [{ token: testToken.address, owner: addr1.address, funding: "100", allocations: "project-a.csv" }],
+            }));
+            try {
+                await hre.run("factory:create", { file: config });
+                expect.fail("Expected AllocationError");
+            } catch (err) {
+                expect(err.message).to.contain("above the withdrawable amount 100");
+            }
+            expect((await hre.run("factory:list", {})).length).to.be.equal(2);
+        });
+
+        it("sign-release and relay", async function () {
+            await hre.run("fund", { amount: "40" });
+            const id = await hre.run("schedule:create", {
+                beneficiary: addr1.address,
+                amount: "40",
+                start: "2022-03-01T00:00:00Z",
+                duration: "30d",
+                slice: "1d",
+            });
+
+            const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "vesting-")), "release.json");
+            await hre.run("sign-release", { id, out: file, from: addr1.address });
+            const before = await testToken.balanceOf(addr1.address);
+            await hre.run("relay", { file });
+            expect(await testToken.balanceOf(addr1.address)).to.be.equal(before.add(40));
+        });
+
+        it("merkle:build, merkle:create and merkle:claim", async function () {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vesting-"));
+            const allocations = path.join(dir, "allocations.csv");
+            fs.writeFileSync(
+                allocations,
+                "beneficiary,amount,start,cliff,duration,slice\n" +
+                    `${addr1.address},200,2022-03-01T00:00:00Z,0,30d,1d\n` +
+                    `${owner.address},100,2022-03-01T00:00:00Z,0,30d,1d\n`
+            );
+            const file = path.join(dir, "tree.json");
+            const tree = await hre.run("merkle:build", { file: allocations, out: file });
+            expect(tree.total).to.be.equal("300");
+
+            await hre.run("fund", { amount: "300" });
+            const distribution = await hre.run("merkle:create", { file });
+            const before = await testToken.balanceOf(addr1.address);
+            await hre.run("merkle:claim", { file, distribution: String(distribution), from: addr1.address });
+            expect(await testToken.balanceOf(addr1.address)).to.be.equal(before.add(200));
+        });
+
+        it("positions:deploy, positions:list and positions:release", async function () {
+            const positionsAddress = await hre.run("positions:deploy", {});
+            await hre.run("role:grant", { role: "CREATOR_ROLE", account: positionsAddress });
+            await hre.run("fund", { amount: "50" });
+            const positions = await ethers.getContractAt("VestingPositions", positionsAddress);
+            await positions.mint([addr1.address, 1646092800, 0, 2592000, 86400, false, 50], true);
+
+            const list = await hre.run("positions:list", { holder: addr1.address });
+            expect(list.length).to.be.equal(1);
+            const before = await testToken.balanceOf(addr1.address);
+            await hre.run("positions:release", { id: list[0].scheduleId, from: addr1.address });
+            expect(await testToken.balanceOf(addr1.address)).to.be.equal(before.add(50));
+        });
+
+        it("schedule:amend and schedule:accept-amendment", async function () {
+            await hre.run("fund", { amount: "20" });
+            const id = await hre.run("schedule:create", {
+                beneficiary: addr1.address,
+                amount: "10",
+                start: "now",
+                duration: "360d",
+                slice: "1d",
+            });
+
+            expect(await hre.run("schedule:amend", { id, add: "10" })).to.be.equal(true);
+            expect(await hre.run("schedule:amend", { id, duration: "720d" })).to.be.equal(false);
+            await hre.run("schedule:accept-amendment", { id, from: addr1.address });
+
+            const vesting = await ethers.getContractAt("Vesting", vestingAddress);
+            const schedule = await vesting.getSchedule(id);
+            expect(schedule.amountTotal).to.be.equal(20);
+            expect(schedule.duration).to.be.equal(62208000);
+        });
+
+        it("re-runs a timelocked command with the options it resolved", async function () {
+            const [, , holder] = await ethers.getSigners();
+            const vesting = await ethers.getContractAt("Vesting", vestingAddress);
+            await vesting.setTimelockDelay(3600);
+            await hre.run("fund", { amount: "130" });
+            await hre.run("schedule:create", {
+                beneficiary: holder.address,
+                amount: "100",
+                start: "now",
+                duration: "360d",
+                slice: "1d",
+                revocable: true,
+            });
+
+            const queuedRevoke = await output("revoke", { holder: holder.address, noPay: true });
+            const [, at] = /run the command again with --at (\d+) after/.exec(queuedRevoke);
+            const queuedWithdraw = await output("withdraw", {});
+            const [, amount] = /run the command again with --amount (\d+) after/.exec(queuedWithdraw);
+            // The same operation, not ready yet
+            try {
+                await hre.run("withdraw", { amount });
+                expect.fail("Expected TimelockError");
+            } catch (err) {
+                expect(err.name).to.be.equal("TimelockError");
+            }
+
+            await hre.network.provider.send("evm_increaseTime", [3600]);
+            expect(await output("revoke", { holder: holder.address, noPay: true, at }))
+                .to.be.equal(`Revoked the schedules of ${holder.address}`);
+            expect(await output("withdraw", { amount })).to.be.equal(`Withdrew ${amount} tokens`);
+            expect(amount).to.be.equal("30");
+        });
+    });
+});
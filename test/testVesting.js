@@ -1,4 +1,6 @@
 const { expect } = require("chai");
+const { buildMerkleTree } = require("../sdk/merkle");
+const { getVestingFactory } = require("../tasks/libraries");
 
 describe("Vesting Test", function () {
     let testToken;
@@ -8,6 +10,11 @@ describe("Vesting Test", function () {
     let addr2;
     let addrs;
 
+    // Revert string of AccessControl when `signer` lacks `role`
+    function missingRole(signer, role) {
+        return `AccessControl: account ${signer.address.toLowerCase()} is missing role ${ethers.utils.id(role)}`;
+    }
+
     // Set debugPrint to "true" to print additional info to the constole
     let debugPrint = false;
     function prt(msg){
@@ -24,7 +31,7 @@ describe("Vesting Test", function () {
         await testToken.deployed();
         console.log("\tTestToken (erc20) deployed with total supply of", (await testToken.totalSupply()).toNumber(), "at", testToken.address);
 
-        const Vesting = await ethers.getContractFactory("MockVesting");
+        const Vesting = await getVestingFactory(hre, "MockVesting");
         vesting = await Vesting.deploy(testToken.address);
         await vesting.deployed();
         console.log("\tDeployed MockVesting (child of Vesting.sol to mock elapsed time) at", vesting.address);
@@ -501,4 +508,1569 @@ describe("Vesting Test", function () {
     });
 
   });
-});
\ No newline at end of file
+
+    describe("Batch creation", function () {
+        let batchVesting;
+
+        before(async function () {
+            const Token = await ethers.getContractFactory("TestToken");
+            const token = await Token.deploy("Test Token", "TT", 1000);
+            await token.deployed();
+
+            const Vesting = await getVestingFactory(hre, "MockVesting");
+            batchVesting = await Vesting.deploy(token.address);
+            await batchVesting.deployed();
+
+            await token.transfer(batchVesting.address, 1000);
+        });
+
+        function params(beneficiary, amount) {
+            return {
+                beneficiary,
+                start: 0,
+                cliff: 0,
+                duration: 100,
+                slicePeriodSeconds: 1,
+                revocable: false,
+                amount,
+            };
+        }
+
+        it("Should not create any schedule if the total is above the withdrawable amount", async function () {
+            await expect(
+                batchVesting.createVestingSchedules([
+                    params(addr1.address, 600),
+                    params(addr2.address, 401),
+                ])
+            ).to.be.revertedWith("Not enough funds");
+            expect(await batchVesting.getScheduleCount()).to.be.equal(0);
+        });
+
+        it("Should not create any schedule if one of them is not valid", async function () {
+            await expect(
+                batchVesting.createVestingSchedules([
+                    params(addr1.address, 600),
+                    params(addr2.address, 0),
+                ])
+            ).to.be.revertedWith("Amount cannot be zero");
+            await expect(batchVesting.createVestingSchedules([]))
+                .to.be.revertedWith("No schedules to create");
+        });
+
+        it("Only the creator can create schedules", async function () {
+            await expect(
+                batchVesting.connect(addr1).createVestingSchedules([params(addr1.address, 1)])
+            ).to.be.revertedWith(missingRole(addr1, "CREATOR_ROLE"));
+        });
+
+        it("Creates all the schedules, in order", async function () {
+            await batchVesting.createVestingSchedules([
+                params(addr1.address, 600),
+                params(addr2.address, 300),
+                params(addr1.address, 100),
+            ]);
+
+            expect(await batchVesting.getScheduleCount()).to.be.equal(3);
+            expect(await batchVesting.getScheduleCountHolder(addr1.address)).to.be.equal(2);
+            expect(await batchVesting.getTotalVestingAmount()).to.be.equal(1000);
+            expect(await batchVesting.getWithdrawableAmount()).to.be.equal(0);
+
+            const schedule = await batchVesting.getScheduleAtHolder(addr1.address, 1);
+            expect(schedule.amountTotal).to.be.equal(100);
+            expect(await batchVesting.getScheduleIdAt(2))
+                .to.be.equal(await batchVesting.computeScheduleId(addr1.address, 1));
+        });
+    });
+
+    describe("Multiple tokens", function () {
+        let tokenA;
+        let tokenB;
+        let multiVesting;
+
+        before(async function () {
+            const Token = await ethers.getContractFactory("TestToken");
+            tokenA = await Token.deploy("Token A", "TA", 1000);
+            tokenB = await Token.deploy("Token B", "TB", 1000);
+
+            const Vesting = await getVestingFactory(hre, "MockVesting");
+            multiVesting = await Vesting.deploy(tokenA.address);
+            await multiVesting.deployed();
+
+            await tokenA.transfer(multiVesting.address, 1000);
+            await tokenB.transfer(multiVesting.address, 500);
+            await multiVesting.setCurrentTime(0);
+        });
+
+        it("Should not create a schedule for more than the funds of its token", async function () {
+            await expect(
+                multiVesting.createVestingScheduleForToken(tokenB.address, addr1.address, 0, 0, 100, 1, true, 501)
+            ).to.be.revertedWith("Not enough funds");
+        });
+
+        it("Tracks committed and withdrawable amounts per token", async function () {
+            await multiVesting.createVestingSchedule(addr1.address, 0, 0, 100, 1, true, 600);
+            await multiVesting.createVestingScheduleForToken(tokenB.address, addr1.address, 0, 0, 100, 1, true, 400);
+            await multiVesting.createVestingSchedulesForToken(tokenB.address, [
+                [addr2.address, 0, 0, 100, 1, false, 100],
+            ]);
+
+            expect((await multiVesting.getScheduleAtHolder(addr1.address, 1)).token).to.be.equal(tokenB.address);
+            expect(await multiVesting.getTotalVestingAmount()).to.be.equal(600);
+            expect(await multiVesting.getWithdrawableAmount()).to.be.equal(400);
+            expect(await multiVesting.getTotalVestingAmountByToken(tokenA.address)).to.be.equal(600);
+            expect(await multiVesting.getTotalVestingAmountByToken(tokenB.address)).to.be.equal(500);
+            expect(await multiVesting.getWithdrawableAmountByToken(tokenB.address)).to.be.equal(0);
+        });
+
+        it("Withdraws unused funds per token", async function () {
+            await expect(multiVesting.withdrawToken(tokenB.address, 1))
+                .to.be.revertedWith("Not enough withdrawable funds");
+            await expect(multiVesting.connect(addr1).withdrawToken(tokenA.address, 1))
+                .to.be.revertedWith(missingRole(addr1, "TREASURY_ROLE"));
+
+            await expect(multiVesting.withdrawToken(tokenA.address, 100))
+                .to.emit(multiVesting, "Withdrawn")
+                .withArgs(tokenA.address, owner.address, 100);
+            expect(await multiVesting.getWithdrawableAmount()).to.be.equal(300);
+        });
+
+        it("Computes the releasable amount per token", async function () {
+            await multiVesting.setCurrentTime(50);
+            expect(await multiVesting.connect(addr1).computeAmountForAllMySchedules()).to.be.equal(300);
+            expect(await multiVesting.connect(addr1).computeAmountForAllMySchedulesByToken(tokenB.address))
+                .to.be.equal(200);
+        });
+
+        it("releaseAllMySchedules pays out every token", async function () {
+            await multiVesting.connect(addr1).releaseAllMySchedules();
+
+            expect(await tokenA.balanceOf(addr1.address)).to.be.equal(300);
+            expect(await tokenB.balanceOf(addr1.address)).to.be.equal(200);
+            expect(await multiVesting.getTotalVestingAmount()).to.be.equal(300);
+            expect(await multiVesting.getTotalVestingAmountByToken(tokenB.address)).to.be.equal(300);
+        });
+
+        it("Revoking returns the unvested amount to the pool of its token", async function () {
+            await multiVesting.setCurrentTime(75);
+            await multiVesting.revoke(await multiVesting.computeScheduleId(addr1.address, 1));
+
+            expect(await tokenB.balanceOf(addr1.address)).to.be.equal(300);
+            expect(await multiVesting.getTotalVestingAmountByToken(tokenB.address)).to.be.equal(100);
+            expect(await multiVesting.getWithdrawableAmountByToken(tokenB.address)).to.be.equal(100);
+            expect(await multiVesting.getWithdrawableAmount()).to.be.equal(300);
+        });
+    });
+
+    describe("Beneficiary transfer and claimers", function () {
+        let token;
+        let transferVesting;
+        let addr3;
+
+        before(async function () {
+            addr3 = addrs[0];
+            const Token = await ethers.getContractFactory("TestToken");
+            token = await Token.deploy("Test Token", "TT", 1000);
+            await token.deployed();
+
+            const Vesting = await getVestingFactory(hre, "MockVesting");
+            transferVesting = await Vesting.deploy(token.address);
+            await transferVesting.deployed();
+
+            await token.transfer(transferVesting.address, 1000);
+            await transferVesting.createVestingSchedules([
+                [addr1.address, 0, 0, 100, 1, true, 100],
+                [addr1.address, 0, 0, 100, 1, true, 200],
+                [addr2.address, 0, 0, 100, 1, true, 300],
+            ]);
+            await transferVesting.setCurrentTime(50);
+        });
+
+        it("Only the nominated address or the owner can complete a transfer", async function () {
+            await expect(transferVesting.connect(addr3).requestBeneficiaryTransfer(addr2.address))
+                .to.be.revertedWith("No schedules found");
+            await expect(transferVesting.connect(addr1).requestBeneficiaryTransfer(addr1.address))
+                .to.be.revertedWith("Invalid beneficiary");
+            await expect(transferVesting.approveBeneficiaryTransfer(addr1.address))
+                .to.be.revertedWith("No transfer requested");
+
+            await expect(transferVesting.connect(addr1).requestBeneficiaryTransfer(addr3.address))
+                .to.emit(transferVesting, "BeneficiaryTransferRequested")
+                .withArgs(addr1.address, addr3.address);
+            expect(await transferVesting.getPendingBeneficiary(addr1.address)).to.be.equal(addr3.address);
+
+            await expect(transferVesting.connect(addr2).acceptBeneficiaryTransfer(addr1.address))
+                .to.be.revertedWith("Not the nominated beneficiary");
+            await expect(transferVesting.connect(addr3).approveBeneficiaryTransfer(addr1.address))
+                .to.be.revertedWith(
+                    `AccessControl: account ${addr3.address.toLowerCase()} is missing role ${ethers.constants.HashZero}`
+                );
+        });
+
+        it("Moves every schedule to the new beneficiary on acceptance", async function () {
+            const ids = [
+                await transferVesting.computeScheduleId(addr1.address, 0),
+                await transferVesting.computeScheduleId(addr1.address, 1),
+            ];
+            await transferVesting.connect(addr1).release(ids[0]);
+
+            await expect(transferVesting.connect(addr3).acceptBeneficiaryTransfer(addr1.address))
+                .to.emit(transferVesting, "BeneficiaryTransferred")
+                .withArgs(addr1.address, addr3.address, 2);
+
+            expect(await transferVesting.getPendingBeneficiary(addr1.address))
+                .to.be.equal(ethers.constants.AddressZero);
+            expect(await transferVesting.getScheduleCountHolder(addr1.address)).to.be.equal(0);
+            expect(await transferVesting.getScheduleCountHolder(addr3.address)).to.be.equal(2);
+            expect(await transferVesting.getScheduleIdAtHolder(addr3.address, 0)).to.be.equal(ids[0]);
+            expect(await transferVesting.getScheduleIdAtHolder(addr3.address, 1)).to.be.equal(ids[1]);
+            expect((await transferVesting.getSchedule(ids[0])).beneficiary).to.be.equal(addr3.address);
+            const last = await transferVesting.getLastSchedule(addr3.address);
+            expect(last.beneficiary).to.be.equal(addr3.address);
+            expect(last.amountTotal).to.be.equal(200);
+            await expect(transferVesting.getLastSchedule(addr1.address)).to.be.reverted;
+            // The released amount stays with the schedule
+            expect((await transferVesting.getSchedule(ids[0])).released).to.be.equal(50);
+
+            await expect(transferVesting.connect(addr1).release(ids[1]))
+                .to.be.revertedWith("Only beneficiary, claimer and admin can release vested tokens");
+            await expect(transferVesting.connect(addr1).releaseAllMySchedules())
+                .to.be.revertedWith("No schedules found");
+
+            await transferVesting.connect(addr3).releaseAllMySchedules();
+            expect(await token.balanceOf(addr3.address)).to.be.equal(100);
+        });
+
+        it("Keeps the ids of new schedules of the old beneficiary unique", async function () {
+            const next = await transferVesting.computeNextSecheduleId(addr1.address);
+            expect(next).to.be.equal(await transferVesting.computeScheduleId(addr1.address, 2));
+
+            await transferVesting.createVestingSchedule(addr1.address, 0, 0, 100, 1, true, 100);
+            expect(await transferVesting.getScheduleCountHolder(addr1.address)).to.be.equal(1);
+            expect(await transferVesting.getScheduleIdAtHolder(addr1.address, 0)).to.be.equal(next);
+            expect((await transferVesting.getScheduleAtHolder(addr1.address, 0)).amountTotal).to.be.equal(100);
+            expect((await transferVesting.getLastSchedule(addr1.address)).beneficiary).to.be.equal(addr1.address);
+            await expect(transferVesting.getScheduleIdAtHolder(addr1.address, 1))
+                .to.be.revertedWith("Index out of bounds");
+        });
+
+        it("The owner can approve a transfer of received and own schedules", async function () {
+            await transferVesting.createVestingSchedule(addr3.address, 0, 0, 100, 1, true, 100);
+            await transferVesting.connect(addr3).requestBeneficiaryTransfer(addr2.address);
+            await transferVesting.approveBeneficiaryTransfer(addr3.address);
+
+            expect(await transferVesting.getScheduleCountHolder(addr3.address)).to.be.equal(0);
+            expect(await transferVesting.getScheduleCountHolder(addr2.address)).to.be.equal(4);
+            expect(await transferVesting.getScheduleIdAtHolder(addr2.address, 0))
+                .to.be.equal(await transferVesting.computeScheduleId(addr2.address, 0));
+            // Own schedules of the old beneficiary come before the ones it received
+            expect(await transferVesting.getScheduleIdAtHolder(addr2.address, 1))
+                .to.be.equal(await transferVesting.computeScheduleId(addr3.address, 0));
+            expect(await transferVesting.getScheduleIdAtHolder(addr2.address, 3))
+                .to.be.equal(await transferVesting.computeScheduleId(addr1.address, 1));
+            expect(await transferVesting.connect(addr2).computeAmountForAllMySchedules()).to.be.equal(150 + 50);
+        });
+
+        it("A claimer releases on behalf of the beneficiary", async function () {
+            const scheduleId = await transferVesting.getScheduleIdAtHolder(addr2.address, 0);
+            await expect(transferVesting.connect(addr3).release(scheduleId))
+                .to.be.revertedWith("Only beneficiary, claimer and admin can release vested tokens");
+
+            await expect(transferVesting.connect(addr2).setClaimer(addr3.address))
+                .to.emit(transferVesting, "ClaimerSet")
+                .withArgs(addr2.address, addr3.address);
+            expect(await transferVesting.getClaimer(addr2.address)).to.be.equal(addr3.address);
+
+            const before = await token.balanceOf(addr3.address);
+            await transferVesting.connect(addr3).release(scheduleId);
+            expect(await token.balanceOf(addr2.address)).to.be.equal(150);
+            expect(await token.balanceOf(addr3.address)).to.be.equal(before);
+
+            await transferVesting.connect(addr2).setClaimer(ethers.constants.AddressZero);
+            const otherId = await transferVesting.getScheduleIdAtHolder(addr2.address, 3);
+            await expect(transferVesting.connect(addr3).release(otherId))
+                .to.be.revertedWith("Only beneficiary, claimer and admin can release vested tokens");
+        });
+
+        it("Only a contract nominee can complete its transfer", async function () {
+            await transferVesting.connect(addr2).requestBeneficiaryTransfer(token.address);
+            await expect(transferVesting.approveBeneficiaryTransfer(addr2.address))
+                .to.be.revertedWith("Contracts must accept the transfer");
+            expect(await transferVesting.getScheduleCountHolder(addr2.address)).to.be.equal(4);
+            await transferVesting.connect(addr2).requestBeneficiaryTransfer(ethers.constants.AddressZero);
+        });
+    });
+
+    describe("Release to a recipient", function () {
+        let tokenA;
+        let tokenB;
+        let releaseVesting;
+        let recipient;
+        let scheduleIds;
+
+        before(async function () {
+            recipient = addrs[1];
+            const Token = await ethers.getContractFactory("TestToken");
+            tokenA = await Token.deploy("Token A", "TA", 1000);
+            await tokenA.deployed();
+            tokenB = await Token.deploy("Token B", "TB", 1000);
+            await tokenB.deployed();
+
+            const Vesting = await getVestingFactory(hre, "MockVesting");
+            releaseVesting = await Vesting.deploy(tokenA.address);
+            await releaseVesting.deployed();
+
+            await tokenA.transfer(releaseVesting.address, 1000);
+            await tokenB.transfer(releaseVesting.address, 1000);
+            await releaseVesting.createVestingSchedules([
+                [addr1.address, 0, 0, 100, 1, true, 100],
+                [addr1.address, 0, 0, 100, 1, true, 200],
+            ]);
+            await releaseVesting.createVestingScheduleForToken(tokenB.address, addr1.address, 0, 0, 100, 1, true, 400);
+            scheduleIds = [0, 1, 2].map((i) => releaseVesting.computeScheduleId(addr1.address, i));
+            scheduleIds = await Promise.all(scheduleIds);
+            await releaseVesting.setCurrentTime(50);
+        });
+
+        it("Releases part of a schedule to another address", async function () {
+            await expect(releaseVesting.connect(addr1).releaseTo(scheduleIds[0], recipient.address, 20))
+                .to.emit(releaseVesting, "Released")
+                .withArgs(scheduleIds[0], 20, addr1.address, recipient.address);
+
+            expect(await tokenA.balanceOf(recipient.address)).to.be.equal(20);
+            expect(await tokenA.balanceOf(addr1.address)).to.be.equal(0);
+            expect(await releaseVesting.computeReleasableAmount(scheduleIds[0])).to.be.equal(30);
+            expect(await releaseVesting.getTotalVestingAmount()).to.be.equal(280);
+        });
+
+        it("Should not release more than the releasable amount", async function () {
+            await expect(releaseVesting.connect(addr1).releaseTo(scheduleIds[0], recipient.address, 31))
+                .to.be.revertedWith("Amount exceeds releasable amount");
+            await expect(releaseVesting.connect(addr1).releaseTo(scheduleIds[0], recipient.address, 0))
+                .to.be.revertedWith("No amount to release");
+            await expect(releaseVesting.connect(addr1).releaseTo(scheduleIds[0], ethers.constants.AddressZero, 1))
+                .to.be.revertedWith("Invalid recipient");
+            // 30 + 100 of token A are releasable
+            await expect(releaseVesting.connect(addr1).releaseAllMySchedulesTo(tokenA.address, recipient.address, 131))
+                .to.be.revertedWith("Amount exceeds releasable amount");
+        });
+
+        it("The owner and claimers cannot redirect funds", async function () {
+            await releaseVesting.connect(addr1).setClaimer(addr2.address);
+            for (const caller of [owner, addr2]) {
+                await expect(releaseVesting.connect(caller).releaseTo(scheduleIds[0], caller.address, 1))
+                    .to.be.revertedWith("Only beneficiary can choose the recipient");
+            }
+            // They release to the beneficiary only, and have no schedules of their own
+            await expect(releaseVesting.releaseAllMySchedulesTo(tokenA.address, owner.address, 1))
+                .to.be.revertedWith("No schedules found");
+            await releaseVesting.release(scheduleIds[0]);
+            expect(await tokenA.balanceOf(addr1.address)).to.be.equal(30);
+        });
+
+        it("Releases an amount of one token across all the schedules", async function () {
+            await releaseVesting.setCurrentTime(60);
+            // 10 left on the first schedule of token A, 120 on the second
+            const trx = await releaseVesting.connect(addr1).releaseAllMySchedulesTo(tokenA.address, recipient.address, 50);
+            const released = (await trx.wait()).events
+                .filter((e) => e.event === "Released")
+                .map((e) => [e.args.scheduleId, e.args.amount.toNumber(), e.args.recipient]);
+            expect(released).to.be.deep.equal([
+                [scheduleIds[0], 10, recipient.address],
+                [scheduleIds[1], 40, recipient.address],
+            ]);
+            expect(await tokenA.balanceOf(recipient.address)).to.be.equal(70);
+            expect(await tokenB.balanceOf(recipient.address)).to.be.equal(0);
+            expect(await releaseVesting.computeReleasableAmount(scheduleIds[2])).to.be.equal(240);
+        });
+    });
+
+    describe("README examples", function () {
+        const oneDay = 60 * 60 * 24;
+        const dJuly1st = Date.UTC(2022, 6, 1) / 1000;
+        let token;
+        let exampleVesting;
+
+        before(async function () {
+            const Token = await ethers.getContractFactory("TestToken");
+            token = await Token.deploy("Test Token", "TT", 100000);
+            await token.deployed();
+
+            const Vesting = await getVestingFactory(hre, "MockVesting");
+            exampleVesting = await Vesting.deploy(token.address);
+            await exampleVesting.deployed();
+
+            await token.transfer(exampleVesting.address, 100000);
+        });
+
+        async function lastScheduleId() {
+            const count = await exampleVesting.getScheduleCount();
+            return exampleVesting.getScheduleIdAt(count.sub(1));
+        }
+
+        // Checks `rows` of [time, available, withdrawn, balance], in order
+        async function checkTable(scheduleId, rows) {
+            for (const [time, available, withdrawn, balance] of rows) {
+                await exampleVesting.setCurrentTime(time);
+                expect(await exampleVesting.computeReleasableAmount(scheduleId), `at ${time}`)
+                    .to.be.equal(available);
+                if (withdrawn > 0) {
+                    await exampleVesting.connect(addr1).releaseTo(scheduleId, addr1.address, withdrawn);
+                }
+                const schedule = await exampleVesting.getSchedule(scheduleId);
+                expect(schedule.amountTotal.sub(schedule.released), `at ${time}`).to.be.equal(balance);
+            }
+        }
+
+        it("1200 tokens over 360 days, 100 every 30 days", async function () {
+            await exampleVesting.createVestingSchedule(
+                addr1.address, dJuly1st, 0, oneDay * 360, oneDay * 30, false, 1200
+            );
+            await checkTable(await lastScheduleId(), [
+                [Date.UTC(2022, 4, 30) / 1000, 0, 0, 1200],
+                [Date.UTC(2022, 6, 29) / 1000, 0, 0, 1200],
+                [Date.UTC(2022, 7, 1) / 1000, 100, 0, 1200],
+                [Date.UTC(2022, 8, 1) / 1000, 200, 200, 1000],
+                [Date.UTC(2023, 6, 1) / 1000, 1000, 1000, 0],
+            ]);
+        });
+
+        it("10% at TGE, then 15% per quarter", async function () {
+            await exampleVesting.createVestingScheduleWithTge(
+                [addr1.address, dJuly1st, 0, oneDay * 540, oneDay * 90, true, 1000], 1000
+            );
+            const scheduleId = await lastScheduleId();
+            expect((await exampleVesting.getSchedule(scheduleId)).tgeAmount).to.be.equal(100);
+            await checkTable(scheduleId, [
+                [dJuly1st - 1, 0, 0, 1000],
+                [dJuly1st, 100, 0, 1000],
+                [dJuly1st + oneDay * 89, 100, 0, 1000],
+                [dJuly1st + oneDay * 90, 250, 0, 1000],
+                [dJuly1st + oneDay * 180, 400, 0, 1000],
+                [dJuly1st + oneDay * 540, 1000, 1000, 0],
+            ]);
+        });
+
+        it("25% at 1-year cliff, then monthly", async function () {
+            await exampleVesting.createVestingSchedule(
+                addr1.address, dJuly1st, oneDay * 360, oneDay * 1440, oneDay * 30, false, 4800
+            );
+            await checkTable(await lastScheduleId(), [
+                [dJuly1st + oneDay * 359, 0, 0, 4800],
+                [dJuly1st + oneDay * 360, 1200, 0, 4800],
+                [dJuly1st + oneDay * 390, 1300, 0, 4800],
+                [dJuly1st + oneDay * 1440, 4800, 4800, 0],
+            ]);
+        });
+
+        it("Unlock table with checkpoints", async function () {
+            const checkpoints = [
+                [dJuly1st, 100],
+                [Date.UTC(2022, 9, 1) / 1000, 400],
+                [Date.UTC(2023, 0, 1) / 1000, 1000],
+            ];
+            await exampleVesting.createCheckpointSchedule(addr1.address, true, checkpoints);
+            const scheduleId = await lastScheduleId();
+
+            const schedule = await exampleVesting.getSchedule(scheduleId);
+            expect(schedule.start).to.be.equal(dJuly1st);
+            expect(schedule.amountTotal).to.be.equal(1000);
+            expect((await exampleVesting.getScheduleCheckpoints(scheduleId)).map((c) => c.amount.toNumber()))
+                .to.be.deep.equal([100, 400, 1000]);
+
+            await checkTable(scheduleId, [
+                [dJuly1st - 1, 0, 0, 1000],
+                [dJuly1st, 100, 100, 900],
+                [Date.UTC(2022, 9, 1) / 1000 - 1, 0, 0, 900],
+                [Date.UTC(2022, 9, 1) / 1000, 300, 0, 900],
+            ]);
+        });
+
+        it("Revoking a non-linear schedule pays the vested amount and frees the rest", async function () {
+            const scheduleId = await lastScheduleId();
+            const committed = await exampleVesting.getTotalVestingAmount();
+            const balance = await token.balanceOf(addr1.address);
+
+            await exampleVesting.revoke(scheduleId);
+            expect(await token.balanceOf(addr1.address)).to.be.equal(balance.add(300));
+            expect(await exampleVesting.getTotalVestingAmount()).to.be.equal(committed.sub(900));
+        });
+
+        it("A single checkpoint vests everything at once", async function () {
+            await expect(exampleVesting.createCheckpointSchedule(addr1.address, false, [[dJuly1st, 500]]))
+                .to.emit(exampleVesting, "CheckpointsSet");
+            const scheduleId = await lastScheduleId();
+            const schedule = await exampleVesting.getSchedule(scheduleId);
+            expect(schedule.duration).to.be.equal(0);
+            expect(schedule.tgeAmount).to.be.equal(500);
+
+            await checkTable(scheduleId, [
+                [dJuly1st - 1, 0, 0, 500],
+                [dJuly1st, 500, 500, 0],
+            ]);
+        });
+
+        it("Should not create invalid non-linear schedules", async function () {
+            await expect(exampleVesting.createVestingScheduleWithTge(
+                [addr1.address, dJuly1st, 0, 100, 1, true, 1000], 10001
+            )).to.be.revertedWith("TGE cannot be above 100%");
+            await expect(exampleVesting.createCheckpointSchedule(addr1.address, true, []))
+                .to.be.revertedWith("No checkpoints");
+            await expect(exampleVesting.createCheckpointSchedule(addr1.address, true, [[10, 100], [10, 200]]))
+                .to.be.revertedWith("Checkpoints must be increasing");
+            await expect(exampleVesting.createCheckpointSchedule(addr1.address, true, [[10, 200], [20, 100]]))
+                .to.be.revertedWith("Checkpoints must be increasing");
+            await expect(exampleVesting.createCheckpointSchedule(addr1.address, true, [[10, 0], [20, 100001]]))
+                .to.be.revertedWith("Not enough funds");
+            await expect(exampleVesting.connect(addr1).createCheckpointSchedule(addr1.address, true, [[10, 0], [20, 1]]))
+                .to.be.revertedWith(missingRole(addr1, "CREATOR_ROLE"));
+        });
+    });
+
+    describe("Revocation options", function () {
+        let token;
+        let revokeVesting;
+
+        before(async function () {
+            const Token = await ethers.getContractFactory("TestToken");
+            token = await Token.deploy("Test Token", "TT", 10000);
+            await token.deployed();
+
+            const Vesting = await getVestingFactory(hre, "MockVesting");
+            revokeVesting = await Vesting.deploy(token.address);
+            await revokeVesting.deployed();
+
+            await token.transfer(revokeVesting.address, 10000);
+        });
+
+        async function createSchedule(beneficiary, revocable = true) {
+            await revokeVesting.createVestingSchedule(beneficiary.address, 0, 0, 1000, 1, revocable, 1000);
+            const count = await revokeVesting.getScheduleCount();
+            return revokeVesting.getScheduleIdAt(count.sub(1));
+        }
+
+        it("Revokes at a future date, vesting continues until then", async function () {
+            const scheduleId = await createSchedule(addr1);
+            await revokeVesting.setCurrentTime(100);
+
+            await expect(revokeVesting.revokeAt(scheduleId, 400, false))
+                .to.emit(revokeVesting, "Revoked")
+                .withArgs(scheduleId, 600, addr1.address, 400);
+            expect(await token.balanceOf(addr1.address)).to.be.equal(0);
+            expect(await revokeVesting.computeReleasableAmount(scheduleId)).to.be.equal(100);
+            // The 600 that would vest after the termination date are free right away
+            expect(await revokeVesting.getTotalVestingAmount()).to.be.equal(400);
+            expect(await revokeVesting.getWithdrawableAmount()).to.be.equal(9600);
+
+            await revokeVesting.setCurrentTime(300);
+            expect(await revokeVesting.computeReleasableAmount(scheduleId)).to.be.equal(300);
+            await revokeVesting.setCurrentTime(900);
+            expect(await revokeVesting.computeReleasableAmount(scheduleId)).to.be.equal(400);
+
+            const schedule = await revokeVesting.getSchedule(scheduleId);
+            expect(schedule.revoked).to.be.equal(true);
+            expect(schedule.revokedAt).to.be.equal(400);
+        });
+
+        it("The vested-but-unclaimed amount is released later by the beneficiary", async function () {
+            const scheduleId = await revokeVesting.getScheduleIdAt(0);
+            await revokeVesting.connect(addr1).release(scheduleId);
+
+            expect(await token.balanceOf(addr1.address)).to.be.equal(400);
+            expect(await revokeVesting.computeReleasableAmount(scheduleId)).to.be.equal(0);
+            expect(await revokeVesting.getTotalVestingAmount()).to.be.equal(0);
+            await expect(revokeVesting.connect(addr1).release(scheduleId))
+                .to.be.revertedWith("No amount to release");
+            await expect(revokeVesting.revokeAt(scheduleId, 400, false))
+                .to.be.revertedWith("Schedule has been revoked");
+        });
+
+        it("Revokes at a past date and pays what vested until then", async function () {
+            const scheduleId = await createSchedule(addr2);
+            await revokeVesting.setCurrentTime(500);
+
+            await expect(revokeVesting.revokeAt(scheduleId, 200, true))
+                .to.emit(revokeVesting, "Revoked")
+                .withArgs(scheduleId, 800, addr2.address, 200);
+            expect(await token.balanceOf(addr2.address)).to.be.equal(200);
+            expect(await revokeVesting.computeReleasableAmount(scheduleId)).to.be.equal(0);
+            expect(await revokeVesting.getTotalVestingAmount()).to.be.equal(0);
+        });
+
+        it("Does not take back what was released after a past effective date", async function () {
+            const scheduleId = await createSchedule(addr2);
+            await revokeVesting.setCurrentTime(800);
+            await revokeVesting.connect(addr2).release(scheduleId);
+            const balance = await token.balanceOf(addr2.address);
+
+            await expect(revokeVesting.revokeAt(scheduleId, 300, true))
+                .to.emit(revokeVesting, "Revoked")
+                .withArgs(scheduleId, 200, addr2.address, 300);
+            expect(await token.balanceOf(addr2.address)).to.be.equal(balance);
+            expect(await revokeVesting.computeReleasableAmount(scheduleId)).to.be.equal(0);
+            expect(await revokeVesting.getTotalVestingAmount()).to.be.equal(0);
+        });
+
+        it("Revokes every revocable schedule of a holder", async function () {
+            const addr3 = addrs[0];
+            await revokeVesting.setCurrentTime(0);
+            const revocable = [await createSchedule(addr3), await createSchedule(addr3)];
+            const fixed = await createSchedule(addr3, false);
+            await revokeVesting.setCurrentTime(250);
+
+            await expect(revokeVesting.connect(addr3).revokeAllForHolder(addr3.address, 500, false))
+                .to.be.revertedWith(missingRole(addr3, "REVOKER_ROLE"));
+            await revokeVesting.revokeAllForHolder(addr3.address, 500, false);
+
+            for (const scheduleId of revocable) {
+                expect((await revokeVesting.getSchedule(scheduleId)).revoked).to.be.equal(true);
+            }
+            expect((await revokeVesting.getSchedule(fixed)).revoked).to.be.equal(false);
+            expect(await revokeVesting.getTotalVestingAmount()).to.be.equal(500 + 500 + 1000);
+
+            await revokeVesting.setCurrentTime(2000);
+            expect(await revokeVesting.connect(addr3).computeAmountForAllMySchedules()).to.be.equal(2000);
+            await revokeVesting.connect(addr3).releaseAllMySchedules();
+            expect(await token.balanceOf(addr3.address)).to.be.equal(2000);
+
+            await expect(revokeVesting.revokeAllForHolder(addr3.address, 0, true))
+                .to.be.revertedWith("No revocable schedules");
+        });
+    });
+
+    describe("Roles and timelock", function () {
+        let token;
+        let roleVesting;
+        let creator;
+        let revoker;
+        let treasury;
+        let scheduleId;
+
+        // Id of the timelocked call of `caller` with `data`
+        function operationIdOf(caller, data) {
+            return ethers.utils.keccak256(
+                ethers.utils.defaultAbiCoder.encode(["address", "bytes"], [caller.address, data])
+            );
+        }
+
+        before(async function () {
+            [creator, revoker, treasury] = addrs.slice(2, 5);
+            const Token = await ethers.getContractFactory("TestToken");
+            token = await Token.deploy("Test Token", "TT", 10000);
+            await token.deployed();
+
+            const Vesting = await getVestingFactory(hre, "MockVesting");
+            roleVesting = await Vesting.deploy(token.address);
+            await roleVesting.deployed();
+
+            await token.transfer(roleVesting.address, 10000);
+        });
+
+        it("Grants every role to the deployer", async function () {
+            for (const role of ["CREATOR_ROLE", "REVOKER_ROLE", "TREASURY_ROLE", "PAUSER_ROLE"]) {
+                expect(await roleVesting[role]()).to.be.equal(ethers.utils.id(role));
+                expect(await roleVesting.hasRole(ethers.utils.id(role), owner.address)).to.be.equal(true);
+            }
+            expect(await roleVesting.hasRole(ethers.constants.HashZero, owner.address)).to.be.equal(true);
+        });
+
+        it("Transfers each role to its own account", async function () {
+            const roles = [
+                ["CREATOR_ROLE", creator],
+                ["REVOKER_ROLE", revoker],
+                ["TREASURY_ROLE", treasury],
+            ];
+            for (const [role, account] of roles) {
+                await expect(roleVesting.connect(account).grantRole(ethers.utils.id(role), account.address))
+                    .to.be.reverted;
+                await roleVesting.grantRole(ethers.utils.id(role), account.address);
+                await roleVesting.renounceRole(ethers.utils.id(role), owner.address);
+                expect(await roleVesting.hasRole(ethers.utils.id(role), account.address)).to.be.equal(true);
+                expect(await roleVesting.hasRole(ethers.utils.id(role), owner.address)).to.be.equal(false);
+            }
+        });
+
+        it("Only the creator creates schedules", async function () {
+            await expect(roleVesting.createVestingSchedule(addr1.address, 0, 0, 1000, 1, true, 1000))
+                .to.be.revertedWith(missingRole(owner, "CREATOR_ROLE"));
+            await expect(roleVesting.connect(revoker).createVestingSchedule(addr1.address, 0, 0, 1000, 1, true, 1000))
+                .to.be.revertedWith(missingRole(revoker, "CREATOR_ROLE"));
+
+            await roleVesting.connect(creator).createVestingSchedule(addr1.address, 0, 0, 1000, 1, true, 1000);
+            await roleVesting.connect(creator).createVestingSchedule(addr1.address, 0, 0, 1000, 1, true, 1000);
+            scheduleId = await roleVesting.computeScheduleId(addr1.address, 0);
+        });
+
+        it("Only the revoker revokes and only the treasury withdraws", async function () {
+            await expect(roleVesting.connect(creator).revoke(scheduleId))
+                .to.be.revertedWith(missingRole(creator, "REVOKER_ROLE"));
+            await expect(roleVesting.connect(treasury).revokeAt(scheduleId, 0, false))
+                .to.be.revertedWith(missingRole(treasury, "REVOKER_ROLE"));
+            await expect(roleVesting.connect(revoker).withdraw(1))
+                .to.be.revertedWith(missingRole(revoker, "TREASURY_ROLE"));
+            await expect(roleVesting.withdrawToken(token.address, 1))
+                .to.be.revertedWith(missingRole(owner, "TREASURY_ROLE"));
+
+            await expect(roleVesting.connect(treasury).withdraw(100))
+                .to.emit(roleVesting, "Withdrawn")
+                .withArgs(token.address, treasury.address, 100);
+            expect(await token.balanceOf(treasury.address)).to.be.equal(100);
+        });
+
+        it("Only the admin, the beneficiary and its claimer release", async function () {
+            await roleVesting.setCurrentTime(100);
+            for (const account of [creator, revoker, treasury]) {
+                await expect(roleVesting.connect(account).release(scheduleId))
+                    .to.be.revertedWith("Only beneficiary, claimer and admin can release vested tokens");
+            }
+            await roleVesting.release(scheduleId);
+            expect(await token.balanceOf(addr1.address)).to.be.equal(100);
+        });
+
+        it("Only the admin manages the timelock", async function () {
+            await expect(roleVesting.connect(treasury).setTimelockDelay(100))
+                .to.be.revertedWith(
+                    `AccessControl: account ${treasury.address.toLowerCase()} is missing role ${ethers.constants.HashZero}`
+                );
+            await expect(roleVesting.setTimelockDelay(1000))
+                .to.emit(roleVesting, "TimelockDelaySet")
+                .withArgs(1000);
+            expect(await roleVesting.getTimelockDelay()).to.be.equal(1000);
+        });
+
+        it("A shorter delay waits for the current one", async function () {
+            await roleVesting.setTimelockDelay(2000);
+            expect(await roleVesting.getTimelockDelay()).to.be.equal(2000);
+
+            const data = roleVesting.interface.encodeFunctionData("setTimelockDelay", [1000]);
+            await expect(roleVesting.setTimelockDelay(1000))
+                .to.emit(roleVesting, "OperationQueued")
+                .withArgs(operationIdOf(owner, data), owner.address, data, 2100)
+                .and.not.to.emit(roleVesting, "TimelockDelaySet");
+            expect(await roleVesting.getTimelockDelay()).to.be.equal(2000);
+            await expect(roleVesting.setTimelockDelay(1000))
+                .to.be.revertedWith("Operation is timelocked");
+
+            await roleVesting.setCurrentTime(2100);
+            await expect(roleVesting.setTimelockDelay(1000))
+                .to.emit(roleVesting, "TimelockDelaySet")
+                .withArgs(1000);
+            await roleVesting.setCurrentTime(100);
+        });
+
+        it("Queues a withdrawal and runs the same call after the delay", async function () {
+            const data = roleVesting.interface.encodeFunctionData("withdraw", [200]);
+            const operationId = operationIdOf(treasury, data);
+
+            await expect(roleVesting.connect(treasury).withdraw(200))
+                .to.emit(roleVesting, "OperationQueued")
+                .withArgs(operationId, treasury.address, data, 1100);
+            expect(await token.balanceOf(treasury.address)).to.be.equal(100);
+            expect(await roleVesting.getOperationReadyAt(operationId)).to.be.equal(1100);
+
+            await roleVesting.setCurrentTime(1099);
+            await expect(roleVesting.connect(treasury).withdraw(200))
+                .to.be.revertedWith("Operation is timelocked");
+
+            await roleVesting.setCurrentTime(1100);
+            await expect(roleVesting.connect(treasury).withdraw(200))
+                .to.emit(roleVesting, "OperationExecuted")
+                .withArgs(operationId);
+            expect(await token.balanceOf(treasury.address)).to.be.equal(300);
+            expect(await roleVesting.getOperationReadyAt(operationId)).to.be.equal(0);
+        });
+
+        it("Another treasury account cannot run a queued withdrawal", async function () {
+            const other = addrs[5];
+            await roleVesting.grantRole(ethers.utils.id("TREASURY_ROLE"), other.address);
+            const data = roleVesting.interface.encodeFunctionData("withdraw", [50]);
+            await roleVesting.connect(treasury).withdraw(50);
+            expect(await roleVesting.getOperationReadyAt(operationIdOf(treasury, data))).to.be.equal(2100);
+
+            // The same call of another account is another operation
+            await roleVesting.setCurrentTime(2100);
+            await expect(roleVesting.connect(other).withdraw(50))
+                .to.emit(roleVesting, "OperationQueued")
+                .withArgs(operationIdOf(other, data), other.address, data, 3100)
+                .and.not.to.emit(roleVesting, "Withdrawn");
+            expect(await token.balanceOf(other.address)).to.be.equal(0);
+            expect(await roleVesting.getOperationReadyAt(operationIdOf(treasury, data))).to.be.equal(2100);
+
+            await expect(roleVesting.connect(treasury).withdraw(50))
+                .to.emit(roleVesting, "Withdrawn")
+                .withArgs(token.address, treasury.address, 50);
+            await roleVesting.cancelOperation(operationIdOf(other, data));
+            await roleVesting.revokeRole(ethers.utils.id("TREASURY_ROLE"), other.address);
+        });
+
+        it("The admin cancels a queued revocation", async function () {
+            const revokeId = await roleVesting.computeScheduleId(addr1.address, 1);
+            const operationId = operationIdOf(
+                revoker,
+                roleVesting.interface.encodeFunctionData("revoke", [revokeId])
+            );
+            await roleVesting.connect(revoker).revoke(revokeId);
+            expect((await roleVesting.getSchedule(revokeId)).revoked).to.be.equal(false);
+
+            await expect(roleVesting.connect(revoker).cancelOperation(operationId)).to.be.reverted;
+            await expect(roleVesting.cancelOperation(operationId))
+                .to.emit(roleVesting, "OperationCancelled")
+                .withArgs(operationId);
+            await expect(roleVesting.cancelOperation(operationId))
+                .to.be.revertedWith("Operation not queued");
+
+            // Calling again queues it anew
+            await roleVesting.setCurrentTime(5000);
+            await roleVesting.connect(revoker).revoke(revokeId);
+            expect(await roleVesting.getOperationReadyAt(operationId)).to.be.equal(6000);
+            await roleVesting.setTimelockDelay(0);
+            expect(await roleVesting.getTimelockDelay()).to.be.equal(1000);
+            await roleVesting.setCurrentTime(6000);
+            await roleVesting.setTimelockDelay(0);
+            expect(await roleVesting.getTimelockDelay()).to.be.equal(0);
+            await roleVesting.connect(revoker).revoke(revokeId);
+            expect((await roleVesting.getSchedule(revokeId)).revoked).to.be.equal(true);
+        });
+
+        it("Transfers the admin role", async function () {
+            const admin = ethers.constants.HashZero;
+            await roleVesting.grantRole(admin, addr2.address);
+            await roleVesting.renounceRole(admin, owner.address);
+
+            await expect(roleVesting.setTimelockDelay(1)).to.be.reverted;
+            await expect(roleVesting.release(scheduleId))
+                .to.be.revertedWith("Only beneficiary, claimer and admin can release vested tokens");
+            await roleVesting.connect(addr2).grantRole(ethers.utils.id("CREATOR_ROLE"), owner.address);
+            expect(await roleVesting.hasRole(ethers.utils.id("CREATOR_ROLE"), owner.address)).to.be.equal(true);
+        });
+    });
+
+    describe("Pause and token recovery", function () {
+        let token;
+        let otherToken;
+        let feeToken;
+        let pausable;
+        let pauser;
+        let scheduleId;
+
+        before(async function () {
+            pauser = addrs[5];
+            const Token = await ethers.getContractFactory("TestToken");
+            token = await Token.deploy("Test Token", "TT", 10000);
+            await token.deployed();
+            otherToken = await Token.deploy("Other Token", "OT", 10000);
+            await otherToken.deployed();
+            const FeeToken = await ethers.getContractFactory("FeeOnTransferToken");
+            feeToken = await FeeToken.deploy(10000, 100);
+            await feeToken.deployed();
+
+            const Vesting = await getVestingFactory(hre, "MockVesting");
+            pausable = await Vesting.deploy(token.address);
+            await pausable.deployed();
+            await pausable.grantRole(ethers.utils.id("PAUSER_ROLE"), pauser.address);
+
+            await token.transfer(pausable.address, 10000);
+            await pausable.createVestingSchedule(addr1.address, 0, 0, 1000, 1, true, 1000);
+            scheduleId = await pausable.computeScheduleId(addr1.address, 0);
+            await pausable.setCurrentTime(100);
+        });
+
+        it("Only the pauser pauses and unpauses", async function () {
+            await expect(pausable.connect(addr1).pause())
+                .to.be.revertedWith(missingRole(addr1, "PAUSER_ROLE"));
+            await expect(pausable.connect(pauser).pause())
+                .to.emit(pausable, "Paused")
+                .withArgs(pauser.address);
+            expect(await pausable.paused()).to.be.equal(true);
+            await expect(pausable.connect(addr1).unpause())
+                .to.be.revertedWith(missingRole(addr1, "PAUSER_ROLE"));
+        });
+
+        it("Halts releases, creation and paid revocations while paused", async function () {
+            const params = [addr2.address, 0, 0, 1000, 1, true, 100];
+            const calls = [
+                () => pausable.connect(addr1).release(scheduleId),
+                () => pausable.connect(addr1).releaseAllMySchedules(),
+                () => pausable.connect(addr1).releaseTo(scheduleId, addr2.address, 10),
+                () => pausable.connect(addr1).releaseAllMySchedulesTo(token.address, addr2.address, 10),
+                () => pausable.createVestingSchedule(...params),
+                () => pausable.createVestingScheduleWithTge(params, 1000),
+                () => pausable.createCheckpointSchedule(addr2.address, true, [[0, 100]]),
+                () => pausable.createVestingSchedules([params]),
+                () => pausable.revoke(scheduleId),
+            ];
+            for (const call of calls) {
+                await expect(call()).to.be.revertedWith("Pausable: paused");
+            }
+
+            // Revoking without payout and withdrawing still work
+            await pausable.revokeAt(scheduleId, 500, false);
+            expect(await pausable.computeReleasableAmount(scheduleId)).to.be.equal(100);
+            await pausable.withdraw(100);
+            expect(await pausable.getWithdrawableAmount()).to.be.equal(9400);
+        });
+
+        it("Resumes releases once unpaused", async function () {
+            await expect(pausable.connect(pauser).unpause())
+                .to.emit(pausable, "Unpaused")
+                .withArgs(pauser.address);
+            await pausable.connect(addr1).release(scheduleId);
+            expect(await token.balanceOf(addr1.address)).to.be.equal(100);
+        });
+
+        it("Recovers other tokens, never the vesting token", async function () {
+            await otherToken.transfer(pausable.address, 1000);
+            await expect(pausable.connect(addr1).recoverERC20(otherToken.address, addr2.address, 1))
+                .to.be.revertedWith(missingRole(addr1, "TREASURY_ROLE"));
+            await expect(pausable.recoverERC20(token.address, addr2.address, 1))
+                .to.be.revertedWith("Cannot recover the vesting token");
+            await expect(pausable.recoverERC20(otherToken.address, ethers.constants.AddressZero, 1))
+                .to.be.revertedWith("Invalid recipient");
+
+            await expect(pausable.recoverERC20(otherToken.address, addr2.address, 1000))
+                .to.emit(pausable, "Recovered")
+                .withArgs(otherToken.address, addr2.address, 1000);
+            expect(await otherToken.balanceOf(addr2.address)).to.be.equal(1000);
+        });
+
+        it("Does not recover the funds committed in schedules of another token", async function () {
+            await otherToken.connect(addr2).transfer(pausable.address, 1000);
+            await pausable.createVestingScheduleForToken(otherToken.address, addr1.address, 0, 0, 1000, 1, true, 600);
+
+            await expect(pausable.recoverERC20(otherToken.address, addr2.address, 401))
+                .to.be.revertedWith("Not enough withdrawable funds");
+            await pausable.recoverERC20(otherToken.address, addr2.address, 400);
+            expect(await otherToken.balanceOf(pausable.address)).to.be.equal(600);
+        });
+
+        it("Withdrawable amount is zero when the balance drops below the committed amount", async function () {
+            // 1% of every transfer is burnt: 990 arrive
+            await feeToken.transfer(pausable.address, 1000);
+            expect(await feeToken.balanceOf(pausable.address)).to.be.equal(990);
+            await expect(pausable.createVestingScheduleForToken(feeToken.address, addr1.address, 0, 0, 1000, 1, true, 1000))
+                .to.be.revertedWith("Not enough funds");
+            await pausable.createVestingScheduleForToken(feeToken.address, addr1.address, 0, 0, 1000, 1, true, 990);
+            expect(await pausable.getWithdrawableAmountByToken(feeToken.address)).to.be.equal(0);
+
+            expect(await pausable.getShortfallByToken(feeToken.address)).to.be.equal(0);
+
+            await feeToken.rebase(pausable.address, 90);
+            expect(await pausable.getWithdrawableAmountByToken(feeToken.address)).to.be.equal(0);
+            expect(await pausable.getTotalVestingAmountByToken(feeToken.address)).to.be.equal(990);
+            expect(await pausable.getShortfallByToken(feeToken.address)).to.be.equal(90);
+            await expect(pausable.withdrawToken(feeToken.address, 1))
+                .to.be.revertedWith("Not enough withdrawable funds");
+
+            // The release beyond the balance fails and changes nothing
+            const feeScheduleId = await pausable.computeScheduleId(addr1.address, 2);
+            await pausable.setCurrentTime(1000);
+            await expect(pausable.connect(addr1).release(feeScheduleId))
+                .to.be.revertedWith("ERC20: transfer amount exceeds balance");
+            expect((await pausable.getSchedule(feeScheduleId)).released).to.be.equal(0);
+
+            // Topping up makes the committed amount whole again
+            await feeToken.transfer(pausable.address, 200);
+            expect(await pausable.getShortfallByToken(feeToken.address)).to.be.equal(0);
+            expect(await pausable.getWithdrawableAmountByToken(feeToken.address)).to.be.equal(108);
+            await pausable.connect(addr1).release(feeScheduleId);
+            expect(await pausable.getWithdrawableAmountByToken(feeToken.address)).to.be.equal(108);
+        });
+    });
+
+    describe("Bulk views", function () {
+        let token;
+        let otherToken;
+        let views;
+        let ids;
+
+        before(async function () {
+            const Token = await ethers.getContractFactory("TestToken");
+            token = await Token.deploy("Test Token", "TT", 10000);
+            await token.deployed();
+            otherToken = await Token.deploy("Other Token", "OT", 10000);
+            await otherToken.deployed();
+
+            const Vesting = await getVestingFactory(hre, "MockVesting");
+            views = await Vesting.deploy(token.address);
+            await views.deployed();
+
+            await token.transfer(views.address, 10000);
+            await otherToken.transfer(views.address, 10000);
+            await views.createVestingSchedules([
+                [addr1.address, 0, 0, 1000, 1, true, 1000],
+                [addr2.address, 0, 0, 1000, 1, true, 2000],
+                [addr1.address, 0, 500, 1000, 1, true, 3000],
+            ]);
+            await views.createVestingScheduleForToken(otherToken.address, addr1.address, 0, 0, 1000, 1, true, 500);
+            ids = [
+                await views.computeScheduleId(addr1.address, 0),
+                await views.computeScheduleId(addr2.address, 0),
+                await views.computeScheduleId(addr1.address, 1),
+                await views.computeScheduleId(addr1.address, 2),
+            ];
+            await views.setCurrentTime(600);
+        });
+
+        it("Pages through every schedule with its amounts", async function () {
+            const first = await views.getSchedules(0, 3);
+            expect(first.map((s) => s.scheduleId)).to.be.deep.equal(ids.slice(0, 3));
+            expect(first[1].schedule.beneficiary).to.be.equal(addr2.address);
+            expect(first[1].schedule.amountTotal).to.be.equal(2000);
+            expect(first.map((s) => s.vested.toNumber())).to.be.deep.equal([600, 1200, 1800]);
+            expect(first.map((s) => s.releasable.toNumber())).to.be.deep.equal([600, 1200, 1800]);
+
+            const last = await views.getSchedules(3, 3);
+            expect(last.length).to.be.equal(1);
+            expect(last[0].scheduleId).to.be.equal(ids[3]);
+            expect(last[0].schedule.token).to.be.equal(otherToken.address);
+
+            expect((await views.getSchedules(4, 3)).length).to.be.equal(0);
+            expect((await views.getSchedules(0, 0)).length).to.be.equal(0);
+        });
+
+        it("Pages through the schedules of a holder", async function () {
+            await views.connect(addr1).release(ids[0]);
+
+            const page = await views.getSchedulesForHolder(addr1.address, 1, 10);
+            expect(page.map((s) => s.scheduleId)).to.be.deep.equal([ids[2], ids[3]]);
+
+            const [first] = await views.getSchedulesForHolder(addr1.address, 0, 1);
+            expect(first.vested).to.be.equal(600);
+            expect(first.releasable).to.be.equal(0);
+            expect((await views.getSchedulesForHolder(addr2.address, 1, 1)).length).to.be.equal(0);
+        });
+
+        it("Computes the releasable amount of an explicit holder", async function () {
+            expect(await views.computeAmountForHolder(addr1.address)).to.be.equal(1800);
+            expect(await views.computeAmountForHolder(addr2.address)).to.be.equal(1200);
+            expect(await views.computeAmountForHolderByToken(addr1.address, otherToken.address)).to.be.equal(300);
+            expect(await views.computeAmountForHolder(addrs[0].address)).to.be.equal(0);
+        });
+
+        it("Summarizes the amounts of a holder", async function () {
+            // Revoked at 800: 200 more vest, the last 1200 are revoked
+            await views.revokeAt(ids[2], 800, false);
+
+            const summary = await views.getHolderSummary(addr1.address);
+            expect(summary.granted).to.be.equal(4000);
+            expect(summary.released).to.be.equal(600);
+            expect(summary.releasable).to.be.equal(1800);
+            expect(summary.locked).to.be.equal(400 + 600);
+            expect(summary.revoked).to.be.equal(600);
+
+            const other = await views.getHolderSummaryByToken(addr1.address, otherToken.address);
+            expect(other.granted).to.be.equal(500);
+            expect(other.releasable).to.be.equal(300);
+            expect(other.locked).to.be.equal(200);
+            expect(other.revoked).to.be.equal(0);
+        });
+    });
+
+    describe("Packed storage and ranged release", function () {
+        let token;
+        let packed;
+        let ids;
+
+        before(async function () {
+            const Token = await ethers.getContractFactory("TestToken");
+            token = await Token.deploy("Test Token", "TT", ethers.constants.MaxUint256);
+            await token.deployed();
+
+            const Vesting = await getVestingFactory(hre, "MockVesting");
+            packed = await Vesting.deploy(token.address);
+            await packed.deployed();
+
+            await token.transfer(packed.address, ethers.constants.MaxUint256);
+            await packed.createVestingSchedules(
+                [100, 200, 300, 400].map((amount) => [addr1.address, 0, 0, 1000, 1, true, amount])
+            );
+            ids = [];
+            for (let i = 0; i < 4; i++) {
+                ids.push(await packed.computeScheduleId(addr1.address, i));
+            }
+        });
+
+        it("Returns the schedules as created", async function () {
+            const uint40Max = ethers.BigNumber.from(2).pow(40).sub(1);
+            const uint128Max = ethers.BigNumber.from(2).pow(128).sub(1);
+            await packed.createVestingSchedule(addr2.address, uint40Max.sub(10), 10, uint40Max, uint40Max, true, uint128Max);
+
+            const schedule = await packed.getSchedule(await packed.computeScheduleId(addr2.address, 0));
+            expect(schedule.initialized).to.be.equal(true);
+            expect(schedule.start).to.be.equal(uint40Max.sub(10));
+            expect(schedule.cliff).to.be.equal(uint40Max);
+            expect(schedule.duration).to.be.equal(uint40Max);
+            expect(schedule.slicePeriodSeconds).to.be.equal(uint40Max);
+            expect(schedule.amountTotal).to.be.equal(uint128Max);
+            expect(schedule.revocable).to.be.equal(true);
+
+            await packed.setCurrentTime(uint40Max.sub(5));
+            expect(await packed.computeReleasableAmount(await packed.computeScheduleId(addr2.address, 0)))
+                .to.be.equal(0);
+            await packed.revoke(await packed.computeScheduleId(addr2.address, 0));
+            await packed.setCurrentTime(0);
+        });
+
+        it("Rejects times and amounts that do not fit", async function () {
+            const uint40Max = ethers.BigNumber.from(2).pow(40).sub(1);
+            await expect(packed.createVestingSchedule(addr2.address, uint40Max, 1, 1000, 1, true, 1))
+                .to.be.revertedWith("SafeCast: value doesn't fit in 40 bits");
+            await expect(packed.createVestingSchedule(addr2.address, 0, 0, uint40Max.add(1), 1, true, 1))
+                .to.be.revertedWith("SafeCast: value doesn't fit in 40 bits");
+            await expect(packed.createVestingSchedule(addr2.address, 0, 0, 1000, 1, true, ethers.BigNumber.from(2).pow(128)))
+                .to.be.revertedWith("SafeCast: value doesn't fit in 128 bits");
+        });
+
+        it("Releases a range of the caller's schedules", async function () {
+            await packed.setCurrentTime(500);
+            await expect(packed.connect(addr1).releaseAllMySchedulesInRange(1, 2))
+                .to.emit(packed, "Released").withArgs(ids[1], 100, addr1.address, addr1.address)
+                .and.to.emit(packed, "Released").withArgs(ids[2], 150, addr1.address, addr1.address);
+            expect(await token.balanceOf(addr1.address)).to.be.equal(250);
+
+            // The range is cut at the last schedule
+            await packed.connect(addr1).releaseAllMySchedulesInRange(3, 10);
+            expect(await token.balanceOf(addr1.address)).to.be.equal(450);
+
+            await expect(packed.connect(addr1).releaseAllMySchedulesInRange(4, 1))
+                .to.be.revertedWith("Index out of bounds");
+            await expect(packed.connect(addr1).releaseAllMySchedulesInRange(1, 3))
+                .to.be.revertedWith("No releasable amount");
+            await expect(packed.connect(addr2).releaseAllMySchedulesInRange(0, 1))
+                .to.be.revertedWith("No releasable amount");
+            await expect(packed.connect(addrs[0]).releaseAllMySchedulesInRange(0, 1))
+                .to.be.revertedWith("No schedules found");
+        });
+
+        it("Skips completed schedules", async function () {
+            await packed.setCurrentTime(1000);
+            await packed.connect(addr1).release(ids[0]);
+            await packed.revokeAt(ids[1], 600, false);
+            await packed.connect(addr1).release(ids[1]);
+
+            // Only the last two schedules are left
+            await expect(packed.connect(addr1).releaseAllMySchedules())
+                .to.emit(packed, "Released").withArgs(ids[2], 150, addr1.address, addr1.address)
+                .and.to.emit(packed, "Released").withArgs(ids[3], 200, addr1.address, addr1.address);
+            expect(await packed.computeAmountForAllMySchedules()).to.be.equal(0);
+            const summary = await packed.getHolderSummary(addr1.address);
+            expect(summary.granted).to.be.equal(1000);
+            expect(summary.released).to.be.equal(920);
+            expect(summary.revoked).to.be.equal(80);
+            await expect(packed.connect(addr1).releaseAllMySchedules())
+                .to.be.revertedWith("No releasable amount");
+        });
+    });
+
+    describe("Signed releases", function () {
+        let token;
+        let signed;
+        let scheduleId;
+
+        // Signs a Release of `id` with the current nonce of addr1
+        async function signRelease(signer, id, deadline) {
+            const domain = {
+                name: "Vesting",
+                version: "1",
+                chainId: (await ethers.provider.getNetwork()).chainId,
+                verifyingContract: signed.address,
+            };
+            const types = {
+                Release: [
+                    { name: "scheduleId", type: "bytes32" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "deadline", type: "uint256" },
+                ],
+            };
+            const nonce = await signed.getNonce(addr1.address);
+            return signer._signTypedData(domain, types, { scheduleId: id, nonce, deadline });
+        }
+
+        before(async function () {
+            const Token = await ethers.getContractFactory("TestToken");
+            token = await Token.deploy("Test Token", "TT", 1000);
+            await token.deployed();
+
+            const Vesting = await getVestingFactory(hre, "MockVesting");
+            signed = await Vesting.deploy(token.address);
+            await signed.deployed();
+
+            await token.transfer(signed.address, 1000);
+            await signed.createVestingSchedule(addr1.address, 0, 0, 1000, 1, true, 1000);
+            scheduleId = await signed.computeScheduleId(addr1.address, 0);
+        });
+
+        it("A relayer submits a release signed by the beneficiary", async function () {
+            await signed.setCurrentTime(100);
+            const signature = await signRelease(addr1, scheduleId, 200);
+            expect(await signed.getNonce(addr1.address)).to.be.equal(0);
+
+            await expect(signed.connect(addr2).releaseWithSig(scheduleId, 200, signature))
+                .to.emit(signed, "Released").withArgs(scheduleId, 100, addr1.address, addr1.address);
+            expect(await token.balanceOf(addr1.address)).to.be.equal(100);
+            expect(await token.balanceOf(addr2.address)).to.be.equal(0);
+            expect(await signed.getNonce(addr1.address)).to.be.equal(1);
+        });
+
+        it("A signature cannot be replayed", async function () {
+            await signed.setCurrentTime(150);
+            const signature = await signRelease(addr1, scheduleId, 200);
+            await signed.connect(addr2).releaseWithSig(scheduleId, 200, signature);
+            expect(await token.balanceOf(addr1.address)).to.be.equal(150);
+
+            // The nonce has moved on: the same signature recovers another signer
+            await signed.setCurrentTime(200);
+            await expect(signed.connect(addr2).releaseWithSig(scheduleId, 200, signature))
+                .to.be.revertedWith("Invalid signature");
+        });
+
+        it("A signature expires after its deadline", async function () {
+            const signature = await signRelease(addr1, scheduleId, 199);
+            await expect(signed.connect(addr2).releaseWithSig(scheduleId, 199, signature))
+                .to.be.revertedWith("Signature expired");
+            // The deadline is part of the signed data
+            await expect(signed.connect(addr2).releaseWithSig(scheduleId, 300, signature))
+                .to.be.revertedWith("Invalid signature");
+        });
+
+        it("Follows the authorization rules of release", async function () {
+            const others = await signRelease(addr2, scheduleId, 300);
+            await expect(signed.connect(addr2).releaseWithSig(scheduleId, 300, others))
+                .to.be.revertedWith("Invalid signature");
+            await expect(signed.releaseWithSig(scheduleId, 300, "0x1234"))
+                .to.be.revertedWith("ECDSA: invalid signature length");
+
+            // The claimer of the beneficiary and the admin can sign
+            await signed.connect(addr1).setClaimer(addr2.address);
+            await signed.connect(addrs[0]).releaseWithSig(scheduleId, 300, await signRelease(addr2, scheduleId, 300));
+            expect(await token.balanceOf(addr1.address)).to.be.equal(200);
+            await signed.setCurrentTime(250);
+            await signed.connect(addrs[0]).releaseWithSig(scheduleId, 300, await signRelease(owner, scheduleId, 300));
+            expect(await token.balanceOf(addr1.address)).to.be.equal(250);
+            expect(await signed.getNonce(addr1.address)).to.be.equal(4);
+
+            // Nothing left to release, or not releasable at all
+            await expect(signed.releaseWithSig(scheduleId, 300, await signRelease(addr1, scheduleId, 300)))
+                .to.be.revertedWith("No amount to release");
+            await signed.pause();
+            await expect(signed.releaseWithSig(scheduleId, 300, await signRelease(addr1, scheduleId, 300)))
+                .to.be.revertedWith("Pausable: paused");
+            await signed.unpause();
+            await expect(signed.releaseWithSig(ethers.constants.HashZero, 300, "0x"))
+                .to.be.revertedWith("Schedule not initialized");
+        });
+
+        it("Signatures are bound to one contract", async function () {
+            const Vesting = await getVestingFactory(hre, "MockVesting");
+            const other = await Vesting.deploy(token.address);
+            await other.deployed();
+            expect(await other.DOMAIN_SEPARATOR()).to.not.be.equal(await signed.DOMAIN_SEPARATOR());
+            expect(await signed.DOMAIN_SEPARATOR()).to.be.equal(
+                ethers.utils._TypedDataEncoder.hashDomain({
+                    name: "Vesting",
+                    version: "1",
+                    chainId: (await ethers.provider.getNetwork()).chainId,
+                    verifyingContract: signed.address,
+                })
+            );
+        });
+    });
+
+    describe("Merkle distributions", function () {
+        let token;
+        let merkle;
+        let tree;
+
+        before(async function () {
+            const Token = await ethers.getContractFactory("TestToken");
+            token = await Token.deploy("Test Token", "TT", 10000);
+            await token.deployed();
+
+            const Vesting = await getVestingFactory(hre, "MockVesting");
+            merkle = await Vesting.deploy(token.address);
+            await merkle.deployed();
+            await token.transfer(merkle.address, 5000);
+
+            tree = buildMerkleTree([
+                { beneficiary: addr1.address, amount: 1000, start: 0, cliff: 0, duration: 1000, slicePeriodSeconds: 1 },
+                { beneficiary: addr2.address, amount: 500, start: 0, cliff: 600, duration: 1000, slicePeriodSeconds: 1 },
+                { beneficiary: addrs[0].address, amount: 300, start: 0, cliff: 0, duration: 1000, slicePeriodSeconds: 100 },
+                { beneficiary: addrs[1].address, amount: 200, start: 0, cliff: 0, duration: 1000, slicePeriodSeconds: 1 },
+            ]);
+        });
+
+        // Arguments of claimMerkleSchedule for the allocation of `signer`
+        function claimArgs(signer) {
+            const c = tree.claims[signer.address];
+            return [[c.beneficiary, c.amount, c.start, c.cliff, c.duration, c.slicePeriodSeconds], c.proof];
+        }
+
+        it("Reserves the total of the distribution", async function () {
+            await expect(merkle.connect(addr1).createMerkleDistribution(tree.root, tree.total, false, 0))
+                .to.be.revertedWith(missingRole(addr1, "CREATOR_ROLE"));
+            await expect(merkle.createMerkleDistribution(tree.root, 5001, false, 0))
+                .to.be.revertedWith("Not enough funds");
+            await expect(merkle.createMerkleDistribution(tree.root, 0, false, 0))
+                .to.be.revertedWith("Amount cannot be zero");
+
+            await expect(merkle.createMerkleDistribution(tree.root, tree.total, false, 0))
+                .to.emit(merkle, "MerkleDistributionCreated").withArgs(0, tree.root, 2000, false, 0);
+            expect(await merkle.getMerkleDistributionCount()).to.be.equal(1);
+            const distribution = await merkle.getMerkleDistribution(0);
+            expect(distribution.root).to.be.equal(tree.root);
+            expect(distribution.remaining).to.be.equal(2000);
+            expect(await merkle.getTotalVestingAmount()).to.be.equal(2000);
+            expect(await merkle.getWithdrawableAmount()).to.be.equal(3000);
+            expect(await merkle.getScheduleCount()).to.be.equal(0);
+            await expect(merkle.getMerkleDistribution(1)).to.be.revertedWith("Index out of bounds");
+        });
+
+        it("Creates the schedule on the first claim and releases the vested amount", async function () {
+            await merkle.setCurrentTime(500);
+            const scheduleId = await merkle.computeScheduleId(addr1.address, 0);
+            await expect(merkle.connect(addr1).claimMerkleSchedule(0, ...claimArgs(addr1)))
+                .to.emit(merkle, "ScheduleCreated")
+                .withArgs(scheduleId, addr1.address, token.address, 0, 0, 1000, 1, false, 1000, 0)
+                .and.to.emit(merkle, "MerkleScheduleClaimed").withArgs(0, scheduleId)
+                .and.to.emit(merkle, "Released").withArgs(scheduleId, 500, addr1.address, addr1.address);
+            expect(await token.balanceOf(addr1.address)).to.be.equal(500);
+
+            // Before the cliff the schedule is only created
+            await merkle.connect(addr2).claimMerkleSchedule(0, ...claimArgs(addr2));
+            expect(await token.balanceOf(addr2.address)).to.be.equal(0);
+            expect(await merkle.getScheduleCountHolder(addr2.address)).to.be.equal(1);
+
+            // The reserve moved to the schedules: the committed total is unchanged
+            expect((await merkle.getMerkleDistribution(0)).remaining).to.be.equal(500);
+            expect(await merkle.getTotalVestingAmount()).to.be.equal(1500);
+            expect(await merkle.getWithdrawableAmount()).to.be.equal(3000);
+
+            await merkle.setCurrentTime(1000);
+            await merkle.connect(addr1).release(scheduleId);
+            expect(await token.balanceOf(addr1.address)).to.be.equal(1000);
+        });
+
+        it("Claims only once, with a valid proof, by who can release", async function () {
+            await expect(merkle.connect(addr1).claimMerkleSchedule(0, ...claimArgs(addr1)))
+                .to.be.revertedWith("Already claimed");
+            const leaf = tree.claims[addr1.address].leaf;
+            expect(await merkle.isMerkleClaimed(0, leaf)).to.be.equal(true);
+            expect(await merkle.isMerkleClaimed(0, tree.claims[addrs[0].address].leaf)).to.be.equal(false);
+
+            // Another amount, or the proof of another allocation
+            const [allocation, proof] = claimArgs(addrs[0]);
+            await expect(merkle.connect(addrs[0]).claimMerkleSchedule(0, [...allocation.slice(0, 1), 3000, ...allocation.slice(2)], proof))
+                .to.be.revertedWith("Invalid proof");
+            await expect(merkle.connect(addrs[0]).claimMerkleSchedule(0, allocation, claimArgs(addrs[1])[1]))
+                .to.be.revertedWith("Invalid proof");
+            await expect(merkle.connect(addrs[1]).claimMerkleSchedule(0, allocation, proof))
+                .to.be.revertedWith("Only beneficiary, claimer and admin can release vested tokens");
+            await expect(merkle.connect(addrs[0]).claimMerkleSchedule(1, allocation, proof))
+                .to.be.revertedWith("Index out of bounds");
+
+            // The admin and the claimer of the beneficiary can claim for it
+            await merkle.claimMerkleSchedule(0, allocation, proof);
+            expect(await token.balanceOf(addrs[0].address)).to.be.equal(300);
+            await merkle.connect(addrs[1]).setClaimer(addr2.address);
+            await merkle.connect(addr2).claimMerkleSchedule(0, ...claimArgs(addrs[1]));
+            expect(await token.balanceOf(addrs[1].address)).to.be.equal(200);
+
+            expect((await merkle.getMerkleDistribution(0)).remaining).to.be.equal(0);
+            expect(await merkle.getTotalVestingAmount()).to.be.equal(500);
+        });
+
+        it("Claims cannot exceed the reserved total", async function () {
+            await merkle.createMerkleDistribution(tree.root, 900, false, 0);
+            await merkle.connect(addr2).claimMerkleSchedule(1, ...claimArgs(addr2));
+            await merkle.connect(addrs[0]).claimMerkleSchedule(1, ...claimArgs(addrs[0]));
+            await expect(merkle.connect(addr1).claimMerkleSchedule(1, ...claimArgs(addr1)))
+                .to.be.revertedWith("Not enough funds");
+            expect((await merkle.getMerkleDistribution(1)).remaining).to.be.equal(100);
+            await expect(merkle.closeMerkleDistribution(1))
+                .to.be.revertedWith("Vesting is not revocable");
+        });
+
+        it("Closes a revocable distribution", async function () {
+            await expect(merkle.createMerkleDistribution(tree.root, tree.total, true, 0))
+                .to.emit(merkle, "MerkleDistributionCreated").withArgs(2, tree.root, 2000, true, 0);
+            const withdrawable = await merkle.getWithdrawableAmount();
+            await merkle.setCurrentTime(500);
+            await merkle.connect(addr2).claimMerkleSchedule(2, ...claimArgs(addr2));
+            const scheduleId = await merkle.getScheduleIdAtHolder(addr2.address, 2);
+            expect((await merkle.getSchedule(scheduleId)).revocable).to.be.equal(true);
+
+            await expect(merkle.connect(addr1).closeMerkleDistribution(2))
+                .to.be.revertedWith(missingRole(addr1, "REVOKER_ROLE"));
+            await expect(merkle.closeMerkleDistribution(2))
+                .to.emit(merkle, "MerkleDistributionClosed").withArgs(2, 1500);
+            expect(await merkle.getWithdrawableAmount()).to.be.equal(withdrawable.add(1500));
+            await expect(merkle.connect(addr1).claimMerkleSchedule(2, ...claimArgs(addr1)))
+                .to.be.revertedWith("Invalid proof");
+
+            // The claimed schedule can still be revoked
+            await expect(merkle.revoke(scheduleId))
+                .to.emit(merkle, "Revoked").withArgs(scheduleId, 500, addr2.address, 500);
+            expect(await merkle.getWithdrawableAmount()).to.be.equal(withdrawable.add(2000));
+        });
+
+        it("Closes a distribution after its claim deadline", async function () {
+            await merkle.setCurrentTime(1000);
+            await expect(merkle.createMerkleDistribution(tree.root, 600, false, 2000))
+                .to.emit(merkle, "MerkleDistributionCreated").withArgs(3, tree.root, 600, false, 2000);
+            const withdrawable = await merkle.getWithdrawableAmount();
+            expect((await merkle.getMerkleDistribution(3)).claimDeadline).to.be.equal(2000);
+
+            await merkle.setCurrentTime(2000);
+            await merkle.connect(addr2).claimMerkleSchedule(3, ...claimArgs(addr2));
+            await expect(merkle.closeMerkleDistribution(3))
+                .to.be.revertedWith("Claim deadline not reached");
+
+            await merkle.setCurrentTime(2001);
+            await expect(merkle.connect(addrs[0]).claimMerkleSchedule(3, ...claimArgs(addrs[0])))
+                .to.be.revertedWith("Claim deadline passed");
+            await expect(merkle.closeMerkleDistribution(3))
+                .to.emit(merkle, "MerkleDistributionClosed").withArgs(3, 100);
+            expect(await merkle.getWithdrawableAmount()).to.be.equal(withdrawable.add(100));
+        });
+    });
+
+    describe("Schedule amendments", function () {
+        let token;
+        let amended;
+
+        before(async function () {
+            const Token = await ethers.getContractFactory("TestToken");
+            token = await Token.deploy("Test Token", "TT", 10000);
+            await token.deployed();
+
+            const Vesting = await getVestingFactory(hre, "MockVesting");
+            amended = await Vesting.deploy(token.address);
+            await amended.deployed();
+            await token.transfer(amended.address, 5000);
+        });
+
+        it("Adds tokens and makes a schedule non-revocable right away", async function () {
+            await amended.setCurrentTime(0);
+            await amended.createVestingSchedule(addr1.address, 0, 0, 1000, 1, true, 1000);
+            const id = await amended.computeScheduleId(addr1.address, 0);
+            await amended.setCurrentTime(400);
+            await amended.connect(addr1).release(id);
+
+            await expect(amended.connect(addr1).amendSchedule(id, [500, 1000, false]))
+                .to.be.revertedWith(missingRole(addr1, "CREATOR_ROLE"));
+            await expect(amended.amendSchedule(id, [500, 999, false]))
+                .to.be.revertedWith("Duration cannot be shorter");
+            await expect(amended.amendSchedule(id, [4001, 1000, false]))
+                .to.be.revertedWith("Not enough funds");
+
+            await expect(amended.amendSchedule(id, [500, 1000, false]))
+                .to.emit(amended, "ScheduleAmended").withArgs(id, 1500, 1000, true);
+            expect(await amended.computeReleasableAmount(id)).to.be.equal(200);
+            expect(await amended.getTotalVestingAmount()).to.be.equal(1100);
+            expect(await amended.getWithdrawableAmount()).to.be.equal(3500);
+
+            await expect(amended.amendSchedule(id, [0, 1000, true]))
+                .to.emit(amended, "ScheduleAmended").withArgs(id, 1500, 1000, false);
+            await expect(amended.revoke(id)).to.be.revertedWith("Vesting is not revocable");
+
+            await amended.setCurrentTime(1000);
+            await amended.connect(addr1).release(id);
+            expect(await token.balanceOf(addr1.address)).to.be.equal(1500);
+            expect(await amended.getTotalVestingAmount()).to.be.equal(0);
+        });
+
+        it("A longer duration waits for the beneficiary", async function () {
+            await amended.setCurrentTime(0);
+            await amended.createVestingSchedule(addr2.address, 0, 0, 1000, 1, false, 1000);
+            const id = await amended.computeScheduleId(addr2.address, 0);
+            await amended.setCurrentTime(500);
+            await amended.connect(addr2).release(id);
+
+            await expect(amended.amendSchedule(id, [0, 2000, false]))
+                .to.emit(amended, "AmendmentProposed").withArgs(id, 2000)
+                .and.not.to.emit(amended, "ScheduleAmended");
+            expect((await amended.getSchedule(id)).duration).to.be.equal(1000);
+            expect(await amended.getPendingDuration(id)).to.be.equal(2000);
+
+            for (const signer of [owner, addr1]) {
+                await expect(amended.connect(signer).acceptAmendment(id))
+                    .to.be.revertedWith("Only beneficiary can accept");
+            }
+            await expect(amended.connect(addr2).acceptAmendment(id))
+                .to.emit(amended, "ScheduleAmended").withArgs(id, 1000, 2000, false);
+            await expect(amended.connect(addr2).acceptAmendment(id))
+                .to.be.revertedWith("No amendment proposed");
+
+            // Vested 250 of the 500 released: nothing to release, never negative
+            expect(await amended.computeReleasableAmount(id)).to.be.equal(0);
+            await expect(amended.connect(addr2).release(id)).to.be.revertedWith("No amount to release");
+            await amended.setCurrentTime(1200);
+            expect(await amended.computeReleasableAmount(id)).to.be.equal(100);
+
+            // Adding tokens keeps the pending duration, a new one replaces it
+            await amended.amendSchedule(id, [0, 3000, false]);
+            await expect(amended.amendSchedule(id, [100, 2000, false]))
+                .to.emit(amended, "ScheduleAmended").withArgs(id, 1100, 2000, false)
+                .and.not.to.emit(amended, "AmendmentProposed");
+            expect(await amended.getPendingDuration(id)).to.be.equal(3000);
+            expect((await amended.getSchedule(id)).amountTotal).to.be.equal(1100);
+            await amended.amendSchedule(id, [0, 2500, false]);
+            expect(await amended.getPendingDuration(id)).to.be.equal(2500);
+        });
+
+        it("Rejects an amendment that changes nothing", async function () {
+            await amended.setCurrentTime(0);
+            await amended.createVestingSchedule(addrs[3].address, 0, 0, 1000, 1, false, 100);
+            const id = await amended.computeScheduleId(addrs[3].address, 0);
+            await expect(amended.amendSchedule(id, [0, 1000, false]))
+                .to.be.revertedWith("Empty amendment");
+            // Already non-revocable
+            await expect(amended.amendSchedule(id, [0, 1000, true]))
+                .to.be.revertedWith("Empty amendment");
+        });
+
+        it("Adds tokens right away when the longer duration waits", async function () {
+            await amended.setCurrentTime(0);
+            await amended.createVestingSchedule(addrs[2].address, 0, 0, 1000, 1, true, 1000);
+            const id = await amended.computeScheduleId(addrs[2].address, 0);
+            await amended.setCurrentTime(500);
+
+            const withdrawable = await amended.getWithdrawableAmount();
+            await expect(amended.amendSchedule(id, [withdrawable.add(1), 2000, true]))
+                .to.be.revertedWith("Not enough funds");
+            await expect(amended.amendSchedule(id, [1000, 2000, true]))
+                .to.emit(amended, "AmendmentProposed").withArgs(id, 2000)
+                .and.to.emit(amended, "ScheduleAmended").withArgs(id, 2000, 1000, false);
+            expect(await amended.getWithdrawableAmount()).to.be.equal(withdrawable.sub(1000));
+            expect(await amended.computeReleasableAmount(id)).to.be.equal(1000);
+            expect(await amended.getPendingDuration(id)).to.be.equal(2000);
+
+            await expect(amended.connect(addrs[2]).acceptAmendment(id))
+                .to.emit(amended, "ScheduleAmended").withArgs(id, 2000, 2000, false);
+            expect(await amended.computeReleasableAmount(id)).to.be.equal(500);
+        });
+
+        it("Cannot amend revoked schedules or the amounts of checkpoint schedules", async function () {
+            await amended.setCurrentTime(0);
+            await amended.createCheckpointSchedule(addrs[0].address, true, [[100, 50], [300, 200]]);
+            const id = await amended.computeScheduleId(addrs[0].address, 0);
+            await expect(amended.amendSchedule(id, [10, 200, false]))
+                .to.be.revertedWith("Cannot amend checkpoints");
+            await expect(amended.amendSchedule(id, [0, 300, false]))
+                .to.be.revertedWith("Cannot amend checkpoints");
+            expect(await amended.getPendingDuration(id)).to.be.equal(0);
+            await expect(amended.amendSchedule(id, [0, 200, true]))
+                .to.emit(amended, "ScheduleAmended").withArgs(id, 200, 200, false);
+
+            await amended.createVestingSchedule(addrs[1].address, 0, 0, 1000, 1, true, 100);
+            const revoked = await amended.computeScheduleId(addrs[1].address, 0);
+            await amended.amendSchedule(revoked, [0, 2000, false]);
+            await amended.revoke(revoked);
+            await expect(amended.amendSchedule(revoked, [10, 1000, false]))
+                .to.be.revertedWith("Schedule has been revoked");
+            await expect(amended.connect(addrs[1]).acceptAmendment(revoked))
+                .to.be.revertedWith("Schedule has been revoked");
+            await expect(amended.amendSchedule(ethers.constants.HashZero, [0, 0, false]))
+                .to.be.revertedWith("Schedule not initialized");
+        });
+    });
+});
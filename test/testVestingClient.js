@@ -0,0 +1,362 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { expect } = require("chai");
+const {
+    VestingClient,
+    ScheduleRevokedError,
+    InsufficientFundsError,
+    NotRevocableError,
+    NothingToReleaseError,
+    UnauthorizedError,
+    TimelockError,
+    PausedError,
+    SignatureError,
+} = require("../sdk");
+const { getVestingFactory } = require("../tasks/libraries");
+
+describe("VestingClient Test", function () {
+    let testToken;
+    let vesting;
+    let client;
+    let owner;
+    let addr1;
+    let addr2;
+
+    const oneDay = 60 * 60 * 24;
+    const dMarch1st = new Date(2022, 2, 1, 0, 0, 0, 0);
+
+    async function expectError(promise, ErrorClass) {
+        try {
+            await promise;
+        } catch (err) {
+            expect(err).to.be.instanceOf(ErrorClass);
+            return;
+        }
+        expect.fail("Expected " + ErrorClass.name);
+    }
+
+    before(async function () {
+        [owner, addr1, addr2] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("TestToken");
+        testToken = await Token.deploy("Test Token", "TT", 1000000);
+        await testToken.deployed();
+
+        const Vesting = await getVestingFactory(hre, "MockVesting");
+        vesting = await Vesting.deploy(testToken.address);
+        await vesting.deployed();
+
+        await testToken.transfer(vesting.address, 1000);
+
+        client = new VestingClient(vesting.address, owner);
+    });
+
+    it("createSchedule returns the new scheduleId", async function () {
+        const { scheduleId } = await client.createSchedule({
+            beneficiary: addr1.address,
+            start: dMarch1st,
+            cliff: oneDay * 60,
+            duration: oneDay * 360,
+            slicePeriodSeconds: oneDay * 30,
+            amount: 120,
+        });
+        expect(scheduleId).to.be.equal(await vesting.computeScheduleId(addr1.address, 0));
+
+        await client.createSchedule({
+            beneficiary: addr1.address,
+            start: dMarch1st.getTime() / 1000,
+            duration: oneDay * 100,
+            slicePeriodSeconds: oneDay,
+            revocable: true,
+            amount: 100,
+        });
+    });
+
+    it("createSchedule throws InsufficientFundsError", async function () {
+        await expectError(
+            client.createSchedule({
+                beneficiary: addr1.address,
+                start: dMarch1st,
+                duration: 100,
+                slicePeriodSeconds: 1,
+                amount: 781,
+            }),
+            InsufficientFundsError
+        );
+    });
+
+    it("listSchedules returns plain objects with Date and BigNumber fields", async function () {
+        await vesting.setCurrentTime(dMarch1st.getTime() / 1000 + oneDay * 90);
+
+        const schedules = await client.listSchedules(addr1.address);
+        expect(schedules.length).to.be.equal(2);
+
+        const [first, second] = schedules;
+        expect(first.index).to.be.equal(0);
+        expect(first.beneficiary).to.be.equal(addr1.address);
+        expect(first.start).to.be.instanceOf(Date);
+        expect(first.start.getTime()).to.be.equal(dMarch1st.getTime());
+        expect(first.cliff.getTime()).to.be.equal(dMarch1st.getTime() + oneDay * 60 * 1000);
+        expect(first.duration).to.be.equal(oneDay * 360);
+        expect(first.amountTotal).to.be.equal(120);
+        expect(first.releasable).to.be.equal(30);
+        expect(second.revocable).to.be.equal(true);
+        expect(second.releasable).to.be.equal(90);
+
+        expect(await client.listSchedules(addr2.address)).to.be.deep.equal([]);
+    });
+
+    it("getReleasable sums all schedules of the holder", async function () {
+        const { total, schedules } = await client.getReleasable(addr1.address);
+        expect(total).to.be.equal(120);
+        expect(schedules.map((s) => s.releasable.toNumber())).to.be.deep.equal([30, 90]);
+    });
+
+    it("release and releaseAll transfer the releasable amount", async function () {
+        const beneficiary = client.connect(addr1);
+        const [first] = await beneficiary.listSchedules(addr1.address);
+
+        await beneficiary.release(first.scheduleId);
+        expect(await testToken.balanceOf(addr1.address)).to.be.equal(30);
+
+        await expectError(beneficiary.release(first.scheduleId), NothingToReleaseError);
+
+        await beneficiary.releaseAll();
+        expect(await testToken.balanceOf(addr1.address)).to.be.equal(120);
+    });
+
+    it("Only admin and beneficiary can release", async function () {
+        const [first] = await client.listSchedules(addr1.address);
+        await expectError(client.connect(addr2).release(first.scheduleId), UnauthorizedError);
+    });
+
+    it("releaseTo maps over-release and redirects by the admin to typed errors", async function () {
+        const [first] = await client.listSchedules(addr1.address);
+        await expectError(
+            client.connect(addr1).releaseTo(first.scheduleId, addr2.address, 1),
+            NothingToReleaseError
+        );
+        await expectError(client.releaseTo(first.scheduleId, owner.address, 1), UnauthorizedError);
+    });
+
+    it("revoke maps the contract reverts to typed errors", async function () {
+        const [first, second] = await client.listSchedules(addr1.address);
+
+        await expectError(client.connect(addr1).revoke(second.scheduleId), UnauthorizedError);
+        await expectError(client.revoke(first.scheduleId), NotRevocableError);
+
+        await client.revoke(second.scheduleId);
+        await expectError(client.revoke(second.scheduleId), ScheduleRevokedError);
+
+        const schedules = await client.listSchedules(addr1.address);
+        expect(schedules[1].revoked).to.be.equal(true);
+        expect(schedules[1].releasable).to.be.equal(0);
+    });
+
+    it("revokeAllForHolder leaves the vested amount until the effective time releasable", async function () {
+        const now = dMarch1st.getTime() / 1000 + oneDay * 90;
+        const { scheduleId } = await client.createSchedule({
+            beneficiary: addr2.address,
+            start: now,
+            duration: 100,
+            slicePeriodSeconds: 1,
+            revocable: true,
+            amount: 100,
+        });
+        await client.revokeAllForHolder(addr2.address, { effectiveTime: now + 40, payVested: false });
+
+        await vesting.setCurrentTime(now + 60);
+        const schedule = await client.getScheduleById(scheduleId);
+        expect(schedule.revoked).to.be.equal(true);
+        expect(schedule.revokedAt.getTime()).to.be.equal((now + 40) * 1000);
+        expect(schedule.releasable).to.be.equal(40);
+        await expectError(client.revokeAllForHolder(addr2.address), NotRevocableError);
+
+        await client.connect(addr2).release(scheduleId);
+        expect(await testToken.balanceOf(addr2.address)).to.be.equal(40);
+        await vesting.setCurrentTime(now);
+    });
+
+    it("Maps missing roles and the timelock to typed errors", async function () {
+        await expectError(client.connect(addr1).withdraw(1), UnauthorizedError);
+
+        await client.grantRole("TREASURY_ROLE", addr1.address);
+        await client.setTimelockDelay(100);
+        const treasury = client.connect(addr1);
+
+        const queued = treasury.getQueuedOperation(await treasury.withdraw(1));
+        const now = (await vesting.getCurrentMockedTime()).toNumber();
+        expect(queued.readyAt.getTime()).to.be.equal((now + 100) * 1000);
+        await expectError(treasury.withdraw(1), TimelockError);
+
+        await client.cancelOperation(queued.operationId);
+        await expectError(client.cancelOperation(queued.operationId), TimelockError);
+        // Disabling the timelock waits for it too
+        expect(client.getQueuedOperation(await client.setTimelockDelay(0))).to.not.be.equal(null);
+        await vesting.setCurrentTime(now + 100);
+        await client.setTimelockDelay(0);
+        await vesting.setCurrentTime(now);
+        expect(treasury.getQueuedOperation(await treasury.withdraw(1))).to.be.equal(null);
+        await client.revokeRole("TREASURY_ROLE", addr1.address);
+    });
+
+    it("Reads schedules by page and summarizes a holder", async function () {
+        const schedules = await client.listSchedules(addr1.address);
+        const page = await client.getSchedulePage({ holder: addr1.address, offset: 1, limit: 2 });
+        expect(schedules.length).to.be.equal(2);
+        expect(page.length).to.be.equal(1);
+        for (const [i, schedule] of page.entries()) {
+            const expected = await client.getSchedule(addr1.address, i + 1);
+            expect(schedule.scheduleId).to.be.equal(expected.scheduleId);
+            expect(schedule.index).to.be.equal(i + 1);
+            expect(schedule.releasable).to.be.equal(expected.releasable);
+            expect(schedule.start.getTime()).to.be.equal(expected.start.getTime());
+        }
+        expect(await client.listSchedules(addr1.address, { pageSize: 1 }))
+            .to.be.deep.equal(schedules);
+        for (const pageSize of [0, -1, 1.5]) {
+            try {
+                await client.listAllSchedules({ pageSize });
+                expect.fail("Expected an invalid page size");
+            } catch (err) {
+                expect(err.message).to.be.equal(`Invalid page size ${pageSize}`);
+            }
+        }
+
+        const all = await client.getSchedulePage();
+        expect(all.length).to.be.equal((await vesting.getScheduleCount()).toNumber());
+        expect(all[0].index).to.be.equal(undefined);
+
+        const summary = await client.getHolderSummary(addr1.address);
+        const sum = (key) => schedules.reduce((total, s) => total.add(s[key]), ethers.constants.Zero);
+        expect(summary.granted).to.be.equal(sum("amountTotal"));
+        expect(summary.released).to.be.equal(sum("released"));
+        expect(summary.releasable).to.be.equal(sum("releasable"));
+        expect(summary.granted).to.be.equal(
+            summary.released.add(summary.releasable).add(summary.locked).add(summary.revoked)
+        );
+    });
+
+    it("Pauses releases and recovers tokens sent by mistake", async function () {
+        await client.pause();
+        expect(await client.isPaused()).to.be.equal(true);
+        await expectError(client.connect(addr1).releaseAll(), PausedError);
+        await expectError(client.pause(), PausedError);
+        await client.unpause();
+        expect(await client.isPaused()).to.be.equal(false);
+
+        const Token = await ethers.getContractFactory("TestToken");
+        const lostToken = await Token.deploy("Lost Token", "LT", 100);
+        await lostToken.transfer(vesting.address, 100);
+        await client.recoverERC20(lostToken.address, addr2.address, 100);
+        expect(await lostToken.balanceOf(addr2.address)).to.be.equal(100);
+    });
+
+    it("Signs releases for a relayer to submit", async function () {
+        const { scheduleId } = await client.createSchedule({
+            beneficiary: addr2.address,
+            start: 0,
+            duration: 1,
+            slicePeriodSeconds: 1,
+            amount: 50,
+        });
+        const deadline = new Date(dMarch1st.getTime() + oneDay * 91 * 1000);
+        const relayer = client.connect(addr1);
+
+        const signed = await client.connect(addr2).signRelease(scheduleId, { deadline });
+        await relayer.releaseWithSig(signed);
+        expect(await testToken.balanceOf(addr2.address)).to.be.equal(90);
+        await expectError(relayer.releaseWithSig(signed), SignatureError);
+
+        const expired = await client.connect(addr2).signRelease(scheduleId, { deadline: dMarch1st });
+        await expectError(relayer.releaseWithSig(expired), SignatureError);
+        const byOther = await relayer.signRelease(scheduleId, { deadline });
+        await expectError(relayer.releaseWithSig(byOther), SignatureError);
+    });
+
+    it("Schedules, balances and withdrawals of another token", async function () {
+        const Token = await ethers.getContractFactory("TestToken");
+        const otherToken = await Token.deploy("Other Token", "OT", 1000);
+        await otherToken.transfer(vesting.address, 500);
+
+        const { scheduleId } = await client.createSchedule({
+            beneficiary: addr2.address,
+            token: otherToken.address,
+            start: dMarch1st,
+            duration: 100,
+            slicePeriodSeconds: 1,
+            amount: 300,
+        });
+        expect((await client.getScheduleById(scheduleId)).token).to.be.equal(otherToken.address);
+
+        let balances = await client.getBalances(otherToken.address);
+        expect(balances.totalVesting).to.be.equal(300);
+        expect(balances.withdrawable).to.be.equal(200);
+        expect(balances.shortfall).to.be.equal(0);
+
+        await client.withdraw(200, otherToken.address);
+        balances = await client.getBalances(otherToken.address);
+        expect(balances.withdrawable).to.be.equal(0);
+        expect(await otherToken.balanceOf(owner.address)).to.be.equal(700);
+    });
+    it("Amends schedules, the duration once the beneficiary accepts", async function () {
+        const Token = await ethers.getContractFactory("TestToken");
+        const amendToken = await Token.deploy("Amend Token", "AT", 1000);
+        await amendToken.transfer(vesting.address, 500);
+        const { scheduleId } = await client.createSchedule({
+            beneficiary: addr1.address,
+            token: amendToken.address,
+            start: dMarch1st,
+            duration: 100,
+            slicePeriodSeconds: 1,
+            revocable: true,
+            amount: 300,
+        });
+
+        let { applied, proposed } = await client.amendSchedule(scheduleId, { addedAmount: 100 });
+        expect([applied, proposed]).to.be.deep.equal([true, false]);
+        expect((await client.getScheduleById(scheduleId)).amountTotal).to.be.equal(400);
+        await expectError(client.amendSchedule(scheduleId, { addedAmount: 101 }), InsufficientFundsError);
+
+        ({ applied, proposed } = await client.amendSchedule(scheduleId, { duration: 200, makeIrrevocable: true }));
+        expect([applied, proposed]).to.be.deep.equal([true, true]);
+        let schedule = await client.getScheduleById(scheduleId);
+        expect(schedule.duration).to.be.equal(100);
+        expect(schedule.revocable).to.be.equal(false);
+        expect(await client.getPendingDuration(scheduleId)).to.be.equal(200);
+        await expectError(client.acceptAmendment(scheduleId), UnauthorizedError);
+
+        await client.connect(addr1).acceptAmendment(scheduleId);
+        schedule = await client.getScheduleById(scheduleId);
+        expect(schedule.duration).to.be.equal(200);
+        expect(await client.getPendingDuration(scheduleId)).to.be.equal(null);
+    });
+
+    it("Requires the SDK without artifacts and asks to compile on use", function () {
+        // A copy of the SDK with no artifacts next to it
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "vesting-sdk-"));
+        try {
+            fs.mkdirSync(path.join(dir, "sdk"));
+            for (const file of fs.readdirSync(path.join(__dirname, "..", "sdk"))) {
+                fs.copyFileSync(path.join(__dirname, "..", "sdk", file), path.join(dir, "sdk", file));
+            }
+            const script = `
+                const { VestingClient } = require(${JSON.stringify(path.join(dir, "sdk"))});
+                try {
+                    new VestingClient("${vesting.address}");
+                } catch (err) {
+                    console.log(err.message);
+                }`;
+            const output = execFileSync(process.execPath, ["-e", script], {
+                env: { ...process.env, NODE_PATH: path.join(__dirname, "..", "node_modules") },
+                encoding: "utf8",
+            });
+            expect(output).to.include("No ABI for Vesting");
+            expect(output).to.include("run `npx hardhat compile` first");
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
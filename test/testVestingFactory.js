@@ -0,0 +1,139 @@
+const { expect } = require("chai");
+const { getVestingFactory } = require("../tasks/libraries");
+
+describe("VestingFactory Test", function () {
+    let testToken;
+    let otherToken;
+    let factory;
+    let owner;
+    let addr1;
+    let addr2;
+
+    // Reads the address of the Vesting created by `tx`
+    async function createdVesting(tx) {
+        const receipt = await (await tx).wait();
+        const event = receipt.events.find((e) => e.event === "VestingCreated");
+        return ethers.getContractAt("Vesting", event.args.vesting);
+    }
+
+    before(async function () {
+        [owner, addr1, addr2] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("TestToken");
+        testToken = await Token.deploy("Test Token", "TT", 1000000);
+        await testToken.deployed();
+        otherToken = await Token.deploy("Other Token", "OT", 1000000);
+        await otherToken.deployed();
+
+        const Factory = await getVestingFactory(hre, "VestingFactory");
+        factory = await Factory.deploy();
+        await factory.deployed();
+    });
+
+    it("The implementation cannot be initialized and has no role holder", async function () {
+        const implementation = await ethers.getContractAt("Vesting", await factory.implementation());
+        await expect(implementation.initialize(testToken.address, addr1.address, []))
+            .to.be.revertedWith("Already initialized");
+        for (const role of ["CREATOR_ROLE", "REVOKER_ROLE", "TREASURY_ROLE", "PAUSER_ROLE"]) {
+            expect(await implementation.hasRole(ethers.utils.id(role), factory.address)).to.be.equal(false);
+        }
+        expect(await implementation.hasRole(ethers.constants.HashZero, factory.address)).to.be.equal(false);
+    });
+
+    it("Creates an empty Vesting owned by another account", async function () {
+        const tx = factory.createVesting(testToken.address, addr1.address, 0, []);
+        const vesting = await createdVesting(tx);
+        await expect(tx)
+            .to.emit(factory, "VestingCreated")
+            .withArgs(vesting.address, testToken.address, addr1.address, 0, 0);
+
+        expect(await vesting.getToken()).to.be.equal(testToken.address);
+        for (const role of ["CREATOR_ROLE", "REVOKER_ROLE", "TREASURY_ROLE", "PAUSER_ROLE"]) {
+            expect(await vesting.hasRole(ethers.utils.id(role), addr1.address)).to.be.equal(true);
+            expect(await vesting.hasRole(ethers.utils.id(role), factory.address)).to.be.equal(false);
+        }
+        expect(await vesting.hasRole(ethers.constants.HashZero, addr1.address)).to.be.equal(true);
+        expect(await vesting.hasRole(ethers.constants.HashZero, owner.address)).to.be.equal(false);
+
+        await expect(vesting.initialize(otherToken.address, owner.address, []))
+            .to.be.revertedWith("Already initialized");
+        await expect(factory.createVesting(testToken.address, ethers.constants.AddressZero, 0, []))
+            .to.be.revertedWith("Invalid owner");
+    });
+
+    it("Funds the Vesting and creates its schedules in the same transaction", async function () {
+        await testToken.approve(factory.address, 1000);
+        const vesting = await createdVesting(
+            factory.createVesting(testToken.address, addr1.address, 1000, [
+                [addr2.address, 0, 0, 1000, 1, false, 600],
+                [addr2.address, 0, 0, 1000, 1, true, 300],
+            ])
+        );
+
+        expect(await testToken.balanceOf(vesting.address)).to.be.equal(1000);
+        expect(await vesting.getScheduleCountHolder(addr2.address)).to.be.equal(2);
+        expect(await vesting.getTotalVestingAmount()).to.be.equal(900);
+        expect(await vesting.getWithdrawableAmount()).to.be.equal(100);
+
+        // The schedules started long ago: fully vested
+        await vesting.connect(addr2).releaseAllMySchedules();
+        expect(await testToken.balanceOf(addr2.address)).to.be.equal(900);
+        await vesting.connect(addr1).withdraw(100);
+        expect(await testToken.balanceOf(addr1.address)).to.be.equal(100);
+    });
+
+    it("Deploys nothing if the schedules are not funded", async function () {
+        const count = await factory.getVestingCount();
+        await testToken.approve(factory.address, 100);
+        await expect(
+            factory.createVesting(testToken.address, addr1.address, 100, [
+                [addr2.address, 0, 0, 1000, 1, false, 101],
+            ])
+        ).to.be.revertedWith("Not enough funds");
+        await expect(
+            factory.createVesting(testToken.address, addr1.address, 200, [])
+        ).to.be.revertedWith("ERC20: insufficient allowance");
+        expect(await factory.getVestingCount()).to.be.equal(count);
+        await testToken.approve(factory.address, 0);
+    });
+
+    it("Instances are independent", async function () {
+        await otherToken.approve(factory.address, 500);
+        const first = await createdVesting(
+            factory.createVesting(otherToken.address, addr2.address, 500, [[addr1.address, 0, 0, 1000, 1, true, 500]])
+        );
+        const second = await createdVesting(factory.createVesting(otherToken.address, addr2.address, 0, []));
+
+        expect(await first.getScheduleCount()).to.be.equal(1);
+        expect(await second.getScheduleCount()).to.be.equal(0);
+        expect(await second.getWithdrawableAmount()).to.be.equal(0);
+        await expect(second.connect(addr1).pause())
+            .to.be.revertedWith(
+                `AccessControl: account ${addr1.address.toLowerCase()} is missing role ${ethers.utils.id("PAUSER_ROLE")}`
+            );
+        await second.connect(addr2).pause();
+        expect(await first.paused()).to.be.equal(false);
+    });
+
+    it("Enumerates the instances by token and by owner", async function () {
+        expect(await factory.getVestingCount()).to.be.equal(4);
+        const all = [];
+        for (let i = 0; i < 4; i++) {
+            all.push(await factory.getVestingAt(i));
+        }
+        await expect(factory.getVestingAt(4)).to.be.revertedWith("Index out of bounds");
+
+        expect(await factory.getVestingCountByToken(testToken.address)).to.be.equal(2);
+        expect(await factory.getVestingByTokenAt(testToken.address, 1)).to.be.equal(all[1]);
+        expect(await factory.getVestingCountByToken(otherToken.address)).to.be.equal(2);
+        expect(await factory.getVestingByTokenAt(otherToken.address, 0)).to.be.equal(all[2]);
+        await expect(factory.getVestingByTokenAt(otherToken.address, 2))
+            .to.be.revertedWith("Index out of bounds");
+
+        expect(await factory.getVestingCountByOwner(addr1.address)).to.be.equal(2);
+        expect(await factory.getVestingByOwnerAt(addr2.address, 1)).to.be.equal(all[3]);
+        expect(await factory.getVestingCountByOwner(owner.address)).to.be.equal(0);
+        await expect(factory.getVestingByOwnerAt(owner.address, 0))
+            .to.be.revertedWith("Index out of bounds");
+    });
+});
@@ -0,0 +1,269 @@
+const { expect } = require("chai");
+const { VestingPositionsClient, UnauthorizedError } = require("../sdk");
+const { getVestingFactory } = require("../tasks/libraries");
+
+describe("VestingPositions Test", function () {
+    let testToken;
+    let vesting;
+    let positions;
+    let owner;
+    let addr1;
+    let addr2;
+    let addr3;
+
+    // Mints a position of `amount` vesting from 0 to 1000, returns its token id
+    async function mint(to, amount, { transferable = true, revocable = false } = {}) {
+        const tokenId = ethers.BigNumber.from(await vesting.computeNextSecheduleId(positions.address));
+        await positions.mint([to.address, 0, 0, 1000, 1, revocable, amount], transferable);
+        return tokenId;
+    }
+
+    // Decodes the JSON of tokenURI, with the attributes by trait type
+    async function metadata(tokenId) {
+        const uri = await positions.tokenURI(tokenId);
+        const prefix = "data:application/json;base64,";
+        expect(uri.startsWith(prefix)).to.be.equal(true);
+        const json = JSON.parse(Buffer.from(uri.slice(prefix.length), "base64").toString());
+        json.traits = {};
+        json.attributes.forEach((a) => (json.traits[a.trait_type] = a.value));
+        return json;
+    }
+
+    before(async function () {
+        [owner, addr1, addr2, addr3] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("TestToken");
+        testToken = await Token.deploy("Test Token", "TT", 1000000);
+        await testToken.deployed();
+
+        const Vesting = await getVestingFactory(hre, "MockVesting");
+        vesting = await Vesting.deploy(testToken.address);
+        await vesting.deployed();
+        await testToken.transfer(vesting.address, 10000);
+
+        const Positions = await ethers.getContractFactory("MockVestingPositions");
+        positions = await Positions.deploy(vesting.address);
+        await positions.deployed();
+    });
+
+    it("Mints a position with a new schedule", async function () {
+        const params = [addr1.address, 0, 0, 1000, 1, false, 1000];
+        await expect(positions.connect(addr1).mint(params, true)).to.be.revertedWith("Only issuer");
+        // The positions contract creates the schedules
+        await expect(positions.mint(params, true)).to.be.revertedWith(
+            `AccessControl: account ${positions.address.toLowerCase()} is missing role ${ethers.utils.id("CREATOR_ROLE")}`
+        );
+        await vesting.grantRole(ethers.utils.id("CREATOR_ROLE"), positions.address);
+
+        const tokenId = await mint(addr1, 1000);
+        const scheduleId = ethers.utils.hexZeroPad(tokenId.toHexString(), 32);
+        expect(scheduleId).to.be.equal(await vesting.computeScheduleId(positions.address, 0));
+        expect(await positions.ownerOf(tokenId)).to.be.equal(addr1.address);
+        expect((await vesting.getSchedule(scheduleId)).beneficiary).to.be.equal(positions.address);
+
+        // Both enumerations agree
+        expect(await positions.getScheduleCountHolder(addr1.address)).to.be.equal(1);
+        expect(await positions.getScheduleIdAtHolder(addr1.address, 0)).to.be.equal(scheduleId);
+        expect(await vesting.getScheduleCountHolder(positions.address)).to.be.equal(1);
+        expect(await vesting.getScheduleIdAtHolder(positions.address, 0)).to.be.equal(scheduleId);
+        expect(await vesting.getScheduleCountHolder(addr1.address)).to.be.equal(0);
+    });
+
+    it("Release rights follow the owner of the position", async function () {
+        const tokenId = await positions.tokenOfOwnerByIndex(addr1.address, 0);
+        await vesting.setCurrentTime(300);
+        await expect(positions.connect(addr1).release(tokenId))
+            .to.emit(positions, "PositionReleased").withArgs(tokenId, addr1.address, 300);
+        expect(await testToken.balanceOf(addr1.address)).to.be.equal(300);
+
+        await positions.connect(addr1).transferFrom(addr1.address, addr2.address, tokenId);
+        await vesting.setCurrentTime(500);
+        await expect(positions.connect(addr1).release(tokenId))
+            .to.be.revertedWith("Only owner or approved can release");
+        await positions.connect(addr2).release(tokenId);
+        expect(await testToken.balanceOf(addr2.address)).to.be.equal(200);
+        await expect(positions.connect(addr2).release(tokenId))
+            .to.be.revertedWith("No amount to release");
+
+        // An approved address releases to the owner
+        await positions.connect(addr2).approve(addr3.address, tokenId);
+        await vesting.setCurrentTime(600);
+        await positions.connect(addr3).release(tokenId);
+        expect(await testToken.balanceOf(addr2.address)).to.be.equal(300);
+        expect(await testToken.balanceOf(addr3.address)).to.be.equal(0);
+
+        expect(await positions.getScheduleCountHolder(addr1.address)).to.be.equal(0);
+        expect(await positions.getScheduleCountHolder(addr2.address)).to.be.equal(1);
+    });
+
+    it("The issuer can make a position non-transferable", async function () {
+        const tokenId = await mint(addr1, 100, { transferable: false });
+        expect(await positions.isTransferable(tokenId)).to.be.equal(false);
+        await expect(positions.connect(addr1).transferFrom(addr1.address, addr2.address, tokenId))
+            .to.be.revertedWith("Position is not transferable");
+        await expect(positions.connect(addr1).setTransferable(tokenId, true)).to.be.revertedWith("Only issuer");
+        await expect(positions.setTransferable(1, true)).to.be.revertedWith("ERC721: invalid token ID");
+
+        await expect(positions.setTransferable(tokenId, true))
+            .to.emit(positions, "TransferableSet").withArgs(tokenId, true);
+        await positions.connect(addr1).transferFrom(addr1.address, addr2.address, tokenId);
+        expect(await positions.ownerOf(tokenId)).to.be.equal(addr2.address);
+        await positions.setTransferable(tokenId, false);
+        await expect(positions.connect(addr2).transferFrom(addr2.address, addr1.address, tokenId))
+            .to.be.revertedWith("Position is not transferable");
+    });
+
+    it("Forwards what Vesting paid to the positions contract", async function () {
+        await vesting.setCurrentTime(0);
+        const tokenId = await mint(addr3, 1000, { revocable: true });
+        const scheduleId = ethers.utils.hexZeroPad(tokenId.toHexString(), 32);
+
+        // Released by the admin, then revoked: paid to the beneficiary
+        await vesting.setCurrentTime(200);
+        await vesting.release(scheduleId);
+        await vesting.setCurrentTime(500);
+        await vesting.revoke(scheduleId);
+        expect(await testToken.balanceOf(positions.address)).to.be.equal(500);
+
+        await expect(positions.connect(addr3).release(tokenId))
+            .to.emit(positions, "PositionReleased").withArgs(tokenId, addr3.address, 500);
+        expect(await testToken.balanceOf(addr3.address)).to.be.equal(500);
+        expect(await testToken.balanceOf(positions.address)).to.be.equal(0);
+        await expect(positions.connect(addr3).release(tokenId))
+            .to.be.revertedWith("No amount to release");
+    });
+
+    it("Wraps the existing schedules of a holder", async function () {
+        const [, , , , holder] = await ethers.getSigners();
+        await vesting.setCurrentTime(0);
+        await vesting.createVestingSchedule(holder.address, 0, 0, 1000, 1, false, 400);
+        await vesting.createCheckpointSchedule(holder.address, false, [[100, 50], [2000, 200]]);
+        await vesting.setCurrentTime(500);
+        await vesting.connect(holder).release(await vesting.computeScheduleId(holder.address, 0));
+        expect(await testToken.balanceOf(holder.address)).to.be.equal(200);
+
+        await expect(positions.connect(holder).wrap()).to.be.revertedWith("Not the nominated beneficiary");
+        await vesting.connect(holder).requestBeneficiaryTransfer(positions.address);
+        await positions.connect(holder).wrap();
+
+        expect(await vesting.getScheduleCountHolder(holder.address)).to.be.equal(0);
+        expect(await positions.getScheduleCountHolder(holder.address)).to.be.equal(2);
+        const ids = [
+            await vesting.computeScheduleId(holder.address, 0),
+            await vesting.computeScheduleId(holder.address, 1),
+        ];
+        const count = await vesting.getScheduleCountHolder(positions.address);
+        expect(await vesting.getScheduleIdAtHolder(positions.address, count - 2)).to.be.equal(ids[0]);
+        expect(await vesting.getScheduleIdAtHolder(positions.address, count - 1)).to.be.equal(ids[1]);
+        for (let i = 0; i < 2; i++) {
+            expect(await positions.getScheduleIdAtHolder(holder.address, i)).to.be.equal(ids[i]);
+        }
+
+        // What was released before is not paid again
+        await vesting.setCurrentTime(1000);
+        await positions.connect(holder).release(ids[0]);
+        expect(await testToken.balanceOf(holder.address)).to.be.equal(400);
+        await positions.connect(holder).release(ids[1]);
+        expect(await testToken.balanceOf(holder.address)).to.be.equal(450);
+        expect(await positions.getNextUnlock(ids[1])).to.be.equal(2000);
+    });
+
+    it("tokenURI shows the progress of the position", async function () {
+        await vesting.setCurrentTime(0);
+        const tokenId = await mint(addr1, 1000);
+        let json = await metadata(tokenId);
+        expect(json.name).to.be.equal(`Vesting position ${ethers.utils.hexZeroPad(tokenId.toHexString(), 32)}`);
+        expect(json.traits).to.be.deep.equal({
+            Token: testToken.address.toLowerCase(),
+            Granted: "1000",
+            Released: "0",
+            Vested: "0",
+            Progress: 0,
+            Revoked: false,
+            Transferable: true,
+            "Next unlock": 1,
+        });
+
+        await vesting.setCurrentTime(250);
+        await positions.connect(addr1).release(tokenId);
+        await vesting.setCurrentTime(400);
+        json = await metadata(tokenId);
+        expect(json.traits.Released).to.be.equal("250");
+        expect(json.traits.Vested).to.be.equal("400");
+        expect(json.traits.Progress).to.be.equal(40);
+        expect(json.traits["Next unlock"]).to.be.equal(401);
+
+        // Fully vested: no next unlock
+        await vesting.setCurrentTime(1000);
+        json = await metadata(tokenId);
+        expect(json.traits.Progress).to.be.equal(100);
+        expect(json.traits["Next unlock"]).to.be.equal(undefined);
+        await expect(positions.tokenURI(1)).to.be.revertedWith("ERC721: invalid token ID");
+    });
+
+    it("Computes the next unlock of every kind of schedule", async function () {
+        await vesting.setCurrentTime(0);
+        // Slices of 100 from 1000, cliff at 1250, until 2000
+        const tokenId = ethers.BigNumber.from(await vesting.computeNextSecheduleId(positions.address));
+        await positions.mint([addr1.address, 1000, 250, 1000, 100, false, 100], true);
+
+        for (const [time, next] of [[0, 1250], [1100, 1250], [1250, 1300], [1399, 1400], [1950, 2000], [2000, 0]]) {
+            await vesting.setCurrentTime(time);
+            expect(await positions.getNextUnlock(tokenId), `${time}`).to.be.equal(next);
+        }
+
+        // Revoked at 1450: the slice of 1400 is the last unlock
+        const revokedId = ethers.BigNumber.from(await vesting.computeNextSecheduleId(positions.address));
+        await positions.mint([addr1.address, 1000, 250, 1000, 100, true, 100], true);
+        await vesting.revokeAt(ethers.utils.hexZeroPad(revokedId.toHexString(), 32), 1450, false);
+        for (const [time, next] of [[0, 1250], [1250, 1300], [1399, 1400], [1400, 0], [1500, 0]]) {
+            await vesting.setCurrentTime(time);
+            expect(await positions.getNextUnlock(revokedId), `revoked, ${time}`).to.be.equal(next);
+        }
+        expect(await positions.supportsInterface("0x780e9d63")).to.be.equal(true);
+    });
+
+    it("The owner of a position accepts its amendments", async function () {
+        await vesting.setCurrentTime(0);
+        const tokenId = await mint(addr1, 1000);
+        const scheduleId = ethers.utils.hexZeroPad(tokenId.toHexString(), 32);
+        await vesting.amendSchedule(scheduleId, [0, 2000, false]);
+
+        await expect(positions.connect(addr2).acceptAmendment(tokenId)).to.be.revertedWith("Only owner can accept");
+        await expect(vesting.connect(addr1).acceptAmendment(scheduleId)).to.be.revertedWith("Only beneficiary can accept");
+        await expect(positions.connect(addr1).acceptAmendment(tokenId))
+            .to.emit(vesting, "ScheduleAmended").withArgs(scheduleId, 1000, 2000, false);
+        expect((await vesting.getSchedule(scheduleId)).duration).to.be.equal(2000);
+    });
+
+    it("VestingPositionsClient mints, lists and wraps positions", async function () {
+        const [, , , , , holder] = await ethers.getSigners();
+        const client = new VestingPositionsClient(positions.address, owner);
+        await vesting.setCurrentTime(0);
+
+        const { tokenId } = await client.mint(
+            { beneficiary: holder.address, start: 0, duration: 1000, slicePeriodSeconds: 10, amount: 100 },
+            { transferable: false }
+        );
+        await vesting.createVestingSchedule(holder.address, 0, 0, 1000, 1, false, 200);
+        const { tokenIds } = await client.connect(holder).wrap();
+        expect(tokenIds.length).to.be.equal(1);
+
+        const list = await client.listPositions(holder.address);
+        expect(list.map((p) => p.tokenId)).to.be.deep.equal([tokenId, tokenIds[0]]);
+        expect(list[0].scheduleId).to.be.equal(ethers.utils.hexZeroPad(tokenId.toHexString(), 32));
+        expect(list[0].transferable).to.be.equal(false);
+        expect(list[1].transferable).to.be.equal(true);
+        expect(list[0].nextUnlock.getTime()).to.be.equal(10000);
+
+        const { traits } = await client.getMetadata(tokenIds[0]);
+        expect(ethers.BigNumber.isBigNumber(traits.Granted)).to.be.equal(true);
+        expect(traits.Granted).to.be.equal(200);
+        try {
+            await client.connect(addr1).release(tokenId);
+            expect.fail("Expected UnauthorizedError");
+        } catch (err) {
+            expect(err).to.be.instanceOf(UnauthorizedError);
+        }
+    });
+});